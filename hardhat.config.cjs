@@ -2,6 +2,19 @@ require("dotenv").config();
 require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-chai-matchers");
 require("@nomicfoundation/hardhat-verify");
+require("./tasks/presale");
+require("./tasks/timelock");
+require("./tasks/treasury");
+require("./tasks/indexer");
+require("./tasks/ledger");
+require("./tasks/monitor");
+require("./tasks/vesting");
+require("./tasks/allocations");
+require("./tasks/api");
+require("./tasks/metrics");
+require("./tasks/statements");
+require("./tasks/clusters");
+require("./tasks/rounds");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
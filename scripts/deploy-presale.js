@@ -1,80 +1,139 @@
 const hre = require("hardhat");
+const { readManifest, deployStep } = require("./lib/deployments");
+const { networkConfig } = require("./lib/networks");
+const { verifyContracts, etherscanVerifier } = require("./verify-contracts");
+const { reportVerification } = require("./deploy-token");
 
-async function main() {
-  // Configuration
-  const USDC_ADDRESS = process.env.USDC_ADDRESS || "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913"; // Base Mainnet USDC
-  const SELF_TOKEN_ADDRESS = process.env.SELF_TOKEN_ADDRESS;
-  const MULTISIG_ADDRESS = process.env.MULTISIG_ADDRESS; // Multi-sig wallet address
-  
-  if (!SELF_TOKEN_ADDRESS) {
-    throw new Error("SELF_TOKEN_ADDRESS environment variable not set");
+/**
+ * USDC for the presale: USDC_ADDRESS, else the network's native USDC, else a
+ * MockUSDC recorded in the manifest.
+ */
+function resolveUsdc(network, manifest) {
+  const mock = manifest.contracts.MockUSDC;
+  const usdc =
+    process.env.USDC_ADDRESS ||
+    networkConfig(network).usdc ||
+    (mock && mock.address);
+  if (!usdc) {
+    throw new Error(
+      `No USDC for ${network}: set USDC_ADDRESS or deploy MockUSDC with scripts/deploy.js`
+    );
+  }
+  return usdc;
+}
+
+/**
+ * Deploy SELFPresale against the manifest's SELFToken, or reuse the recorded one.
+ * @param {string} adminAddress Receives all five roles (should be the Safe)
+ * @param {object} [opts]
+ * @param {import("ethers").Signer} [opts.signer] Deployer (default: first signer)
+ * @param {string} [opts.dir] Manifest directory (default: deployments/)
+ */
+async function deployPresale(hre, manifest, adminAddress, { signer, dir } = {}) {
+  const token = manifest.contracts.SELFToken;
+  const selfTokenAddress = token ? token.address : process.env.SELF_TOKEN_ADDRESS;
+  if (!selfTokenAddress) {
+    throw new Error(
+      `SELFToken not found in deployments/${manifest.network}.json and SELF_TOKEN_ADDRESS not set`
+    );
   }
-  
-  if (!MULTISIG_ADDRESS) {
+
+  return deployStep(
+    hre,
+    manifest,
+    {
+      name: "SELFPresale",
+      contract: "contracts/SELFPresale.sol:SELFPresale",
+      args: [resolveUsdc(hre.network.name, manifest), selfTokenAddress, adminAddress],
+      confirmations: networkConfig(hre.network.name).confirmations,
+      signer,
+    },
+    dir
+  );
+}
+
+/**
+ * deploy-presale.js without the process around it: deploy SELFPresale unless
+ * the manifest has it, then verify a fresh deployment.
+ * @param {object} [opts] signer and dir as for deployPresale()
+ * @param {string} [opts.admin] Receives all five roles (default: the deployer)
+ * @param {object} [opts.verifier] As for verifyContracts(); none skips
+ *        verification
+ * @returns {Promise<{record: object, deployed: boolean,
+ *          verification: object[]}>}
+ */
+async function runDeployPresale(hre, { admin, signer, verifier, dir } = {}) {
+  if (!admin) {
     console.warn("⚠️  MULTISIG_ADDRESS not set - using deployer as initial admin");
     console.warn("   IMPORTANT: Transfer roles to multi-sig immediately after deployment!");
   }
-  
-  const adminAddress = MULTISIG_ADDRESS || (await hre.ethers.getSigners())[0].address;
-  
+
+  const deployer = signer || (await hre.ethers.getSigners())[0];
+  const adminAddress = admin || (await deployer.getAddress());
+
   console.log("Deploying SELFPresale to Base...");
+  console.log("Admin Address:", adminAddress);
+
+  const manifest = readManifest(hre.network.name, dir);
+  const { record, deployed } = await deployPresale(hre, manifest, adminAddress, {
+    signer: deployer,
+    dir,
+  });
+  const presaleAddress = record.address;
+  const [USDC_ADDRESS, SELF_TOKEN_ADDRESS] = record.constructorArguments;
   console.log("USDC Address:", USDC_ADDRESS);
   console.log("SELF Token Address:", SELF_TOKEN_ADDRESS);
-  console.log("Admin Address:", adminAddress);
-  
-  const SELFPresale = await hre.ethers.getContractFactory("SELFPresale");
-  const presale = await SELFPresale.deploy(
-    USDC_ADDRESS,
-    SELF_TOKEN_ADDRESS,
-    adminAddress
-  );
-  await presale.waitForDeployment();
-  
-  const presaleAddress = await presale.getAddress();
+  if (!deployed) {
+    console.log("↩️  SELFPresale already deployed (from manifest):", presaleAddress);
+    return { record, deployed, verification: [] };
+  }
   console.log("✅ SELFPresale deployed to:", presaleAddress);
-  
-  // Wait for confirmations
-  console.log("\nWaiting for block confirmations...");
-  await presale.deploymentTransaction().wait(5);
-  
-  // Verify on BaseScan
-  console.log("\nVerifying contract on BaseScan...");
-  try {
-    await hre.run("verify:verify", {
-      address: presaleAddress,
-      constructorArguments: [
-        USDC_ADDRESS,
-        SELF_TOKEN_ADDRESS,
-        adminAddress
-      ]
-    });
-    console.log("✅ Contract verified on BaseScan");
-  } catch (error) {
-    console.log("⚠️  Verification failed:", error.message);
+
+  let verification = [];
+  if (verifier) {
+    console.log("\nVerifying contract on BaseScan...");
+    verification = await verifyContracts([{ name: "SELFPresale", ...record }], verifier);
+    reportVerification(verification);
   }
-  
+
   console.log("\n=== Deployment Complete ===");
   console.log("Presale Address:", presaleAddress);
   console.log("Admin Address:", adminAddress);
+  printNextSteps(presaleAddress, !admin);
+  return { record, deployed, verification };
+}
+
+async function main() {
+  await runDeployPresale(hre, {
+    admin: process.env.MULTISIG_ADDRESS, // Multi-sig wallet address
+    verifier: etherscanVerifier(hre),
+  });
+}
+
+function printNextSteps(presaleAddress, deployerIsAdmin) {
   console.log("\n=== NEXT STEPS ===");
   console.log("1. Transfer SELF tokens to presale contract:");
   console.log("   Amount: exactly 37,934,515 SELF (no bonus pool needed)");
   console.log(`   To: ${presaleAddress}`);
   console.log("2. Initialize rounds using initialize-rounds.js");
-  if (!MULTISIG_ADDRESS) {
+  if (deployerIsAdmin) {
     console.log("3. ⚠️  CRITICAL: Grant all roles to multi-sig wallet:");
     console.log("   - DEFAULT_ADMIN_ROLE");
     console.log("   - PAUSER_ROLE");
     console.log("   - ROUND_MANAGER_ROLE");
     console.log("   - TREASURY_ROLE");
     console.log("   - TGE_ENABLER_ROLE");
+    console.log("   Run scripts/handover-roles.js with MULTISIG_ADDRESS set.");
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
 
+module.exports = { deployPresale, runDeployPresale, printNextSteps };
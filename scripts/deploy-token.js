@@ -1,40 +1,97 @@
 const hre = require("hardhat");
+const { readManifest, deployStep } = require("./lib/deployments");
+const { networkConfig } = require("./lib/networks");
+const { verifyContracts, etherscanVerifier } = require("./verify-contracts");
 
-async function main() {
+/**
+ * Deploy SELFToken, or reuse the one recorded in the manifest.
+ * @param {object} [opts]
+ * @param {import("ethers").Signer} [opts.signer] Deployer (default: first signer)
+ * @param {string} [opts.dir] Manifest directory (default: deployments/)
+ */
+async function deployToken(hre, manifest, { signer, dir } = {}) {
+  return deployStep(
+    hre,
+    manifest,
+    {
+      name: "SELFToken",
+      contract: "contracts/SELFToken.sol:SELFToken",
+      args: [],
+      confirmations: networkConfig(hre.network.name).confirmations,
+      signer,
+    },
+    dir,
+  );
+}
+
+/**
+ * deploy-token.js without the process around it: deploy SELFToken unless the
+ * manifest has it, then verify a fresh deployment.
+ * @param {object} [opts] signer and dir as for deployToken()
+ * @param {object} [opts.verifier] As for verifyContracts(); none skips
+ *        verification
+ * @returns {Promise<{record: object, deployed: boolean,
+ *          verification: object[]}>} verification is empty unless the
+ *          token was deployed now and a verifier was given
+ */
+async function runDeployToken(hre, { signer, verifier, dir } = {}) {
   console.log("Deploying SELFToken to Base...");
-  
-  const SELFToken = await hre.ethers.getContractFactory("SELFToken");
-  const selfToken = await SELFToken.deploy();
-  await selfToken.waitForDeployment();
-  
-  const tokenAddress = await selfToken.getAddress();
+
+  const manifest = readManifest(hre.network.name, dir);
+  const { record, deployed } = await deployToken(hre, manifest, {
+    signer,
+    dir,
+  });
+  const tokenAddress = record.address;
+  if (!deployed) {
+    console.log(
+      "↩️  SELFToken already deployed (from manifest):",
+      tokenAddress,
+    );
+    return { record, deployed, verification: [] };
+  }
   console.log("✅ SELFToken deployed to:", tokenAddress);
   console.log("   Total Supply: 500,000,000 SELF");
-  
-  console.log("\nWaiting for block confirmations...");
-  const deployTx = selfToken.deploymentTransaction();
-  await deployTx.wait(5);
-  
-  console.log("\nVerifying contract on BaseScan...");
-  try {
-    await hre.run("verify:verify", {
-      address: tokenAddress,
-      constructorArguments: [],
-      contract: "contracts/SELFToken.sol:SELFToken"
-    });
-    console.log("✅ Contract verified on BaseScan");
-  } catch (error) {
-    console.log("⚠️  Verification failed:", error.message);
+
+  let verification = [];
+  if (verifier) {
+    console.log("\nVerifying contract on BaseScan...");
+    verification = await verifyContracts(
+      [{ name: "SELFToken", ...record }],
+      verifier,
+    );
+    reportVerification(verification);
   }
-  
+
   console.log("\n=== Deployment Complete ===");
   console.log("SELF Token Address:", tokenAddress);
-  console.log("\nSave this address for presale deployment!");
+  console.log(
+    `\nRecorded in deployments/${hre.network.name}.json for presale deployment.`,
+  );
+  return { record, deployed, verification };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+function reportVerification(results) {
+  for (const { status, reason } of results) {
+    if (status === "failed") {
+      console.log("⚠️  Verification failed:", reason);
+    } else {
+      console.log(`✅ Contract ${status} on BaseScan`);
+    }
+  }
+}
+
+async function main() {
+  await runDeployToken(hre, { verifier: etherscanVerifier(hre) });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deployToken, runDeployToken, reportVerification };
@@ -0,0 +1,94 @@
+const hre = require("hardhat");
+const { readManifest, deployStep, manifestPath } = require("./lib/deployments");
+const { networkConfig } = require("./lib/networks");
+const { deployToken } = require("./deploy-token");
+const { deployPresale, printNextSteps } = require("./deploy-presale");
+
+// Full deployment pipeline: [MockUSDC] -> SELFToken -> SELFPresale.
+//
+// Every step is recorded in deployments/<network>.json once confirmed; rerunning
+// the pipeline skips steps the manifest already holds, so a failure halfway
+// (RPC timeout, out of gas) resumes instead of redeploying. Verification is a
+// separate step: scripts/verify-contracts.js reads the same manifest.
+
+/**
+ * Run the pipeline.
+ * @param {object} [opts]
+ * @param {string} [opts.admin] Receives all five presale roles (default: the
+ *        deployer)
+ * @param {import("ethers").Signer} [opts.signer] Deployer (default: first signer)
+ * @param {string} [opts.dir] Manifest directory (default: deployments/)
+ * @returns {Promise<object>} The manifest, plus `deployed`: the names of the
+ *          contracts deployed by this run
+ */
+async function deployStack(hre, { admin, signer, dir } = {}) {
+  const network = hre.network.name;
+  const deployer = signer || (await hre.ethers.getSigners())[0];
+  const adminAddress = admin || (await deployer.getAddress());
+
+  console.log(`Deploying SELF presale stack to ${network}...`);
+  console.log("Deployer:", await deployer.getAddress());
+  console.log("Admin Address:", adminAddress);
+  if (!admin) {
+    console.warn(
+      "⚠️  MULTISIG_ADDRESS not set - using deployer as initial admin",
+    );
+  }
+
+  const manifest = readManifest(network, dir);
+  const deployed = [];
+  const report = (name, { record, deployed: fresh }) => {
+    if (fresh) deployed.push(name);
+    console.log(
+      fresh ? "✅" : "↩️ ",
+      `${name}:`,
+      record.address,
+      fresh ? `(block ${record.blockNumber})` : "(from manifest)",
+    );
+  };
+
+  if (!process.env.USDC_ADDRESS && !networkConfig(network).usdc) {
+    report(
+      "MockUSDC",
+      await deployStep(
+        hre,
+        manifest,
+        {
+          name: "MockUSDC",
+          contract: "contracts/test/MockUSDC.sol:MockUSDC",
+          args: [],
+          confirmations: networkConfig(network).confirmations,
+          signer: deployer,
+        },
+        dir,
+      ),
+    );
+  }
+  const opts = { signer: deployer, dir };
+  report("SELFToken", await deployToken(hre, manifest, opts));
+  report("SELFPresale", await deployPresale(hre, manifest, adminAddress, opts));
+
+  console.log("\n=== Deployment Complete ===");
+  console.log("Manifest:", manifestPath(network, dir));
+  console.log(
+    "Verify with: npx hardhat run scripts/verify-contracts.js --network",
+    network,
+  );
+  printNextSteps(manifest.contracts.SELFPresale.address, !admin);
+  return { ...manifest, deployed };
+}
+
+async function main() {
+  await deployStack(hre, { admin: process.env.MULTISIG_ADDRESS });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deployStack };
@@ -0,0 +1,133 @@
+const hre = require("hardhat");
+const { resolveAddress } = require("./lib/deployments");
+
+// Revocation order: operational roles first, DEFAULT_ADMIN_ROLE last, so the
+// deployer can still re-grant anything if a step fails midway.
+const ROLE_NAMES = [
+  "PAUSER_ROLE",
+  "ROUND_MANAGER_ROLE",
+  "TREASURY_ROLE",
+  "TGE_ENABLER_ROLE",
+  "DEFAULT_ADMIN_ROLE",
+];
+
+async function roleIds(presale) {
+  const ids = {};
+  for (const name of ROLE_NAMES) {
+    ids[name] = await presale[name]();
+  }
+  return ids;
+}
+
+/**
+ * Grant every presale role to `target`, confirm each grant with hasRole, then
+ * renounce all roles held by `deployer` (DEFAULT_ADMIN_ROLE last). Nothing is
+ * renounced unless every grant is confirmed.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {import("ethers").Signer} deployer Current admin giving up its roles
+ * @param {string} target New holder of all roles (the Safe)
+ */
+async function handoverRoles(presale, deployer, target) {
+  const deployerAddress = await deployer.getAddress();
+  if (target.toLowerCase() === deployerAddress.toLowerCase()) {
+    throw new Error("Target is the deployer; nothing to hand over");
+  }
+
+  presale = presale.connect(deployer);
+  const ids = await roleIds(presale);
+
+  if (!(await presale.hasRole(ids.DEFAULT_ADMIN_ROLE, deployerAddress))) {
+    throw new Error(`${deployerAddress} does not hold DEFAULT_ADMIN_ROLE`);
+  }
+
+  // 1. Grant
+  for (const name of ROLE_NAMES) {
+    if (await presale.hasRole(ids[name], target)) {
+      console.log(`↩️  ${name} already held by target`);
+      continue;
+    }
+    const tx = await presale.grantRole(ids[name], target);
+    await tx.wait();
+    console.log(`✅ Granted ${name} (${tx.hash})`);
+  }
+
+  // 2. Confirm every grant before touching the deployer's roles
+  const missing = [];
+  for (const name of ROLE_NAMES) {
+    if (!(await presale.hasRole(ids[name], target))) missing.push(name);
+  }
+  if (missing.length > 0) {
+    throw new Error(
+      `Aborting without renouncing: target missing ${missing.join(", ")}`,
+    );
+  }
+  console.log("✅ Target holds all five roles");
+
+  // 3. Renounce, admin last
+  for (const name of ROLE_NAMES) {
+    if (!(await presale.hasRole(ids[name], deployerAddress))) continue;
+    const tx = await presale.renounceRole(ids[name], deployerAddress);
+    await tx.wait();
+    console.log(`✅ Renounced ${name} (${tx.hash})`);
+  }
+
+  // 4. Deployer must hold nothing
+  const retained = [];
+  for (const name of ROLE_NAMES) {
+    if (await presale.hasRole(ids[name], deployerAddress)) retained.push(name);
+  }
+  if (retained.length > 0) {
+    throw new Error(`Deployer still holds ${retained.join(", ")}`);
+  }
+  console.log("✅ Deployer holds no roles");
+}
+
+async function main() {
+  const PRESALE_ADDRESS = resolveAddress(
+    hre.network.name,
+    "SELFPresale",
+    "PRESALE_ADDRESS",
+  );
+  const MULTISIG_ADDRESS = process.env.MULTISIG_ADDRESS;
+  if (!MULTISIG_ADDRESS) {
+    throw new Error("MULTISIG_ADDRESS environment variable not set");
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const presale = await hre.ethers.getContractAt(
+    "SELFPresale",
+    PRESALE_ADDRESS,
+  );
+
+  console.log("Handing over presale roles...");
+  console.log("Presale Address:", PRESALE_ADDRESS);
+  console.log("From (deployer):", deployer.address);
+  console.log("To (multisig):  ", MULTISIG_ADDRESS);
+
+  // A typo here would lock the presale forever once admin is renounced.
+  if ((await hre.ethers.provider.getCode(MULTISIG_ADDRESS)) === "0x") {
+    if (process.env.ALLOW_EOA_TARGET !== "1") {
+      throw new Error(
+        "MULTISIG_ADDRESS has no code (not a Safe); set ALLOW_EOA_TARGET=1 to proceed anyway",
+      );
+    }
+    console.warn(
+      "⚠️  MULTISIG_ADDRESS has no code; proceeding (ALLOW_EOA_TARGET=1)",
+    );
+  }
+
+  await handoverRoles(presale, deployer, MULTISIG_ADDRESS);
+
+  console.log("\n=== Handover Complete ===");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { ROLE_NAMES, handoverRoles };
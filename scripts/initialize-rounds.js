@@ -1,19 +1,147 @@
 const hre = require("hardhat");
+const { resolveAddress } = require("./lib/deployments");
+const { decodeRevert } = require("./lib/errors");
+const {
+  scheduleFileFor,
+  loadSchedule,
+  validateSchedule,
+  formatSchedule,
+} = require("./lib/schedule");
+const {
+  safeTransaction,
+  buildSafeBatch,
+  writeSafeBatch,
+} = require("./lib/safe-batch");
 
-async function main() {
-  const PRESALE_ADDRESS = process.env.PRESALE_ADDRESS;
+/**
+ * Evaluate every check initializeRounds performs against the live contract,
+ * then simulate the call itself from `executor` without broadcasting.
+ * @returns {Promise<{check: string, ok: boolean, detail: string}[]>}
+ */
+async function preflight(presale, schedule, executor) {
+  const { provider } = presale.runner;
+  const latest = await provider.getBlock("latest");
+  const issues = validateSchedule(schedule, latest.timestamp);
+  const scheduleCheck = (check, error) => {
+    const failed = issues.filter((issue) => issue.error === error);
+    return {
+      check,
+      ok: failed.length === 0,
+      detail: failed
+        .map((issue) => `${error} round ${issue.round}: ${issue.message}`)
+        .join("; "),
+    };
+  };
 
-  if (!PRESALE_ADDRESS) {
-    throw new Error("PRESALE_ADDRESS environment variable not set");
+  const results = [
+    scheduleCheck("Every start in the future", "StartTimeMustBeInFuture"),
+    scheduleCheck("Every end after its start", "EndTimeMustBeAfterStart"),
+    scheduleCheck("Rounds strictly sequential", "RoundsMustBeSequential"),
+  ];
+  if (issues.some((issue) => issue.error === "InvalidLength")) {
+    results.push({
+      check: "Five rounds",
+      ok: false,
+      detail: issues[0].message,
+    });
   }
 
-  console.log("Initializing 5 presale rounds...");
-  console.log("Presale Address:", PRESALE_ADDRESS);
+  const initialized = await presale.roundsInitialized();
+  results.push({
+    check: "Rounds not yet initialized",
+    ok: !initialized,
+    detail: initialized ? "RoundsAlreadyInitialized" : "",
+  });
+
+  // initializeRounds is gated by ROUND_MANAGER_ROLE (granted alongside
+  // DEFAULT_ADMIN_ROLE to the constructor admin).
+  const ROUND_MANAGER_ROLE = await presale.ROUND_MANAGER_ROLE();
+  const hasRole = await presale.hasRole(ROUND_MANAGER_ROLE, executor);
+  results.push({
+    check: `${executor} holds ROUND_MANAGER_ROLE`,
+    ok: hasRole,
+    detail: hasRole ? "" : "missing role",
+  });
+
+  try {
+    await presale
+      .connect(provider)
+      .initializeRounds.staticCall(schedule.startTimes, schedule.endTimes, {
+        from: executor,
+      });
+    results.push({ check: "Simulated initializeRounds", ok: true, detail: "" });
+  } catch (error) {
+    results.push({
+      check: "Simulated initializeRounds",
+      ok: false,
+      detail: decodeRevert(presale, error),
+    });
+  }
+  return results;
+}
+
+const wallClock = () => Math.floor(Date.now() / 1000);
 
-  const presale = await hre.ethers.getContractAt(
-    "SELFPresale",
-    PRESALE_ADDRESS,
+/**
+ * initialize-rounds.js without the process around it: resolve the schedule,
+ * run the pre-flight checks, then stop (dryRun), write a Safe batch
+ * (safeBatchOut) or send initializeRounds from the signer.
+ * @param {object} [opts]
+ * @param {string} [opts.presale] SELFPresale address (default: the manifest,
+ *        then PRESALE_ADDRESS)
+ * @param {import("ethers").Signer} [opts.signer] Sender (default: first signer)
+ * @param {() => number} [opts.clock] Unix seconds that schedule offsets
+ *        ("+24h") resolve against (default: the wall clock)
+ * @param {string} [opts.scheduleFile] Default: scheduleFileFor(network)
+ * @param {string} [opts.multisig] Safe executing the batch (MULTISIG_ADDRESS)
+ * @param {string} [opts.safeBatchOut] Write a Safe batch here instead of sending
+ * @param {boolean} [opts.dryRun] Pre-flight checks only, nothing broadcast
+ * @param {string} [opts.dir] Manifest directory (default: deployments/)
+ * @returns {Promise<{schedule: object, executor: string, checks: object[],
+ *          batch?: object, receipt?: object}>} batch when written, receipt
+ *          when sent
+ */
+async function initializePresaleRounds(hre, opts = {}) {
+  const PRESALE_ADDRESS =
+    opts.presale ||
+    resolveAddress(
+      hre.network.name,
+      "SELFPresale",
+      "PRESALE_ADDRESS",
+      opts.dir,
+    );
+  const MULTISIG_ADDRESS = opts.multisig;
+  const SAFE_BATCH_OUT = opts.safeBatchOut;
+  const DRY_RUN = Boolean(opts.dryRun);
+  const clock = opts.clock || wallClock;
+
+  if (SAFE_BATCH_OUT && !MULTISIG_ADDRESS) {
+    throw new Error(
+      "MULTISIG_ADDRESS environment variable required for SAFE_BATCH_OUT",
+    );
+  }
+
+  console.log(
+    DRY_RUN
+      ? "Dry run: checking 5-round initialization..."
+      : "Initializing 5 presale rounds...",
   );
+  console.log("Presale Address:", PRESALE_ADDRESS);
+
+  let presale = await hre.ethers.getContractAt("SELFPresale", PRESALE_ADDRESS);
+
+  // Account that will send initializeRounds: the Safe when writing a batch
+  // (or when MULTISIG_ADDRESS is given for a dry run), else the local signer.
+  let executor = MULTISIG_ADDRESS;
+  if (!SAFE_BATCH_OUT && !(DRY_RUN && MULTISIG_ADDRESS)) {
+    const signer = opts.signer || (await hre.ethers.getSigners())[0];
+    if (!signer) {
+      throw new Error("No signer configured (set DEPLOYER_PRIVATE_KEY)");
+    }
+    presale = presale.connect(signer);
+    executor = await signer.getAddress();
+  }
+  console.log("Executor:", executor);
 
   // Scheduling model: round transitions are MANUAL (ROUND_MANAGER calls
   // finalizeRound / advanceRound). Rounds also auto-finalize when their target
@@ -31,49 +159,80 @@ async function main() {
   // Only Round 1's startTime gates going live; rounds 2-5 go live when advanced to,
   // so their start/end values are validation formalities plus the deadline backstop.
 
-  const DAY = 24 * 60 * 60;
-  const toTs = (iso) => Math.floor(new Date(iso).getTime() / 1000);
-
-  // Round 1 opens ~24h from now, so it is always safely in the future no matter
-  // when this script (or the equivalent multisig tx) is executed.
-  const round1Start = Math.floor(Date.now() / 1000) + DAY;
+  // Offsets in the schedule file ("+24h") are resolved against the current
+  // time; the production default opens Round 1 ~24h from now, so it is always
+  // safely in the future when this script (or the multisig tx) executes.
+  const scheduleFile = opts.scheduleFile || scheduleFileFor(hre.network.name);
+  console.log("\nSchedule file:", scheduleFile);
+  const schedule = loadSchedule(scheduleFile, clock());
+  const { startTimes, endTimes } = schedule;
+  const round1Opens = new Date(startTimes[0] * 1000).toISOString();
 
-  const startTimes = [
-    round1Start,
-    toTs("2028-01-02T00:00:00Z"), // R2 (goes live on advance)
-    toTs("2029-01-02T00:00:00Z"), // R3
-    toTs("2030-01-02T00:00:00Z"), // R4
-    toTs("2031-01-02T00:00:00Z"), // R5
-  ];
-
-  const endTimes = [
-    toTs("2028-01-01T00:00:00Z"), // R1 backstop
-    toTs("2029-01-01T00:00:00Z"), // R2 backstop
-    toTs("2030-01-01T00:00:00Z"), // R3 backstop
-    toTs("2031-01-01T00:00:00Z"), // R4 backstop
-    toTs("2032-01-01T00:00:00Z"), // R5 backstop
-  ];
-
-  console.log(
-    "\nComputed timestamps (copy into Safe Transaction Builder if calling via multisig):",
-  );
+  console.log("\nComputed timestamps:");
   console.log("startTimes:", JSON.stringify(startTimes));
   console.log("endTimes:  ", JSON.stringify(endTimes));
 
   console.log(
     "\nRound schedule (prices and targets are fixed in the contract):",
   );
-  console.log("Round 1: 6c  | $1.5M target | 40% TGE | 0% bonus");
-  console.log("Round 2: 7c  | $500k target | 40% TGE | 0% bonus");
-  console.log("Round 3: 8c  | $250k target | 40% TGE | 0% bonus");
-  console.log("Round 4: 9c  | $150k target | 40% TGE | 0% bonus");
-  console.log("Round 5: 10c | $100k target | 40% TGE | 0% bonus");
+  formatSchedule(schedule).forEach((line) => console.log(line));
+
+  console.log("\nPre-flight checks:");
+  const results = await preflight(presale, schedule, executor);
+  for (const { check, ok, detail } of results) {
+    console.log(ok ? "✅" : "❌", detail ? `${check} (${detail})` : check);
+  }
+  if (results.some((result) => !result.ok)) {
+    throw new Error("Pre-flight failed: initializeRounds would revert");
+  }
+
+  if (DRY_RUN) {
+    console.log("\n=== Dry Run Passed ===");
+    console.log("Nothing was broadcast. Re-run without DRY_RUN=1 to execute.");
+    console.log(
+      "Round 1 start must still be in the future at execution:",
+      round1Opens,
+    );
+    return { schedule, executor, checks: results };
+  }
+
+  // The deployer normally holds no roles after handover: write a batch for the
+  // Safe to execute instead of sending from the local key.
+  if (SAFE_BATCH_OUT) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = buildSafeBatch({
+      chainId,
+      safeAddress: MULTISIG_ADDRESS,
+      name: "SELFPresale initializeRounds",
+      description: `Round 1 opens ${round1Opens}`,
+      transactions: [
+        await safeTransaction(presale, "initializeRounds", [
+          startTimes,
+          endTimes,
+        ]),
+      ],
+    });
+    writeSafeBatch(SAFE_BATCH_OUT, batch);
+
+    console.log(
+      "\n✅ Safe Transaction Builder batch written to:",
+      SAFE_BATCH_OUT,
+    );
+    console.log("Chain ID:", chainId.toString());
+    console.log("Safe:", MULTISIG_ADDRESS);
+    console.log(
+      "⚠️  Execute before",
+      round1Opens,
+      "or Round 1's start will no longer be in the future (StartTimeMustBeInFuture).",
+    );
+    return { schedule, executor, checks: results, batch };
+  }
 
   console.log("\nInitializing rounds...");
   const tx = await presale.initializeRounds(startTimes, endTimes);
   console.log("Transaction hash:", tx.hash);
 
-  await tx.wait();
+  const receipt = await tx.wait();
   console.log("Rounds initialized successfully.");
 
   // Verify initialization
@@ -96,18 +255,31 @@ async function main() {
   console.log("TGE Unlock:", round1.tgeUnlock.toString(), "%");
 
   console.log("\n=== Initialization Complete ===");
-  console.log("Round 1 opens:", new Date(round1Start * 1000).toISOString());
+  console.log("Round 1 opens:", round1Opens);
   console.log(
     "Rounds 2-5 go live instantly when advanced to (ROUND_MANAGER controls transitions).",
   );
   console.log(
     "End times are multi-year safety backstops; manual finalize/advance is the real control.",
   );
+  return { schedule, executor, checks: results, receipt };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
+async function main() {
+  await initializePresaleRounds(hre, {
+    multisig: process.env.MULTISIG_ADDRESS,
+    safeBatchOut: process.env.SAFE_BATCH_OUT, // Write a Safe batch instead of sending
+    dryRun: process.env.DRY_RUN === "1", // Pre-flight checks only, nothing broadcast
   });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { preflight, initializePresaleRounds };
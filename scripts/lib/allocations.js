@@ -0,0 +1,227 @@
+// Recompute SELF allocations from Contribution events.
+//
+// allocate() repeats contribute()'s arithmetic step by step:
+//
+//   selfAmount  = ceil(usdcAmount * 1e18 / price)    rounded up, favours user
+//   bonusAmount = floor(selfAmount * bonus / 100)
+//   baseUnlock  = floor(selfAmount * tgeUnlock / 100)
+//   tgeUnlock   = baseUnlock + bonusAmount
+//   vested      = selfAmount - baseUnlock
+//
+// Replaying every event and comparing the sums with contributions(user) finds
+// any wallet whose stored allocation differs by even one wei. The round-up and
+// the bonus floor are also accumulated exactly (as fractions of a wei) to show
+// how much SELF rounding created or removed across the presale; the
+// baseUnlock floor only moves wei from the TGE unlock to the vested part.
+
+// SELFPresale constant
+const MIN_CONTRIBUTION = 100n * 10n ** 6n;
+
+const FIELDS = [
+  "totalUSDC",
+  "totalSELF",
+  "totalBonus",
+  "tgeUnlockAmount",
+  "vestedAmount",
+];
+
+/**
+ * Allocation contribute() records for one contribution.
+ * @param {bigint} usdcAmount
+ * @param {{price: bigint, bonus: bigint|number, tgeUnlock: bigint|number}} round
+ */
+function allocate(usdcAmount, round) {
+  const price = BigInt(round.price);
+  const scaled = usdcAmount * 10n ** 18n;
+  let selfAmount = scaled / price;
+  if (scaled % price > 0n) selfAmount += 1n;
+
+  const bonusAmount = (selfAmount * BigInt(round.bonus)) / 100n;
+  const baseUnlock = (selfAmount * BigInt(round.tgeUnlock)) / 100n;
+  return {
+    selfAmount,
+    bonusAmount,
+    totalSELF: selfAmount + bonusAmount,
+    tgeUnlockAmount: baseUnlock + bonusAmount,
+    vestedAmount: selfAmount - baseUnlock,
+    // Wei added by rounding up, and removed by flooring the bonus, as
+    // fractions of one wei
+    roundUp: [selfAmount * price - scaled, price],
+    bonusFloor: [(selfAmount * BigInt(round.bonus)) % 100n, 100n],
+  };
+}
+
+const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+
+function addFraction([n1, d1], [n2, d2]) {
+  const n = n1 * d2 + n2 * d1;
+  const d = d1 * d2;
+  const g = gcd(n < 0n ? -n : n, d) || 1n;
+  return [n / g, d / g];
+}
+
+// Fraction of a wei as a decimal string
+function formatWei([n, d], decimals = 6) {
+  const sign = n < 0n ? "-" : "";
+  const scaled = ((n < 0n ? -n : n) * 10n ** BigInt(decimals) + d / 2n) / d;
+  const digits = scaled.toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, -decimals);
+  return `${sign}${whole}.${digits.slice(-decimals)}`;
+}
+
+/**
+ * SELF a sale that reaches every round's target allocates. How much the
+ * round-up adds depends on how the targets are split into contributions: at
+ * most one wei each, and there are at most ceil(target / MIN_CONTRIBUTION)
+ * per round.
+ * @param {object[]} rounds price, target, tgeUnlock and bonus of each round
+ * @returns {{exact: [bigint, bigint], worst: bigint, contributions: bigint}}
+ *          exact is the unrounded amount as a fraction of a wei; worst is an
+ *          upper bound with every contribution rounded up
+ */
+function soldOutSELF(rounds) {
+  let exact = [0n, 1n];
+  let worst = 0n;
+  let contributions = 0n;
+  for (const round of rounds) {
+    const price = BigInt(round.price);
+    const target = BigInt(round.target);
+    const bonus = BigInt(round.bonus);
+    exact = addFraction(exact, [
+      target * 10n ** 18n * (100n + bonus),
+      price * 100n,
+    ]);
+
+    const count = (target + MIN_CONTRIBUTION - 1n) / MIN_CONTRIBUTION;
+    const selfAmount = (target * 10n ** 18n) / price + count;
+    worst += selfAmount + (selfAmount * bonus) / 100n;
+    contributions += count;
+  }
+  return { exact, worst, contributions };
+}
+
+/**
+ * Replay Contribution events into per-wallet totals.
+ * @param {object[]} contributions Contribution events from indexedEvents()
+ * @param {object[]} rounds rounds(0..4) from the contract
+ * @returns {{wallets: Map<string, object>, eventMismatches: object[],
+ *          rounding: object}}
+ */
+function replayAllocations(contributions, rounds) {
+  const wallets = new Map();
+  const eventMismatches = [];
+  let roundUp = [0n, 1n];
+  let bonusFloor = [0n, 1n];
+  let roundedUp = 0;
+
+  for (const event of contributions) {
+    const { user } = event.args;
+    const usdcAmount = BigInt(event.args.usdcAmount);
+    const result = allocate(usdcAmount, rounds[Number(event.args.round)]);
+
+    // The event carries selfAmount and bonusAmount: they must match too
+    for (const field of ["selfAmount", "bonusAmount"]) {
+      const emitted = BigInt(event.args[field]);
+      if (emitted !== result[field]) {
+        eventMismatches.push({
+          transactionHash: event.transactionHash,
+          user,
+          field,
+          expected: result[field],
+          actual: emitted,
+        });
+      }
+    }
+
+    const wallet = wallets.get(user) || {
+      totalUSDC: 0n,
+      totalSELF: 0n,
+      totalBonus: 0n,
+      tgeUnlockAmount: 0n,
+      vestedAmount: 0n,
+    };
+    wallet.totalUSDC += usdcAmount;
+    wallet.totalSELF += result.totalSELF;
+    wallet.totalBonus += result.bonusAmount;
+    wallet.tgeUnlockAmount += result.tgeUnlockAmount;
+    wallet.vestedAmount += result.vestedAmount;
+    wallets.set(user, wallet);
+
+    if (result.roundUp[0] > 0n) roundedUp++;
+    roundUp = addFraction(roundUp, result.roundUp);
+    bonusFloor = addFraction(bonusFloor, result.bonusFloor);
+  }
+
+  const net = addFraction(roundUp, [-bonusFloor[0], bonusFloor[1]]);
+  return {
+    wallets,
+    eventMismatches,
+    rounding: {
+      contributions: contributions.length,
+      roundedUp,
+      roundUpWei: formatWei(roundUp),
+      bonusFloorWei: formatWei(bonusFloor),
+      netWei: formatWei(net),
+    },
+  };
+}
+
+/**
+ * Compare replayed allocations with contributions(user) at `blockTag`.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object[]} contributions Contribution events from indexedEvents()
+ * @param {number} blockTag
+ * @returns {Promise<{wallets: number, mismatches: object[],
+ *          eventMismatches: object[], totals: object, rounding: object}>}
+ *          `mismatches` lists every differing wallet field with
+ *          `diff = actual - expected`
+ */
+async function reconcileAllocations(presale, contributions, blockTag) {
+  const rounds = [];
+  for (let i = 0; i < 5; i++) {
+    rounds.push(await presale.rounds(i, { blockTag }));
+  }
+  const events = contributions.filter((e) => e.blockNumber <= blockTag);
+  const { wallets, eventMismatches, rounding } = replayAllocations(
+    events,
+    rounds,
+  );
+
+  const mismatches = [];
+  let replayedSELF = 0n;
+  for (const [address, expected] of wallets) {
+    const stored = await presale.contributions(address, { blockTag });
+    for (const field of FIELDS) {
+      if (stored[field] !== expected[field]) {
+        mismatches.push({
+          address,
+          field,
+          expected: expected[field],
+          actual: stored[field],
+          diff: stored[field] - expected[field],
+        });
+      }
+    }
+    replayedSELF += expected.totalSELF;
+  }
+
+  return {
+    wallets: wallets.size,
+    mismatches,
+    eventMismatches,
+    totals: {
+      replayedSELF,
+      totalAllocatedSELF: await presale.totalAllocatedSELF({ blockTag }),
+    },
+    rounding,
+  };
+}
+
+module.exports = {
+  FIELDS,
+  allocate,
+  soldOutSELF,
+  formatWei,
+  replayAllocations,
+  reconcileAllocations,
+};
@@ -0,0 +1,247 @@
+// Read-only HTTP API over a SELFPresale.
+//
+//   GET /stats             aggregate state and solvency
+//   GET /rounds            all five rounds
+//   GET /rounds/:n         one round (1-5)
+//   GET /users/:address    contribution, claimable amount and unlock schedule
+//   GET /timelocks         timelock queue from the event index
+//
+// Every response describes one block. On the first request after a new block
+// the event index is synced and the response cache dropped; within a block,
+// responses are served from memory. The block number is sent as
+// X-Block-Number and as the ETag, so clients and proxies can revalidate with
+// If-None-Match. Amounts are decimal strings (USDC 6 decimals, SELF 18) and
+// timestamps ISO-8601.
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { syncIndex } = require("./indexer");
+const { timelockQueue } = require("./timelocks");
+const { unlockCalendar } = require("./vesting");
+const { formatUSDC, formatSELF, formatTime, formatRound } = require("./format");
+
+const ROUND_COUNT = 5;
+
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+const errorJson = (error) => JSON.stringify({ error: error.message });
+
+async function stats(presale, { block }) {
+  const blockTag = block;
+  const s = await presale.getPresaleStats({ blockTag });
+  const { excess, balance, outstanding } = await presale.getExcessSELFBalance({
+    blockTag,
+  });
+  // 1-based; ROUND_COUNT + 1 once every round has ended
+  const currentRound = Number(s._currentRound);
+  return {
+    roundsInitialized: await presale.roundsInitialized({ blockTag }),
+    paused: await presale.paused({ blockTag }),
+    currentRound: currentRound > ROUND_COUNT ? null : currentRound,
+    totalRaisedUSDC: formatUSDC(s._totalRaised),
+    totalParticipants: Number(s._totalParticipants),
+    totalAllocatedSELF: formatSELF(
+      await presale.totalAllocatedSELF({ blockTag }),
+    ),
+    totalClaimedSELF: formatSELF(await presale.totalClaimedSELF({ blockTag })),
+    balanceSELF: formatSELF(balance),
+    outstandingSELF: formatSELF(outstanding),
+    excessSELF: formatSELF(excess),
+    tgeEnabled: s._tgeEnabled,
+    tgeTime: formatTime(s._tgeTime),
+  };
+}
+
+async function round(presale, { block }, n) {
+  if (!/^[1-5]$/.test(n)) throw httpError(404, "Rounds are numbered 1-5");
+  return formatRound(
+    Number(n),
+    await presale.rounds(Number(n) - 1, { blockTag: block }),
+  );
+}
+
+async function rounds(presale, state) {
+  const list = [];
+  for (let n = 1; n <= ROUND_COUNT; n++) {
+    list.push(await round(presale, state, String(n)));
+  }
+  return list;
+}
+
+async function user(presale, { block }, address) {
+  if (!ethers.isAddress(address)) throw httpError(400, "Invalid address");
+  address = ethers.getAddress(address);
+  const blockTag = block;
+  const c = await presale.getUserContribution(address, { blockTag });
+
+  const roundsUSDC = [];
+  for (let i = 0; i < ROUND_COUNT; i++) {
+    const amount = await presale.contributionsByRound(address, i, {
+      blockTag,
+    });
+    roundsUSDC.push(formatUSDC(amount));
+  }
+
+  // Schedule from the enabled TGE, or the pending request while there is one
+  let tgeTime = Number(await presale.tgeTime({ blockTag }));
+  const tgeEnabled = await presale.tgeEnabled({ blockTag });
+  if (!tgeEnabled) tgeTime = Number(await presale.pendingTgeTime({ blockTag }));
+  const schedule =
+    tgeTime === 0 || c.totalSELF === 0n
+      ? null
+      : unlockCalendar([c], tgeTime).map((point) => ({
+          date: formatTime(point.time),
+          unlockedSELF: formatSELF(point.unlocked),
+          cumulativeSELF: formatSELF(point.cumulative),
+          lockedSELF: formatSELF(point.locked),
+        }));
+
+  return {
+    address,
+    totalUSDC: formatUSDC(c.totalUSDC),
+    roundsUSDC,
+    totalSELF: formatSELF(c.totalSELF),
+    totalBonusSELF: formatSELF(c.totalBonus),
+    tgeUnlockSELF: formatSELF(c.tgeUnlockAmount),
+    vestedSELF: formatSELF(c.vestedAmount),
+    claimedSELF: formatSELF(c.claimed),
+    claimableSELF: formatSELF(c.claimable),
+    unlockSchedule: schedule && {
+      tgeTime: formatTime(tgeTime),
+      tgeEnabled,
+      points: schedule,
+    },
+  };
+}
+
+async function timelocks(presale, { index, block, timestamp }) {
+  const entries = await timelockQueue(presale, {
+    index,
+    now: timestamp,
+    blockTag: block,
+  });
+  return entries.map((entry) => ({
+    kind: entry.kind,
+    state: entry.state,
+    readyAt: formatTime(entry.readyAt),
+    requestBlock: entry.requestBlock,
+    ...(entry.kind === "withdrawFunds" && {
+      nonce: entry.nonce,
+      treasury: entry.treasury,
+      // 0 withdraws the full balance at execution
+      amountUSDC: formatUSDC(entry.amount),
+    }),
+  }));
+}
+
+const ROUTES = [
+  [/^\/stats$/, stats],
+  [/^\/rounds$/, rounds],
+  [/^\/rounds\/([^/]+)$/, round],
+  [/^\/users\/([^/]+)$/, user],
+  [/^\/timelocks$/, timelocks],
+];
+
+/**
+ * Request handler for the API.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object} index Event index from openIndex()
+ * @param {object} opts
+ * @param {number} opts.fromBlock Deployment block, for the first sync
+ * @param {number} [opts.reorgDepth] Passed to syncIndex()
+ * @param {number} [opts.maxAge] Cache-Control max-age in seconds (default 2)
+ * @returns {(req: http.IncomingMessage, res: http.ServerResponse) => void}
+ */
+function createApi(presale, index, { fromBlock, reorgDepth, maxAge = 2 }) {
+  const provider = presale.runner.provider;
+  let current;
+  let refreshing;
+
+  // Sync the index up to `block` and start a new response cache for it
+  async function refresh(block) {
+    await syncIndex(presale, index, { fromBlock, toBlock: block, reorgDepth });
+    const { timestamp } = await provider.getBlock(block);
+    current = { block, timestamp, index, responses: new Map() };
+  }
+
+  // State of the latest block; one sync per block however many requests. A
+  // sync already under way may be for an older block, so wait for it and
+  // check again rather than serve its state.
+  async function latest() {
+    const block = await provider.getBlockNumber();
+    while (!current || current.block < block) {
+      if (!refreshing) {
+        refreshing = refresh(block).finally(() => {
+          refreshing = undefined;
+        });
+      }
+      await refreshing;
+    }
+    return current;
+  }
+
+  async function respond(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw httpError(405, "Only GET is supported");
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = ROUTES.find(([pattern]) => pattern.test(pathname));
+    if (!route) throw httpError(404, "Not found");
+
+    const state = await latest();
+    const etag = `"${state.block}"`;
+    const headers = {
+      "content-type": "application/json",
+      "cache-control": `public, max-age=${maxAge}`,
+      etag,
+      "x-block-number": String(state.block),
+    };
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, headers).end();
+      return;
+    }
+
+    // Cache the promise so concurrent requests share one set of RPC calls
+    let body = state.responses.get(pathname);
+    if (!body) {
+      const [pattern, handler] = route;
+      const params = pattern.exec(pathname).slice(1).map(decodeURIComponent);
+      body = handler(presale, state, ...params).then(
+        (data) => ({ status: 200, json: JSON.stringify(data) }),
+        (error) => {
+          if (!error.status) throw error;
+          return { status: error.status, json: errorJson(error) };
+        },
+      );
+      state.responses.set(pathname, body);
+      body.catch(() => state.responses.delete(pathname));
+    }
+    const { status, json } = await body;
+    res.writeHead(status, headers);
+    res.end(req.method === "HEAD" ? undefined : json);
+  }
+
+  return (req, res) => {
+    respond(req, res).catch((error) => {
+      const status = error.status || 500;
+      if (status === 500) console.error("❌", req.url, error.message);
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(errorJson(error));
+    });
+  };
+}
+
+/**
+ * Start the API on `port` (0 picks a free one).
+ * @returns {Promise<http.Server>}
+ */
+async function startApi(presale, index, { port, host, ...opts }) {
+  const server = http.createServer(createApi(presale, index, opts));
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+module.exports = { createApi, startApi };
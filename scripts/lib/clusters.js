@@ -0,0 +1,171 @@
+// Wallet clustering to spot per-wallet cap evasion.
+//
+// MAX_CONTRIBUTION caps each wallet at $10,000, which one buyer can get
+// around by splitting USDC over several wallets. Contributing wallets are
+// linked when
+//   - the same address sent USDC to both before they contributed (a shared
+//     funding source; a contributor funding another contributor counts too),
+//   - or they contributed the same USDC amount within `window` seconds of
+//     each other (lockstep).
+// Links are merged transitively into groups. Exchanges and bridges fund many
+// unrelated wallets, so their hot wallets should be passed as `ignore`;
+// mints (transfers from the zero address) are always ignored.
+
+const { ZeroAddress } = require("ethers");
+const { queryEvents } = require("./events");
+
+const DEFAULT_WINDOW = 600;
+
+// Wallets per Transfer filter, to keep the topic list within RPC limits
+const FILTER_BATCH = 100;
+
+/**
+ * USDC transfers into `wallets`, in chain order.
+ * @param {import("ethers").BaseContract} usdc ERC-20 with a Transfer event
+ * @param {string[]} wallets
+ * @param {object} range fromBlock / toBlock / chunkSize for queryEvents()
+ * @returns {Promise<{from: string, to: string, value: bigint,
+ *          blockNumber: number, logIndex: number,
+ *          transactionHash: string}[]>}
+ */
+async function fundingTransfers(usdc, wallets, range) {
+  const transfers = [];
+  for (let i = 0; i < wallets.length; i += FILTER_BATCH) {
+    const batch = wallets.slice(i, i + FILTER_BATCH);
+    const events = await queryEvents(
+      usdc,
+      usdc.filters.Transfer(null, batch),
+      range,
+    );
+    for (const event of events) {
+      transfers.push({
+        from: event.args.from,
+        to: event.args.to,
+        value: event.args.value,
+        blockNumber: event.blockNumber,
+        logIndex: event.index,
+        transactionHash: event.transactionHash,
+      });
+    }
+  }
+  return transfers.sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+  );
+}
+
+// Union-find over addresses
+function disjointSet() {
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(x, root);
+    return root;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  return { find, union };
+}
+
+/**
+ * Group contributing wallets by funding source and lockstep contributions.
+ * @param {object[]} contributions Contribution events from indexedEvents()
+ * @param {object[]} transfers From fundingTransfers()
+ * @param {object} opts
+ * @param {bigint} opts.cap Per-wallet cap (MAX_CONTRIBUTION)
+ * @param {number} [opts.window] Lockstep window in seconds
+ * @param {string[]} [opts.ignore] Funding sources to disregard
+ * @returns {{wallets: number, groups: {wallets: {address: string,
+ *          usdcAmount: bigint}[], totalUSDC: bigint, excessUSDC: bigint,
+ *          links: object[]}[]}} Groups of two or more wallets, largest
+ *          total first; excessUSDC is 0 unless the total is over the cap
+ */
+function clusterWallets(contributions, transfers, opts) {
+  const { cap, window = DEFAULT_WINDOW, ignore = [] } = opts;
+  const ignored = new Set([ZeroAddress, ...ignore].map((a) => a.toLowerCase()));
+
+  const totals = new Map();
+  const lastBlock = new Map();
+  for (const event of contributions) {
+    const { user, usdcAmount } = event.args;
+    totals.set(user, (totals.get(user) ?? 0n) + BigInt(usdcAmount));
+    lastBlock.set(user, event.blockNumber);
+  }
+
+  const links = [];
+
+  // Funding only counts if it arrived by the recipient's last contribution
+  const funded = new Map();
+  for (const transfer of transfers) {
+    const { from, to } = transfer;
+    if (ignored.has(from.toLowerCase()) || from === to) continue;
+    const last = lastBlock.get(to);
+    if (last === undefined || transfer.blockNumber > last) continue;
+    if (!funded.has(from)) funded.set(from, { wallets: new Set(), txs: [] });
+    funded.get(from).wallets.add(to);
+    funded.get(from).txs.push(transfer.transactionHash);
+  }
+  for (const [source, { wallets, txs }] of funded) {
+    if (totals.has(source)) wallets.add(source);
+    if (wallets.size < 2) continue;
+    links.push({
+      type: "funding",
+      source,
+      wallets: [...wallets],
+      transactions: [...new Set(txs)],
+    });
+  }
+
+  const ordered = [...contributions].sort(
+    (a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber,
+  );
+  for (let i = 0; i < ordered.length; i++) {
+    const a = ordered[i];
+    for (let j = i + 1; j < ordered.length; j++) {
+      const b = ordered[j];
+      if (b.timestamp - a.timestamp > window) break;
+      if (a.args.user === b.args.user) continue;
+      if (BigInt(a.args.usdcAmount) !== BigInt(b.args.usdcAmount)) continue;
+      links.push({
+        type: "lockstep",
+        wallets: [a.args.user, b.args.user],
+        usdcAmount: BigInt(a.args.usdcAmount),
+        seconds: b.timestamp - a.timestamp,
+        transactions: [a.transactionHash, b.transactionHash],
+      });
+    }
+  }
+
+  const sets = disjointSet();
+  for (const link of links) {
+    for (const wallet of link.wallets.slice(1)) {
+      sets.union(wallet, link.wallets[0]);
+    }
+  }
+
+  const groups = new Map();
+  for (const [address, usdcAmount] of totals) {
+    const root = sets.find(address);
+    if (!groups.has(root)) groups.set(root, { wallets: [], links: [] });
+    groups.get(root).wallets.push({ address, usdcAmount });
+  }
+  for (const link of links) {
+    groups.get(sets.find(link.wallets[0])).links.push(link);
+  }
+
+  return {
+    wallets: totals.size,
+    groups: [...groups.values()]
+      .filter((group) => group.wallets.length > 1)
+      .map((group) => {
+        const totalUSDC = group.wallets.reduce((t, w) => t + w.usdcAmount, 0n);
+        const excessUSDC = totalUSDC > cap ? totalUSDC - cap : 0n;
+        return { ...group, totalUSDC, excessUSDC };
+      })
+      .sort((a, b) =>
+        a.totalUSDC === b.totalUSDC ? 0 : a.totalUSDC > b.totalUSDC ? -1 : 1,
+      ),
+  };
+}
+
+module.exports = { DEFAULT_WINDOW, fundingTransfers, clusterWallets };
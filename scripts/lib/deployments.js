@@ -0,0 +1,144 @@
+// Per-network deployment manifest (deployments/<network>.json).
+//
+// Each deployment step records its address, constructor arguments,
+// transaction hash and block number as soon as it is confirmed, so an
+// interrupted pipeline resumes from the last completed step and later scripts
+// (initialization, verification) read addresses from one place.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Load the manifest for a network, or an empty one if none exists yet.
+ * @param {string} network Hardhat network name
+ * @param {string} [dir] Directory holding the manifests
+ */
+function readManifest(network, dir = DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(manifest.network, dir),
+    JSON.stringify(manifest, null, 2) + "\n",
+  );
+}
+
+/**
+ * Address of a recorded contract, falling back to an environment variable for
+ * deployments that predate the manifest.
+ * @param {string} network Hardhat network name
+ * @param {string} name Manifest key, e.g. "SELFPresale"
+ * @param {string} envVar Fallback environment variable, e.g. "PRESALE_ADDRESS"
+ */
+function resolveAddress(network, name, envVar, dir = DEPLOYMENTS_DIR) {
+  const record = readManifest(network, dir).contracts[name];
+  const address = record ? record.address : process.env[envVar];
+  if (!address) {
+    const file = manifestPath(network, dir);
+    throw new Error(`${name} not found in ${file} and ${envVar} not set`);
+  }
+  return address;
+}
+
+/**
+ * Block a recorded contract was deployed in, used as the starting point for
+ * event scans. Undefined when the manifest has no record for `address`.
+ * @param {string} network Hardhat network name
+ * @param {string} name Manifest key, e.g. "SELFPresale"
+ * @param {string} address Address being scanned; must match the record
+ */
+function deploymentBlock(network, name, address, dir = DEPLOYMENTS_DIR) {
+  const record = readManifest(network, dir).contracts[name];
+  if (record && record.address.toLowerCase() === address.toLowerCase()) {
+    return record.blockNumber;
+  }
+  return undefined;
+}
+
+const sameArgs = (a, b) =>
+  JSON.stringify(a.map(String)) === JSON.stringify(b.map(String));
+
+/**
+ * Deploy a contract unless the manifest already records a live deployment with
+ * the same constructor arguments, then persist the record.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Manifest from readManifest(); updated in place
+ * @param {object} step
+ * @param {string} step.name Manifest key and artifact name
+ * @param {string} step.contract Fully qualified name, e.g. "contracts/SELFToken.sol:SELFToken"
+ * @param {any[]} step.args Constructor arguments
+ * @param {number} step.confirmations Blocks to wait before recording
+ * @param {import("ethers").Signer} [step.signer] Deployer (default: first signer)
+ * @returns {Promise<{record: object, deployed: boolean}>}
+ */
+async function deployStep(
+  hre,
+  manifest,
+  { name, contract, args, confirmations, signer },
+  dir = DEPLOYMENTS_DIR,
+) {
+  const file = manifestPath(manifest.network, dir);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (manifest.chainId === null) {
+    manifest.chainId = Number(chainId);
+  } else if (BigInt(manifest.chainId) !== chainId) {
+    throw new Error(
+      `${file} is for chain ${manifest.chainId}, connected to ${chainId}`,
+    );
+  }
+
+  const existing = manifest.contracts[name];
+  if (existing) {
+    const code = await hre.ethers.provider.getCode(existing.address);
+    if (code !== "0x") {
+      if (!sameArgs(existing.constructorArguments, args)) {
+        throw new Error(
+          `${name} at ${existing.address} was deployed with different constructor arguments; ` +
+            `delete it from ${file} to redeploy`,
+        );
+      }
+      return { record: existing, deployed: false };
+    }
+    console.warn(
+      `⚠️  No code at recorded ${name} address ${existing.address}, redeploying`,
+    );
+  }
+
+  const factory = await hre.ethers.getContractFactory(contract, signer);
+  const instance = await factory.deploy(...args);
+  const receipt = await instance.deploymentTransaction().wait(confirmations);
+
+  const record = {
+    address: await instance.getAddress(),
+    contract,
+    constructorArguments: args.map(String),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: receipt.from,
+  };
+  manifest.contracts[name] = record;
+  writeManifest(manifest, dir);
+  return { record, deployed: true };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  resolveAddress,
+  deploymentBlock,
+  deployStep,
+};
@@ -0,0 +1,39 @@
+// Revert decoding for calls simulated or sent by the scripts.
+
+const { ethers } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+
+// Depending on the provider, revert data sits on the error itself or on a
+// nested JSON-RPC error, sometimes wrapped as { data, message }.
+function revertData(error) {
+  for (let e = error; e; e = e.error || (e.info && e.info.error)) {
+    if (typeof e.data === "string") return e.data;
+    if (e.data && typeof e.data.data === "string") return e.data.data;
+  }
+  return undefined;
+}
+
+/**
+ * Name of the custom error (e.g. "RoundsMustBeSequential") or the revert
+ * reason string behind a failed call.
+ * @param {import("ethers").BaseContract} contract Contract whose ABI declares the errors
+ * @param {Error} error Error thrown by the call
+ */
+function decodeRevert(contract, error) {
+  const data = revertData(error);
+  if (data && data !== "0x") {
+    if (data.startsWith(ERROR_STRING_SELECTOR)) {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(
+        ["string"],
+        ethers.dataSlice(data, 4),
+      );
+      return reason;
+    }
+    const parsed = contract.interface.parseError(data);
+    if (parsed) return parsed.name;
+  }
+  return error.reason || error.shortMessage || error.message;
+}
+
+module.exports = { decodeRevert };
@@ -0,0 +1,34 @@
+// Event log queries split into block ranges.
+//
+// Public RPC endpoints cap eth_getLogs ranges (Base: 10k blocks on most
+// providers), so scans from the deployment block are issued in chunks.
+
+const DEFAULT_CHUNK_SIZE = Number(process.env.LOG_CHUNK_SIZE || 10_000);
+
+/**
+ * All matching events between two blocks, in chain order.
+ * @param {import("ethers").BaseContract} contract
+ * @param {string|import("ethers").DeferredTopicFilter} event Event name or filter
+ * @param {object} range
+ * @param {number} range.fromBlock First block (inclusive)
+ * @param {number} [range.toBlock] Last block (inclusive), defaults to latest
+ * @param {number} [range.chunkSize]
+ * @returns {Promise<import("ethers").EventLog[]>}
+ */
+async function queryEvents(
+  contract,
+  event,
+  { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE },
+) {
+  if (toBlock === undefined) {
+    toBlock = await contract.runner.provider.getBlockNumber();
+  }
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    events.push(...(await contract.queryFilter(event, start, end)));
+  }
+  return events;
+}
+
+module.exports = { queryEvents };
@@ -0,0 +1,86 @@
+// Display helpers for presale amounts: USDC has 6 decimals, SELF has 18.
+
+const { ethers } = require("ethers");
+
+const USDC_DECIMALS = 6;
+const SELF_DECIMALS = 18;
+
+const formatUSDC = (amount) => ethers.formatUnits(amount, USDC_DECIMALS);
+const formatSELF = (amount) => ethers.formatUnits(amount, SELF_DECIMALS);
+const parseUSDC = (value) => ethers.parseUnits(String(value), USDC_DECIMALS);
+const parseSELF = (value) => ethers.parseUnits(String(value), SELF_DECIMALS);
+
+// ISO-8601 for a unix timestamp in seconds; null for unset (zero) timestamps.
+function formatTime(ts) {
+  const seconds = Number(ts);
+  return seconds === 0 ? null : new Date(seconds * 1000).toISOString();
+}
+
+// Seconds as "2d 3h 4m" (largest units only), "0m" under a minute
+function formatDuration(seconds) {
+  const parts = [];
+  let rest = Math.max(0, Math.floor(Number(seconds)));
+  for (const [unit, size] of [
+    ["d", 86400],
+    ["h", 3600],
+    ["m", 60],
+  ]) {
+    const count = Math.floor(rest / size);
+    rest %= size;
+    if (count > 0 || (unit === "m" && parts.length === 0)) {
+      parts.push(`${count}${unit}`);
+    }
+  }
+  return parts.join(" ");
+}
+
+// rounds(i) / getCurrentRound() result as display fields; `number` is 1-based
+function formatRound(number, round) {
+  return {
+    round: number,
+    price: formatUSDC(round.price),
+    target: formatUSDC(round.target),
+    raised: formatUSDC(round.raised),
+    remaining: formatUSDC(round.target - round.raised),
+    startTime: formatTime(round.startTime),
+    endTime: formatTime(round.endTime),
+    tgeUnlockPercent: Number(round.tgeUnlock),
+    bonusPercent: Number(round.bonus),
+    finalized: round.finalized,
+  };
+}
+
+/**
+ * Plain-text table with padded columns.
+ * @param {string[]} headers
+ * @param {any[][]} rows Cells are stringified
+ */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) => row.map(String));
+  const widths = headers.map((_, i) =>
+    Math.max(...cells.map((row) => row[i].length)),
+  );
+  const line = (row) =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join(" | ")
+      .trimEnd();
+  return [
+    line(cells[0]),
+    widths.map((w) => "-".repeat(w)).join("-|-"),
+    ...cells.slice(1).map(line),
+  ].join("\n");
+}
+
+module.exports = {
+  USDC_DECIMALS,
+  SELF_DECIMALS,
+  formatUSDC,
+  formatSELF,
+  parseUSDC,
+  parseSELF,
+  formatTime,
+  formatDuration,
+  formatRound,
+  formatTable,
+};
@@ -0,0 +1,273 @@
+// SQLite event index for SELFPresale.
+//
+// Replays the presale's events from the deployment block into a local SQLite
+// database (sql.js, so no native build) that reporting scripts query instead
+// of rescanning the chain. Each sync first rolls back the last `reorgDepth`
+// blocks and rescans them, so a reorg within that depth is absorbed; a deeper
+// one is detected by comparing the newest kept block hash with the chain and
+// aborts the sync.
+//
+// Tables:
+//   events(block_number, log_index, transaction_hash, name, args)
+//          args is a JSON object keyed by parameter name; integers are
+//          decimal strings
+//   blocks(number, hash, timestamp)   every block an event or checkpoint is in
+//   meta(key, value)                  chainId, address, lastBlock
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const INDEXED_EVENTS = [
+  "Contribution",
+  "TokensClaimed",
+  "RoundFinalized",
+  "RoundAdvanced",
+  "TGEEnabled",
+  "FundsWithdrawn",
+  "ExcessSELFWithdrawn",
+  "EmergencySELFWithdrawn",
+  "TimelockRequested",
+  "TimelockExecuted",
+  "TimelockCancelled",
+];
+
+const DEFAULT_REORG_DEPTH = 12;
+const DEFAULT_CHUNK_SIZE = Number(process.env.LOG_CHUNK_SIZE || 10_000);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (name, block_number);
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Open (or create) an index.
+ * @param {string} [file] Database file; omit for an in-memory index
+ * @returns {Promise<{db: object, file?: string, save: () => void, close: () => void}>}
+ */
+async function openIndex(file) {
+  const SQL = await initSqlJs();
+  const db =
+    file && fs.existsSync(file)
+      ? new SQL.Database(fs.readFileSync(file))
+      : new SQL.Database();
+  db.exec(SCHEMA);
+
+  // sql.js works in memory; write through a temp file so a crash never
+  // leaves a truncated database behind
+  const save = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, db.export());
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  return { db, file, save, close: () => db.close() };
+}
+
+function select(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const rows = [];
+  while (stmt.step()) rows.push(stmt.getAsObject());
+  stmt.free();
+  return rows;
+}
+
+function getMeta(db, key) {
+  const [row] = select(db, "SELECT value FROM meta WHERE key = ?", [key]);
+  return row ? row.value : undefined;
+}
+
+const setMeta = (db, key, value) =>
+  db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [
+    key,
+    String(value),
+  ]);
+
+/**
+ * Last block fully processed, or undefined for an empty index.
+ */
+function lastIndexedBlock(index) {
+  const value = getMeta(index.db, "lastBlock");
+  return value === undefined ? undefined : Number(value);
+}
+
+function encodeArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    out[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return JSON.stringify(out);
+}
+
+/**
+ * Bring the index up to `toBlock`.
+ * @param {import("ethers").BaseContract} presale SELFPresale (with a provider)
+ * @param {object} index From openIndex()
+ * @param {object} opts
+ * @param {number} opts.fromBlock Deployment block, used for an empty index
+ * @param {number} [opts.toBlock] Defaults to latest
+ * @param {number} [opts.reorgDepth] Blocks re-scanned on every sync
+ * @param {number} [opts.chunkSize] Blocks per eth_getLogs call
+ * @returns {Promise<{fromBlock: number, toBlock: number, events: number}>}
+ *          Range scanned and number of events written
+ */
+async function syncIndex(
+  presale,
+  index,
+  {
+    fromBlock,
+    toBlock,
+    reorgDepth = DEFAULT_REORG_DEPTH,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+  },
+) {
+  const { db } = index;
+  const provider = presale.runner.provider;
+  const address = await presale.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const indexedAddress = getMeta(db, "address");
+  if (indexedAddress && indexedAddress !== address) {
+    throw new Error(`Index holds ${indexedAddress}, not ${address}`);
+  }
+  const indexedChain = getMeta(db, "chainId");
+  if (indexedChain && indexedChain !== chainId.toString()) {
+    throw new Error(
+      `Index is for chain ${indexedChain}, connected to ${chainId}`,
+    );
+  }
+
+  if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+  const last = lastIndexedBlock(index);
+  let start = fromBlock;
+  if (last !== undefined) {
+    start = Math.max(fromBlock, Math.min(last, toBlock) - reorgDepth + 1);
+  }
+
+  // Blocks before `start` are kept: the newest one must still be canonical
+  const [kept] = select(
+    db,
+    "SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC LIMIT 1",
+    [start],
+  );
+  if (kept) {
+    const block = await provider.getBlock(kept.number);
+    if (!block || block.hash !== kept.hash) {
+      throw new Error(
+        `Reorg deeper than ${reorgDepth} blocks: block ${kept.number} changed; ` +
+          "rebuild the index or raise the reorg depth",
+      );
+    }
+  }
+
+  db.run("BEGIN");
+  db.run("DELETE FROM events WHERE block_number >= ?", [start]);
+  db.run("DELETE FROM blocks WHERE number >= ?", [start]);
+  db.run("COMMIT");
+
+  const topics = [
+    INDEXED_EVENTS.map((name) => presale.interface.getEvent(name).topicHash),
+  ];
+  let written = 0;
+  for (let from = start; from <= toBlock; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, toBlock);
+    const logs = await provider.getLogs({
+      address,
+      topics,
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    const blocks = new Map();
+    for (const number of new Set([...logs.map((log) => log.blockNumber), to])) {
+      blocks.set(number, await provider.getBlock(number));
+    }
+    for (const log of logs) {
+      if (blocks.get(log.blockNumber).hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} reorged during sync; retry`);
+      }
+    }
+
+    db.run("BEGIN");
+    for (const [number, block] of blocks) {
+      db.run("INSERT INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)", [
+        number,
+        block.hash,
+        block.timestamp,
+      ]);
+    }
+    for (const log of logs) {
+      const parsed = presale.interface.parseLog(log);
+      db.run(
+        "INSERT INTO events (block_number, log_index, transaction_hash, name, args) VALUES (?, ?, ?, ?, ?)",
+        [
+          log.blockNumber,
+          log.index,
+          log.transactionHash,
+          parsed.name,
+          encodeArgs(parsed.fragment, parsed.args),
+        ],
+      );
+    }
+    setMeta(db, "address", address);
+    setMeta(db, "chainId", chainId);
+    setMeta(db, "lastBlock", to);
+    db.run("COMMIT");
+    index.save();
+    written += logs.length;
+  }
+  return { fromBlock: start, toBlock, events: written };
+}
+
+/**
+ * Indexed events in chain order.
+ * @param {object} index From openIndex()
+ * @param {string|string[]} [names] Event name(s); all when omitted
+ * @returns {{name: string, blockNumber: number, logIndex: number,
+ *          transactionHash: string, timestamp: number, args: object}[]}
+ */
+function indexedEvents(index, names) {
+  const list = names === undefined ? INDEXED_EVENTS : [].concat(names);
+  const rows = select(
+    index.db,
+    `SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number
+     WHERE e.name IN (${list.map(() => "?").join(", ")})
+     ORDER BY e.block_number, e.log_index`,
+    list,
+  );
+  return rows.map((row) => ({
+    name: row.name,
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+    args: JSON.parse(row.args),
+  }));
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  DEFAULT_REORG_DEPTH,
+  openIndex,
+  syncIndex,
+  lastIndexedBlock,
+  indexedEvents,
+};
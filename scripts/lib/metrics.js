@@ -0,0 +1,194 @@
+// Prometheus exporter for SELFPresale state.
+//
+// Every sample carries `contract` and `network` labels, so exporters for
+// several deployments (mainnet, Sepolia, rehearsal) can be scraped into one
+// Prometheus side by side. USDC and SELF gauges are in whole tokens.
+// Each scrape syncs the event index (for pending timelocks) and reads the
+// contract at the synced block.
+
+const http = require("http");
+const { syncIndex } = require("./indexer");
+const { timelockQueue, isOpen, OPERATIONS } = require("./timelocks");
+const { formatUSDC, formatSELF } = require("./format");
+const { DAY } = require("./schedule");
+
+const PREFIX = "selfpresale_";
+const ROUND_COUNT = 5;
+
+const usdc = (amount) => Number(formatUSDC(amount));
+const self = (amount) => Number(formatSELF(amount));
+
+/**
+ * Current presale gauges.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object} index Event index synced to `blockTag`
+ * @param {object} opts
+ * @param {string} opts.network Network label
+ * @param {number} opts.blockTag Block to read at
+ * @returns {Promise<{name: string, help: string,
+ *          samples: {labels: object, value: number}[]}[]>}
+ */
+async function collectMetrics(presale, index, { network, blockTag }) {
+  const base = { contract: await presale.getAddress(), network };
+  const { timestamp } = await presale.runner.provider.getBlock(blockTag);
+  const families = [];
+  const gauge = (name, help, samples) =>
+    families.push({
+      name: PREFIX + name,
+      help,
+      samples: []
+        .concat(samples)
+        .map((s) => (typeof s === "number" ? { labels: base, value: s } : s)),
+    });
+  const labelled = (labels, value) => ({
+    labels: { ...base, ...labels },
+    value,
+  });
+
+  const raised = [];
+  const target = [];
+  for (let i = 0; i < ROUND_COUNT; i++) {
+    const round = await presale.rounds(i, { blockTag });
+    raised.push(labelled({ round: String(i + 1) }, usdc(round.raised)));
+    target.push(labelled({ round: String(i + 1) }, usdc(round.target)));
+  }
+  gauge("round_raised_usdc", "USDC raised in the round", raised);
+  gauge("round_target_usdc", "USDC target of the round", target);
+
+  const stats = await presale.getPresaleStats({ blockTag });
+  gauge(
+    "current_round",
+    "Active round (1-5, 6 once ended)",
+    Number(stats._currentRound),
+  );
+  gauge("total_raised_usdc", "totalRaised", usdc(stats._totalRaised));
+  gauge("participants", "totalParticipants", Number(stats._totalParticipants));
+
+  const { excess, balance, outstanding } = await presale.getExcessSELFBalance({
+    blockTag,
+  });
+  gauge("self_balance", "SELF held by the presale", self(balance));
+  gauge(
+    "outstanding_self",
+    "SELF allocated but not claimed",
+    self(outstanding),
+  );
+  gauge("excess_self", "SELF above outstanding claims", self(excess));
+
+  // withdrawnToday only counts while lastWithdrawalDay is the current day
+  const day = Math.floor(timestamp / DAY);
+  const lastDay = Number(await presale.lastWithdrawalDay({ blockTag }));
+  const withdrawnToday =
+    lastDay === day ? await presale.withdrawnToday({ blockTag }) : 0n;
+  gauge(
+    "withdrawn_today_usdc",
+    "USDC withdrawn in the current UTC day",
+    usdc(withdrawnToday),
+  );
+
+  gauge(
+    "paused",
+    "1 while paused",
+    (await presale.paused({ blockTag })) ? 1 : 0,
+  );
+  gauge("tge_enabled", "1 once TGE is enabled", stats._tgeEnabled ? 1 : 0);
+  gauge(
+    "tge_time_seconds",
+    "TGE timestamp (0 if unset)",
+    Number(stats._tgeTime),
+  );
+
+  const open = (
+    await timelockQueue(presale, { index, now: timestamp, blockTag })
+  ).filter(isOpen);
+  gauge(
+    "pending_timelocks",
+    "Timelocked requests not yet executed or cancelled",
+    Object.keys(OPERATIONS).map((kind) =>
+      labelled({ kind }, open.filter((entry) => entry.kind === kind).length),
+    ),
+  );
+  gauge("block_number", "Block the values were read at", blockTag);
+  gauge("block_timestamp_seconds", "Timestamp of that block", timestamp);
+  return families;
+}
+
+const escape = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+
+/**
+ * Prometheus text exposition format (version 0.0.4).
+ */
+function renderMetrics(families) {
+  const lines = [];
+  for (const { name, help, samples } of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const { labels, value } of samples) {
+      const pairs = Object.entries(labels).map(
+        ([key, v]) => `${key}="${escape(v)}"`,
+      );
+      lines.push(`${name}{${pairs.join(",")}} ${value}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serve /metrics on `port` (0 picks a free one).
+ * @param {object} opts
+ * @param {string} opts.network Network label
+ * @param {number} opts.fromBlock Deployment block, for the first sync
+ * @param {number} [opts.reorgDepth] Passed to syncIndex()
+ * @returns {Promise<http.Server>}
+ */
+async function startExporter(presale, index, opts) {
+  const { port, host, network, fromBlock, reorgDepth } = opts;
+
+  // Scrapes arriving together share one sync and one set of reads
+  let scraping;
+  const scrape = async () => {
+    const { toBlock } = await syncIndex(presale, index, {
+      fromBlock,
+      reorgDepth,
+    });
+    const families = await collectMetrics(presale, index, {
+      network,
+      blockTag: toBlock,
+    });
+    return renderMetrics(families);
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain" }).end("Not found\n");
+      return;
+    }
+    scraping ??= scrape().finally(() => {
+      scraping = undefined;
+    });
+    scraping.then(
+      (body) => {
+        res.writeHead(200, {
+          "content-type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        res.end(body);
+      },
+      (error) => {
+        console.error("❌ Scrape failed:", error.message);
+        res.writeHead(500, { "content-type": "text/plain" });
+        res.end(`${error.message}\n`);
+      },
+    );
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+module.exports = { collectMetrics, renderMetrics, startExporter };
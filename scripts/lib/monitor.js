@@ -0,0 +1,169 @@
+// Solvency and health checks for a live SELFPresale.
+//
+// Each poll syncs the event index, reads the contract at the synced block and
+// turns the result into alerts. Alerts are keyed, so a condition is notified
+// once when it starts ("firing") and once when it clears ("resolved") rather
+// than on every poll.
+
+const { syncIndex, indexedEvents } = require("./indexer");
+const { timelockQueue, isOpen } = require("./timelocks");
+const { formatUSDC, formatSELF, formatTime } = require("./format");
+
+/**
+ * Contract state relevant to solvency at one block.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {import("ethers").BaseContract} usdc USDC token
+ * @param {object} index Synced event index
+ * @param {number} blockTag Block the index is synced to
+ */
+async function healthSnapshot(presale, usdc, index, blockTag) {
+  const address = await presale.getAddress();
+  const { timestamp } = await presale.runner.provider.getBlock(blockTag);
+  const { excess, balance, outstanding } = await presale.getExcessSELFBalance({
+    blockTag,
+  });
+  const withdrawn = indexedEvents(index, "FundsWithdrawn")
+    .filter((event) => event.blockNumber <= blockTag)
+    .reduce((sum, event) => sum + BigInt(event.args.amount), 0n);
+  const queue = await timelockQueue(presale, {
+    index,
+    now: timestamp,
+    blockTag,
+  });
+
+  return {
+    block: blockTag,
+    timestamp,
+    paused: await presale.paused({ blockTag }),
+    selfBalance: balance,
+    outstandingSELF: outstanding,
+    excessSELF: excess,
+    usdcBalance: await usdc.balanceOf(address, { blockTag }),
+    totalRaised: await presale.totalRaised({ blockTag }),
+    withdrawnUSDC: withdrawn,
+    pendingTimelocks: queue.filter(isOpen),
+  };
+}
+
+/**
+ * Conditions that need an operator, from a healthSnapshot().
+ * @returns {{key: string, severity: "critical" | "warning", message: string}[]}
+ */
+function healthAlerts(snapshot) {
+  const alerts = [];
+  if (snapshot.selfBalance < snapshot.outstandingSELF) {
+    const balance = formatSELF(snapshot.selfBalance);
+    const outstanding = formatSELF(snapshot.outstandingSELF);
+    const short = formatSELF(snapshot.outstandingSELF - snapshot.selfBalance);
+    alerts.push({
+      key: "self-insolvent",
+      severity: "critical",
+      message:
+        `SELF balance ${balance} is below outstanding claims ` +
+        `${outstanding} (short ${short})`,
+    });
+  }
+
+  // Raised USDC only leaves through executeWithdrawFunds
+  const expected = snapshot.totalRaised - snapshot.withdrawnUSDC;
+  if (snapshot.usdcBalance < expected) {
+    alerts.push({
+      key: "usdc-shortfall",
+      severity: "critical",
+      message:
+        `USDC balance ${formatUSDC(snapshot.usdcBalance)} is below ` +
+        `totalRaised - withdrawn = ${formatUSDC(expected)}`,
+    });
+  }
+
+  if (snapshot.paused) {
+    alerts.push({
+      key: "paused",
+      severity: "warning",
+      message: "Presale is paused",
+    });
+  }
+
+  for (const entry of snapshot.pendingTimelocks) {
+    if (entry.kind === "emergencyWithdrawSELF") {
+      alerts.push({
+        key: `emergency-withdrawal-${entry.requestBlock}`,
+        severity: "critical",
+        message:
+          `Emergency SELF withdrawal queued in block ${entry.requestBlock}, ` +
+          `executable from ${formatTime(entry.readyAt)}`,
+      });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Sync the index and evaluate health once.
+ * @returns {Promise<{snapshot: object, alerts: object[]}>}
+ */
+async function pollHealth(presale, usdc, index, { fromBlock, reorgDepth }) {
+  const { toBlock } = await syncIndex(presale, index, {
+    fromBlock,
+    reorgDepth,
+  });
+  const snapshot = await healthSnapshot(presale, usdc, index, toBlock);
+  return { snapshot, alerts: healthAlerts(snapshot) };
+}
+
+/**
+ * Track active alerts and notify on changes only.
+ * @param {(notification: object) => Promise<void>} notify
+ * @returns {(alerts: object[], context?: object) => Promise<object[]>}
+ *          Call after every poll; resolves to the notifications sent
+ */
+function createAlerter(notify) {
+  const active = new Map();
+  return async (alerts, context = {}) => {
+    const sent = [];
+    const current = new Map(alerts.map((alert) => [alert.key, alert]));
+    for (const [key, alert] of current) {
+      if (!active.has(key)) sent.push({ ...alert, status: "firing" });
+    }
+    for (const [key, alert] of active) {
+      if (!current.has(key)) sent.push({ ...alert, status: "resolved" });
+    }
+    for (const notification of sent) {
+      await notify({ ...context, ...notification });
+      // Only remember what was delivered, so a failed webhook retries
+      if (notification.status === "firing") {
+        active.set(notification.key, notification);
+      } else {
+        active.delete(notification.key);
+      }
+    }
+    return sent;
+  };
+}
+
+/**
+ * POST a notification as JSON. `text` carries a one-line summary for chat
+ * webhooks (Slack-compatible).
+ */
+async function postWebhook(url, notification) {
+  const icon = notification.status === "resolved" ? "✅" : "🚨";
+  const text =
+    `${icon} [${notification.severity}] ${notification.message}` +
+    (notification.status === "resolved" ? " (resolved)" : "");
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ text, ...notification }),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}`);
+  }
+}
+
+module.exports = {
+  healthSnapshot,
+  healthAlerts,
+  pollHealth,
+  createAlerter,
+  postWebhook,
+};
@@ -0,0 +1,33 @@
+// Per-network settings for the deployment scripts.
+//
+// `usdc` is the payment token the presale is deployed against; networks
+// without one get a MockUSDC from the deployment pipeline. `confirmations` is
+// how many blocks a deployment waits before it is recorded.
+
+const NETWORKS = {
+  base: {
+    usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", // native Circle USDC
+    confirmations: 5,
+  },
+  baseSepolia: {
+    usdc: null, // MockUSDC
+    confirmations: 5,
+  },
+  hardhat: {
+    usdc: null,
+    confirmations: 1,
+  },
+  localhost: {
+    usdc: null,
+    confirmations: 1,
+  },
+};
+
+function networkConfig(name) {
+  return NETWORKS[name] || { usdc: null, confirmations: 5 };
+}
+
+module.exports = {
+  NETWORKS,
+  networkConfig,
+};
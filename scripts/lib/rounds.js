@@ -0,0 +1,161 @@
+// Round transition advisor.
+//
+// Rounds only move forward by hand: ROUND_MANAGER_ROLE calls finalizeRound()
+// and then advanceRound(). contribute() finalizes a round by itself when the
+// target is hit, which leaves only advanceRound(). endTime is a backstop:
+// contributions stop after it, but the round stays current until it is
+// finalized and advanced.
+//
+// Round 5 is the last. The contract declares LastRoundActive but does not
+// enforce it, so advanceRound() after round 5 is finalized would still
+// succeed and leave the presale without a round. The advisor never plans
+// that step: round 5 is only finalized.
+
+const { safeTransaction, buildSafeBatch } = require("./safe-batch");
+
+const ROUND_COUNT = 5;
+
+// SELFPresale constant
+const MIN_CONTRIBUTION = 100n * 10n ** 6n;
+
+/**
+ * Current round as seen by contribute() at `blockTag`.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {number|string} [blockTag]
+ * @returns {Promise<object>} round is 1-based, null once the presale has
+ *          moved past round 5; amounts are bigints, times unix seconds
+ */
+async function roundStatus(presale, blockTag = "latest") {
+  const block = await presale.runner.provider.getBlock(blockTag);
+  const now = block.timestamp;
+  const index = Number(await presale.currentRound({ blockTag: block.number }));
+  if (index >= ROUND_COUNT) {
+    return { block: block.number, timestamp: now, round: null, ended: true };
+  }
+
+  const current = await presale.getCurrentRound({ blockTag: block.number });
+  const remaining = current.target - current.raised;
+  const startTime = Number(current.startTime);
+  const endTime = Number(current.endTime);
+  return {
+    block: block.number,
+    timestamp: now,
+    round: index + 1,
+    ended: false,
+    price: current.price,
+    target: current.target,
+    raised: current.raised,
+    remaining,
+    // Below the minimum only the exact remainder can still be bought
+    dust: remaining > 0n && remaining < MIN_CONTRIBUTION,
+    startTime,
+    endTime,
+    // Round 1 waits for its start; later rounds are live once advanced to
+    started: index > 0 || now >= startTime,
+    secondsLeft: Math.max(0, endTime - now),
+    pastEndTime: now > endTime,
+    finalized: current.finalized,
+    // finalizeRound() reverts on a finalized round, so a finalized round
+    // that reached its target was finalized by contribute()
+    autoFinalized: current.finalized && remaining <= 0n,
+  };
+}
+
+/**
+ * What it takes to move on from the current round.
+ * @param {object} status From roundStatus()
+ * @param {object} [opts]
+ * @param {boolean} [opts.early] Plan finalizeRound() for an open round that
+ *        still has capacity and time left (the manager may close it early)
+ * @returns {{due: boolean, actions: string[], reason: string,
+ *          conditions: {error: string, message: string}[]}} actions are the
+ *          presale calls to batch, in order; conditions explain reverts the
+ *          plan avoids
+ */
+function planTransition(status, { early = false } = {}) {
+  const conditions = [];
+  if (status.ended) {
+    conditions.push(
+      {
+        error: "PresaleEnded",
+        message: "Every round is over: advanceRound() reverts",
+      },
+      {
+        error: "NoActiveRound",
+        message: "Every round is over: finalizeRound() reverts",
+      },
+    );
+    return { due: false, actions: [], reason: "Presale ended", conditions };
+  }
+
+  const last = status.round === ROUND_COUNT;
+  const next = last ? [] : ["advanceRound"];
+  if (last) {
+    conditions.push({
+      error: "LastRoundActive",
+      message:
+        "Round 5 is the last round: it is finalized but never advanced " +
+        "(the contract would accept advanceRound() and leave no round)",
+    });
+  }
+
+  if (status.finalized) {
+    const how = status.autoFinalized ? "auto-finalized at target" : "finalized";
+    return {
+      due: !last,
+      actions: next,
+      reason: last ? `Round 5 ${how}: presale complete` : `Round ${how}`,
+      conditions,
+    };
+  }
+
+  if (!last) {
+    conditions.push({
+      error: "CurrentRoundNotFinalized",
+      message:
+        `Round ${status.round} is not finalized: advanceRound() alone ` +
+        "reverts, so finalizeRound() goes first in the same batch",
+    });
+  }
+  const actions = ["finalizeRound", ...next];
+  if (status.pastEndTime) {
+    return { due: true, actions, reason: "endTime passed", conditions };
+  }
+  if (early) {
+    const reason = "Closing early with capacity left";
+    return { due: true, actions, reason, conditions };
+  }
+  return {
+    due: false,
+    actions: [],
+    reason: status.started
+      ? "Round open with capacity and time left"
+      : "Round 1 has not started",
+    conditions,
+  };
+}
+
+/**
+ * Safe Transaction Builder batch with the plan's calls, in order.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object} status From roundStatus()
+ * @param {object} plan From planTransition(), with at least one action
+ * @param {object} opts chainId and safeAddress, as for buildSafeBatch()
+ */
+async function transitionBatch(presale, status, plan, opts) {
+  const transactions = [];
+  for (const method of plan.actions) {
+    transactions.push(await safeTransaction(presale, method, []));
+  }
+  const name = plan.actions.includes("advanceRound")
+    ? `SELFPresale round ${status.round} -> ${status.round + 1}`
+    : `SELFPresale finalize round ${status.round}`;
+  return buildSafeBatch({
+    ...opts,
+    name,
+    description: `${plan.actions.join(" + ")}: ${plan.reason}`,
+    transactions,
+  });
+}
+
+module.exports = { ROUND_COUNT, roundStatus, planTransition, transitionBatch };
@@ -0,0 +1,116 @@
+// Safe Transaction Builder batch files.
+//
+// The Transaction Builder app (app.safe.global > Apps > Transaction Builder)
+// imports a JSON batch: one entry per call with the ABI fragment and the
+// argument values, so signers review decoded parameters instead of raw data.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+// Transaction Builder expects every input as a string; arrays are written as
+// "[a,b,c]" without quotes around the elements.
+function formatInputValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInputValue).join(",")}]`;
+  }
+  return value.toString();
+}
+
+/**
+ * Build one batch entry for a contract call.
+ * @param {import("ethers").BaseContract} contract Target contract
+ * @param {string} method Function name or signature
+ * @param {any[]} args Call arguments, in ABI order
+ */
+async function safeTransaction(contract, method, args) {
+  const fragment = contract.interface.getFunction(method);
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, i) => {
+    contractInputsValues[input.name] = formatInputValue(args[i]);
+  });
+
+  return {
+    to: await contract.getAddress(),
+    value: "0",
+    data: contract.interface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({
+        internalType: input.type,
+        name: input.name,
+        type: input.type,
+      })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues,
+  };
+}
+
+// Same serialization as the Transaction Builder: keys sorted at every level,
+// meta.name excluded so renaming a batch does not invalidate it.
+function serialize(json) {
+  if (Array.isArray(json)) {
+    return `[${json.map(serialize).join(",")}]`;
+  }
+  if (json !== null && typeof json === "object") {
+    return `{${Object.keys(json)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${serialize(json[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(json === undefined ? null : json);
+}
+
+function calculateChecksum(batch) {
+  return ethers.id(
+    serialize({ ...batch, meta: { ...batch.meta, name: null } }),
+  );
+}
+
+/**
+ * Assemble a batch file for the Safe Transaction Builder.
+ * @param {object} opts
+ * @param {bigint|number} opts.chainId
+ * @param {string} opts.safeAddress Safe that will execute the batch
+ * @param {string} opts.name Batch name shown in the Transaction Builder
+ * @param {string} [opts.description]
+ * @param {object[]} opts.transactions Entries from safeTransaction()
+ */
+function buildSafeBatch({
+  chainId,
+  safeAddress,
+  name,
+  description = "",
+  transactions,
+}) {
+  const batch = {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safeAddress),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+function writeSafeBatch(file, batch) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+}
+
+module.exports = {
+  safeTransaction,
+  calculateChecksum,
+  buildSafeBatch,
+  writeSafeBatch,
+};
@@ -0,0 +1,190 @@
+// Round schedule helpers shared by the initialization scripts.
+//
+// Prices, targets, TGE unlock and bonus are hardcoded in
+// SELFPresale.initializeRounds; only the start/end timestamps are passed in.
+// ROUNDS mirrors those constants so scripts can describe the schedule without
+// an RPC round-trip.
+//
+// Timestamps come from a schedule file (config/schedules/*.yaml or .json):
+//
+//   rounds:
+//     - { start: "+24h", end: "2028-01-01T00:00:00Z" }
+//     - { start: 1830384000, end: "+3y" }
+//     ...
+//
+// Each value is unix seconds, an ISO-8601 date, or an offset from execution
+// time ("+90m", "+1d12h", units s/m/h/d/w/y where y = 365 days).
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const DAY = 24 * 60 * 60;
+
+const ROUNDS = [
+  { price: 60_000n, target: 1_500_000n * 10n ** 6n, tgeUnlock: 40, bonus: 0 },
+  { price: 70_000n, target: 500_000n * 10n ** 6n, tgeUnlock: 40, bonus: 0 },
+  { price: 80_000n, target: 250_000n * 10n ** 6n, tgeUnlock: 40, bonus: 0 },
+  { price: 90_000n, target: 150_000n * 10n ** 6n, tgeUnlock: 40, bonus: 0 },
+  { price: 100_000n, target: 100_000n * 10n ** 6n, tgeUnlock: 40, bonus: 0 },
+];
+
+const SCHEDULES_DIR = path.join(__dirname, "..", "..", "config", "schedules");
+
+const UNITS = { s: 1, m: 60, h: 3600, d: DAY, w: 7 * DAY, y: 365 * DAY };
+const OFFSET = /^\+((?:\d+[smhdwy])+)$/;
+
+/**
+ * Resolve one schedule value to unix seconds.
+ * @param {number|string} value Unix seconds, ISO-8601 date or "+<offset>"
+ * @param {number} now Execution time offsets are relative to
+ */
+function resolveTime(value, now) {
+  if (typeof value === "number") {
+    if (!Number.isInteger(value) || value < 0 || value >= 1e12) {
+      throw new Error(`${value} is not a unix timestamp in seconds`);
+    }
+    return value;
+  }
+  if (typeof value === "string") {
+    const offset = OFFSET.exec(value.replace(/\s+/g, ""));
+    if (offset) {
+      let seconds = 0;
+      for (const [, n, unit] of offset[1].matchAll(/(\d+)([smhdwy])/g)) {
+        seconds += Number(n) * UNITS[unit];
+      }
+      return now + seconds;
+    }
+    const ms = Date.parse(value);
+    if (!Number.isNaN(ms)) return Math.floor(ms / 1000);
+  }
+  // js-yaml turns unquoted ISO dates into Date objects
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+  throw new Error(`Cannot parse schedule time ${JSON.stringify(value)}`);
+}
+
+/**
+ * Parse schedule file contents into start/end arrays.
+ * @param {object} config Parsed file, `{ rounds: [{ start, end }, ...] }`
+ * @param {number} now Execution time offsets are relative to
+ */
+function parseSchedule(config, now) {
+  const rounds = config && config.rounds;
+  if (!Array.isArray(rounds) || rounds.length !== ROUNDS.length) {
+    throw new Error(`Schedule must list exactly ${ROUNDS.length} rounds`);
+  }
+  const startTimes = [];
+  const endTimes = [];
+  rounds.forEach((round, i) => {
+    if (!round || round.start === undefined || round.end === undefined) {
+      throw new Error(`Round ${i + 1} needs both start and end`);
+    }
+    startTimes.push(resolveTime(round.start, now));
+    endTimes.push(resolveTime(round.end, now));
+  });
+  return { startTimes, endTimes };
+}
+
+/**
+ * Schedule file for a network: ROUND_SCHEDULE if set, else
+ * config/schedules/<network>.{yaml,yml,json}, else config/schedules/default.yaml.
+ */
+function scheduleFileFor(network) {
+  if (process.env.ROUND_SCHEDULE) return process.env.ROUND_SCHEDULE;
+  for (const ext of ["yaml", "yml", "json"]) {
+    const file = path.join(SCHEDULES_DIR, `${network}.${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return path.join(SCHEDULES_DIR, "default.yaml");
+}
+
+/**
+ * Read and resolve a JSON or YAML schedule file.
+ * @param {string} file Path to the schedule
+ * @param {number} now Execution time offsets are relative to
+ */
+function loadSchedule(file, now) {
+  const text = fs.readFileSync(file, "utf8");
+  const config = file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+  return parseSchedule(config, now);
+}
+
+/**
+ * Apply the same checks as SELFPresale.initializeRounds, in the same order.
+ * @param {{startTimes: number[], endTimes: number[]}} schedule
+ * @param {number} now Timestamp the call is expected to execute at
+ * @returns {{round: number, error: string, message: string}[]} Empty when valid;
+ *          `error` is the custom error the contract would revert with.
+ */
+function validateSchedule({ startTimes, endTimes }, now) {
+  const issues = [];
+  if (
+    startTimes.length !== ROUNDS.length ||
+    endTimes.length !== ROUNDS.length
+  ) {
+    issues.push({
+      round: 0,
+      error: "InvalidLength",
+      message: `expected ${ROUNDS.length} start and end times`,
+    });
+    return issues;
+  }
+
+  for (let i = 0; i < ROUNDS.length; i++) {
+    const round = i + 1;
+    const prevEnd = endTimes[i - 1];
+    if (!(startTimes[i] > now)) {
+      issues.push({
+        round,
+        error: "StartTimeMustBeInFuture",
+        message: `start ${startTimes[i]} is not after ${now}`,
+      });
+    }
+    if (!(endTimes[i] > startTimes[i])) {
+      issues.push({
+        round,
+        error: "EndTimeMustBeAfterStart",
+        message: `end ${endTimes[i]} is not after start ${startTimes[i]}`,
+      });
+    }
+    if (i > 0 && !(startTimes[i] > prevEnd)) {
+      issues.push({
+        round,
+        error: "RoundsMustBeSequential",
+        message: `start ${startTimes[i]} is not after previous end ${prevEnd}`,
+      });
+    }
+  }
+  return issues;
+}
+
+const iso = (ts) => new Date(ts * 1000).toISOString();
+
+/**
+ * One human-readable line per round: fixed contract parameters plus the
+ * schedule's start and end.
+ * @param {{startTimes: number[], endTimes: number[]}} schedule
+ * @returns {string[]}
+ */
+function formatSchedule({ startTimes, endTimes }) {
+  return ROUNDS.map((round, i) => {
+    const price = `$${(Number(round.price) / 1e6).toFixed(2)}`;
+    const target = `$${(round.target / 10n ** 6n).toLocaleString("en-US")}`;
+    const { tgeUnlock, bonus } = round;
+    return (
+      `Round ${i + 1}: ${price} | ${target} target | ${tgeUnlock}% TGE | ` +
+      `${bonus}% bonus | ${iso(startTimes[i])} -> ${iso(endTimes[i])}`
+    );
+  });
+}
+
+module.exports = {
+  DAY,
+  ROUNDS,
+  resolveTime,
+  parseSchedule,
+  scheduleFileFor,
+  loadSchedule,
+  validateSchedule,
+  formatSchedule,
+};
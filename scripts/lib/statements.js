@@ -0,0 +1,274 @@
+// Per-wallet cost-basis statements for contributors' tax filings.
+//
+// Every Contribution event is one acquisition lot: SELF (base plus bonus)
+// bought at the round price on the block date, at a cost of the USDC paid.
+// TokensClaimed events are matched to lots first-in, first-out; a claim that
+// spans lots is split, and each part carries its share of the lot's cost.
+// The last part taken from a lot gets the lot's remaining USDC, so the cost
+// basis of a fully claimed lot adds up to exactly what was paid.
+
+const { formatUSDC, formatSELF, formatTime } = require("./format");
+
+const COLUMNS = [
+  "type",
+  "date",
+  "transaction",
+  "lot",
+  "round",
+  "priceUSDC",
+  "selfAmount",
+  "costBasisUSDC",
+];
+
+/**
+ * Lots and FIFO-matched claims of one wallet.
+ * @param {string} address
+ * @param {object[]} events Contribution and TokensClaimed events from
+ *        indexedEvents(), in chain order (other wallets are skipped)
+ * @param {bigint[]} prices Round prices (USDC, 6 decimals), index = round
+ * @returns {{address: string, lots: object[], claims: object[],
+ *          totals: object}} Amounts are bigints, dates unix seconds
+ */
+function buildStatement(address, events, prices) {
+  const lots = [];
+  const claims = [];
+  const own = events.filter((e) => e.args.user === address);
+
+  for (const event of own.filter((e) => e.name === "Contribution")) {
+    const round = Number(event.args.round);
+    const selfAmount =
+      BigInt(event.args.selfAmount) + BigInt(event.args.bonusAmount);
+    lots.push({
+      lot: lots.length + 1,
+      round: round + 1,
+      date: event.timestamp,
+      transaction: event.transactionHash,
+      price: prices[round],
+      usdcAmount: BigInt(event.args.usdcAmount),
+      selfAmount,
+      remainingSELF: selfAmount,
+      remainingUSDC: BigInt(event.args.usdcAmount),
+    });
+  }
+
+  let next = 0;
+  for (const event of own.filter((e) => e.name === "TokensClaimed")) {
+    let amount = BigInt(event.args.amount);
+    while (amount > 0n) {
+      // The contract never pays out more than was allocated
+      const lot = lots[next];
+      if (!lot) {
+        throw new Error(`${address} claimed more SELF than it acquired`);
+      }
+      const taken = amount < lot.remainingSELF ? amount : lot.remainingSELF;
+      const cost =
+        taken === lot.remainingSELF
+          ? lot.remainingUSDC
+          : (lot.usdcAmount * taken) / lot.selfAmount;
+      claims.push({
+        date: event.timestamp,
+        transaction: event.transactionHash,
+        lot: lot.lot,
+        round: lot.round,
+        price: lot.price,
+        selfAmount: taken,
+        costBasisUSDC: cost,
+      });
+      lot.remainingSELF -= taken;
+      lot.remainingUSDC -= cost;
+      amount -= taken;
+      if (lot.remainingSELF === 0n) next++;
+    }
+  }
+
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0n);
+  return {
+    address,
+    lots,
+    claims,
+    totals: {
+      paidUSDC: sum(lots, "usdcAmount"),
+      acquiredSELF: sum(lots, "selfAmount"),
+      claimedSELF: sum(claims, "selfAmount"),
+      claimedCostBasisUSDC: sum(claims, "costBasisUSDC"),
+      unclaimedSELF: sum(lots, "remainingSELF"),
+      unclaimedCostBasisUSDC: sum(lots, "remainingUSDC"),
+    },
+  };
+}
+
+// Statement rows keyed by COLUMNS: acquisitions, then claims
+function statementRows(statement) {
+  return [
+    ...statement.lots.map((lot) => ({
+      type: "acquisition",
+      date: formatTime(lot.date),
+      transaction: lot.transaction,
+      lot: lot.lot,
+      round: lot.round,
+      priceUSDC: formatUSDC(lot.price),
+      selfAmount: formatSELF(lot.selfAmount),
+      costBasisUSDC: formatUSDC(lot.usdcAmount),
+    })),
+    ...statement.claims.map((claim) => ({
+      type: "claim",
+      date: formatTime(claim.date),
+      transaction: claim.transaction,
+      lot: claim.lot,
+      round: claim.round,
+      priceUSDC: formatUSDC(claim.price),
+      selfAmount: formatSELF(claim.selfAmount),
+      costBasisUSDC: formatUSDC(claim.costBasisUSDC),
+    })),
+  ];
+}
+
+function statementCsv(statement) {
+  const lines = [COLUMNS.join(",")];
+  for (const row of statementRows(statement)) {
+    lines.push(COLUMNS.map((column) => row[column]).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function htmlTable(headers, rows) {
+  const cells = (tag, row) =>
+    row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("");
+  const body = rows.map((row) => `<tr>${cells("td", row)}</tr>`).join("\n");
+  return [
+    "<table>",
+    `<thead><tr>${cells("th", headers)}</tr></thead>`,
+    `<tbody>\n${body}\n</tbody>`,
+    "</table>",
+  ].join("\n");
+}
+
+/**
+ * Self-contained printable HTML statement.
+ * @param {object} statement From buildStatement()
+ * @param {object} context Shown in the header
+ * @param {string} context.presale
+ * @param {string} context.network
+ * @param {number} context.block Block the events were read up to
+ * @param {number} context.timestamp Timestamp of that block
+ */
+function statementHtml(statement, { presale, network, block, timestamp }) {
+  const { totals } = statement;
+  const day = (ts) => formatTime(ts).replace("T", " ").replace(".000Z", " UTC");
+
+  const lots = htmlTable(
+    [
+      "Lot",
+      "Acquired",
+      "Round",
+      "Price (USDC)",
+      "SELF",
+      "Cost (USDC)",
+      "Transaction",
+    ],
+    statement.lots.map((lot) => [
+      lot.lot,
+      day(lot.date),
+      lot.round,
+      formatUSDC(lot.price),
+      formatSELF(lot.selfAmount),
+      formatUSDC(lot.usdcAmount),
+      lot.transaction,
+    ]),
+  );
+  const claims = statement.claims.length
+    ? htmlTable(
+        [
+          "Claimed",
+          "SELF",
+          "From lot",
+          "Price (USDC)",
+          "Cost basis (USDC)",
+          "Transaction",
+        ],
+        statement.claims.map((claim) => [
+          day(claim.date),
+          formatSELF(claim.selfAmount),
+          claim.lot,
+          formatUSDC(claim.price),
+          formatUSDC(claim.costBasisUSDC),
+          claim.transaction,
+        ]),
+      )
+    : "<p>No claims.</p>";
+  const summary = htmlTable(
+    ["", "SELF", "Cost basis (USDC)"],
+    [
+      [
+        "Acquired",
+        formatSELF(totals.acquiredSELF),
+        formatUSDC(totals.paidUSDC),
+      ],
+      [
+        "Claimed",
+        formatSELF(totals.claimedSELF),
+        formatUSDC(totals.claimedCostBasisUSDC),
+      ],
+      [
+        "Not yet claimed",
+        formatSELF(totals.unclaimedSELF),
+        formatUSDC(totals.unclaimedCostBasisUSDC),
+      ],
+    ],
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SELF presale statement ${escapeHtml(statement.address)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 12px; margin: 2em; color: #111; }
+  h1 { font-size: 18px; }
+  h2 { font-size: 14px; margin-top: 2em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  td { font-variant-numeric: tabular-nums; word-break: break-all; }
+  th { background: #f3f3f3; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 2px 12px; }
+  dt { font-weight: bold; }
+  .note { color: #555; margin-top: 2em; }
+  @media print { body { margin: 0; } th { background: none; } }
+</style>
+</head>
+<body>
+<h1>SELF Presale Contribution Statement</h1>
+<dl>
+<dt>Wallet</dt><dd>${escapeHtml(statement.address)}</dd>
+<dt>Presale contract</dt><dd>${escapeHtml(presale)}</dd>
+<dt>Network</dt><dd>${escapeHtml(network)}</dd>
+<dt>As of</dt><dd>Block ${escapeHtml(block)} (${escapeHtml(
+    day(timestamp),
+  )})</dd>
+</dl>
+<h2>Summary</h2>
+${summary}
+<h2>Acquisitions</h2>
+${lots}
+<h2>Claims (FIFO)</h2>
+${claims}
+<p class="note">Each contribution is one lot: SELF (including any bonus) acquired at the round price, with the USDC paid as its cost. Claims are matched to lots first-in, first-out; a claim spanning two lots is listed once per lot, with the claimed share of that lot's cost.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  COLUMNS,
+  buildStatement,
+  statementRows,
+  statementCsv,
+  statementHtml,
+};
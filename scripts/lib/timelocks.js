@@ -0,0 +1,285 @@
+// Timelock queue reconstruction for SELFPresale.
+//
+// The contract stores requests in timelockRequests keyed by action hash and
+// only records timestamp + executed, so a cancelled withdrawal looks the same
+// as an executed one and the queue cannot be listed from storage alone. The
+// queue is rebuilt by replaying TimelockRequested / TimelockExecuted /
+// TimelockCancelled, with withdrawal hashes mapped back to their nonce,
+// treasury and amount through withdrawRequestActionByNonce.
+
+const { ethers } = require("ethers");
+const { queryEvents } = require("./events");
+const { indexedEvents, lastIndexedBlock } = require("./indexer");
+const { formatUSDC } = require("./format");
+
+const DAY = 24 * 60 * 60;
+
+// SELFPresale constants
+const TIMELOCK_WITHDRAW = 2 * DAY;
+const DAILY_WITHDRAWAL_LIMIT = 500_000n * 10n ** 6n;
+
+// Fixed action hashes, as computed in SELFPresale. Withdrawals hash
+// (keccak256("WITHDRAW_FUNDS"), treasury, amount, nonce) and are looked up
+// through withdrawRequestActionByNonce instead.
+const ACTION_ENABLE_TGE = ethers.id("ENABLE_TGE");
+const ACTION_EMERGENCY_WITHDRAW_SELF = ethers.id("EMERGENCY_WITHDRAW_SELF");
+
+// Role and functions behind each kind of timelocked action
+const OPERATIONS = {
+  enableTGE: {
+    role: "TGE_ENABLER_ROLE",
+    request: "requestEnableTGE",
+    execute: "executeEnableTGE",
+    cancel: "cancelEnableTGE",
+  },
+  withdrawFunds: {
+    role: "TREASURY_ROLE",
+    request: "requestWithdrawFunds",
+    execute: "executeWithdrawFunds",
+    cancel: "cancelWithdrawFunds",
+  },
+  emergencyWithdrawSELF: {
+    role: "DEFAULT_ADMIN_ROLE",
+    request: "requestEmergencyWithdrawSELF",
+    execute: "executeEmergencyWithdrawSELF",
+    cancel: "cancelEmergencyWithdrawSELF",
+  },
+};
+
+const TIMELOCK_EVENTS = [
+  "TimelockRequested",
+  "TimelockExecuted",
+  "TimelockCancelled",
+];
+
+/**
+ * Every timelock request since `fromBlock`, oldest first.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object} opts
+ * @param {number} [opts.fromBlock] Deployment block (or earlier)
+ * @param {object} [opts.index] Event index to read instead of scanning logs
+ * @param {number} opts.now Timestamp readiness is evaluated at
+ * @param {number} [opts.blockTag] Block to read events and storage at
+ *        (default: the index's last synced block, else latest)
+ * @returns {Promise<object[]>} Entries with `kind`, `action`, `readyAt`,
+ *          `requestBlock`, `state` ("waiting" | "ready" | "executed" |
+ *          "cancelled") and, for withdrawals, `nonce`, `treasury`, `amount`
+ *          (0 = full balance at execution).
+ */
+async function timelockQueue(presale, { fromBlock, index, now, blockTag }) {
+  if (blockTag === undefined) {
+    blockTag = index
+      ? lastIndexedBlock(index)
+      : await presale.runner.provider.getBlockNumber();
+  }
+
+  const withdrawals = new Map();
+  const nonces = Number(await presale.withdrawRequestNonce({ blockTag }));
+  for (let nonce = 1; nonce <= nonces; nonce++) {
+    const action = await presale.withdrawRequestActionByNonce(nonce, {
+      blockTag,
+    });
+    const { treasury, amount } = await presale.withdrawRequests(action, {
+      blockTag,
+    });
+    withdrawals.set(action, { nonce, treasury, amount });
+  }
+
+  let events;
+  if (index) {
+    events = indexedEvents(index, TIMELOCK_EVENTS)
+      .filter((event) => event.blockNumber <= blockTag)
+      .map((event) => ({
+        name: event.name,
+        blockNumber: event.blockNumber,
+        ...event.args,
+      }));
+  } else {
+    const logs = [];
+    for (const name of TIMELOCK_EVENTS) {
+      logs.push(
+        ...(await queryEvents(presale, name, { fromBlock, toBlock: blockTag })),
+      );
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    events = logs.map((log) => ({
+      name: log.fragment.name,
+      blockNumber: log.blockNumber,
+      action: log.args.action,
+      executionTime: log.args.executionTime,
+    }));
+  }
+
+  const entries = [];
+  const open = new Map();
+  for (const event of events) {
+    const { action } = event;
+    if (event.name === "TimelockRequested") {
+      let entry = { kind: "unknown" };
+      if (action === ACTION_ENABLE_TGE) entry = { kind: "enableTGE" };
+      if (action === ACTION_EMERGENCY_WITHDRAW_SELF) {
+        entry = { kind: "emergencyWithdrawSELF" };
+      }
+      if (withdrawals.has(action)) {
+        entry = { kind: "withdrawFunds", ...withdrawals.get(action) };
+      }
+      Object.assign(entry, {
+        action,
+        readyAt: Number(event.executionTime),
+        requestBlock: event.blockNumber,
+        state: "pending",
+      });
+      entries.push(entry);
+      open.set(action, entry);
+    } else if (open.has(action)) {
+      open.get(action).state =
+        event.name === "TimelockExecuted" ? "executed" : "cancelled";
+      open.delete(action);
+    }
+  }
+
+  for (const entry of open.values()) {
+    entry.state = now >= entry.readyAt ? "ready" : "waiting";
+    if (entry.kind === "enableTGE") {
+      entry.tgeTime = Number(await presale.pendingTgeTime({ blockTag }));
+    }
+  }
+  return entries;
+}
+
+const isOpen = (entry) => entry.state === "waiting" || entry.state === "ready";
+
+/**
+ * Conditions the execute function checks, evaluated against current state so
+ * an operator sees why it would revert before sending.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {object} entry Open entry from timelockQueue()
+ * @param {number} now Timestamp the execution is expected at
+ * @returns {Promise<{check: string, ok: boolean, detail: string}[]>}
+ */
+async function executeChecks(presale, entry, now) {
+  const results = [];
+  const check = (name, ok, detail = "") =>
+    results.push({ check: name, ok, detail: ok ? "" : detail });
+  const readyAt = new Date(entry.readyAt * 1000).toISOString();
+
+  check("Request still open", isOpen(entry), entry.state);
+  check(
+    "Timelock elapsed",
+    now >= entry.readyAt,
+    `TimelockNotReady: ready at ${readyAt}`,
+  );
+
+  if (entry.kind === "enableTGE") {
+    check(
+      "TGE not yet enabled",
+      !(await presale.tgeEnabled()),
+      "TGEAlreadyEnabled",
+    );
+    check(
+      "Pending TGE time still in the future",
+      entry.tgeTime >= now,
+      "TGEMustBeInFuture: request again with a later time",
+    );
+  }
+
+  if (entry.kind === "withdrawFunds") {
+    const usdc = new ethers.Contract(
+      await presale.USDC(),
+      ["function balanceOf(address) view returns (uint256)"],
+      presale.runner,
+    );
+    const balance = await usdc.balanceOf(await presale.getAddress());
+    check("USDC balance available", balance > 0n, "NoFundsToWithdraw");
+    const amount =
+      entry.amount === 0n || entry.amount > balance ? balance : entry.amount;
+    const today = BigInt(Math.floor(now / DAY));
+    const withdrawnToday =
+      (await presale.lastWithdrawalDay()) === today
+        ? await presale.withdrawnToday()
+        : 0n;
+    const remaining = DAILY_WITHDRAWAL_LIMIT - withdrawnToday;
+    check(
+      "Within $500k daily limit",
+      amount <= remaining,
+      `DailyWithdrawalLimitExceeded: ${formatUSDC(remaining)} USDC left today`,
+    );
+  }
+
+  if (entry.kind === "emergencyWithdrawSELF") {
+    check(
+      "TGE not yet enabled",
+      !(await presale.tgeEnabled()),
+      "TGEAlreadyEnabled",
+    );
+    check(
+      "No user allocations",
+      (await presale.totalAllocatedSELF()) === 0n,
+      "InsufficientSELFBalance",
+    );
+  }
+  return results;
+}
+
+/**
+ * Conditions the request function checks for a new timelock of `kind`.
+ * @param {import("ethers").BaseContract} presale SELFPresale
+ * @param {string} kind Key of OPERATIONS
+ * @param {object} params `tgeTime` for enableTGE, `treasury` for withdrawFunds
+ * @param {object[]} entries Current queue from timelockQueue()
+ * @param {number} now Timestamp the request is expected at
+ * @returns {Promise<{check: string, ok: boolean, detail: string}[]>}
+ */
+async function requestChecks(presale, kind, params, entries, now) {
+  const results = [];
+  const check = (name, ok, detail = "") =>
+    results.push({ check: name, ok, detail: ok ? "" : detail });
+
+  if (kind === "withdrawFunds") {
+    check(
+      "Treasury is not the zero address",
+      params.treasury !== ethers.ZeroAddress,
+      "InvalidAddress",
+    );
+    return results;
+  }
+
+  // TGE and emergency withdrawal have a single slot each
+  const pending = entries.find((entry) => entry.kind === kind && isOpen(entry));
+  check(
+    "No request of this kind pending",
+    !pending,
+    pending && `TimelockRequestPending since block ${pending.requestBlock}`,
+  );
+  check(
+    "TGE not yet enabled",
+    !(await presale.tgeEnabled()),
+    "TGEAlreadyEnabled",
+  );
+  if (kind === "enableTGE") {
+    check("TGE time in the future", params.tgeTime >= now, "TGEMustBeInFuture");
+    check(
+      "TGE time within 365 days",
+      params.tgeTime <= now + 365 * DAY,
+      "TGETooFarInFuture",
+    );
+  }
+  if (kind === "emergencyWithdrawSELF") {
+    check(
+      "No user allocations",
+      (await presale.totalAllocatedSELF()) === 0n,
+      "InsufficientSELFBalance",
+    );
+  }
+  return results;
+}
+
+module.exports = {
+  TIMELOCK_WITHDRAW,
+  DAILY_WITHDRAWAL_LIMIT,
+  OPERATIONS,
+  timelockQueue,
+  isOpen,
+  executeChecks,
+  requestChecks,
+};
@@ -0,0 +1,98 @@
+// Off-chain copy of SELFPresale's vesting schedule.
+//
+// At tgeTime each wallet can claim its tgeUnlockAmount (40% of its SELF); the
+// remaining vestedAmount unlocks linearly over VESTING_DURATION (12 x 30 days),
+// rounded up to the next wei in the wallet's favour. The arithmetic mirrors
+// getClaimableAmount so results match the contract to the wei at any time.
+
+const { DAY } = require("./schedule");
+
+const VESTING_MONTH = 30 * DAY;
+const VESTING_DURATION = 12 * VESTING_MONTH;
+
+/**
+ * SELF unlocked by `at`, claimed or not.
+ * @param {{tgeUnlockAmount: bigint, vestedAmount: bigint}} allocation
+ *        Fields of getUserContribution()
+ * @param {number} tgeTime
+ * @param {number} at Unix seconds
+ */
+function unlockedAmount({ tgeUnlockAmount, vestedAmount }, tgeTime, at) {
+  if (at < tgeTime) return 0n;
+
+  let unlocked = tgeUnlockAmount;
+  if (at > tgeTime && vestedAmount > 0n) {
+    const elapsed = BigInt(at - tgeTime);
+    const duration = BigInt(VESTING_DURATION);
+    if (elapsed >= duration) {
+      unlocked += vestedAmount;
+    } else {
+      const product = vestedAmount * elapsed;
+      unlocked += product / duration + (product % duration > 0n ? 1n : 0n);
+    }
+  }
+  return unlocked;
+}
+
+/**
+ * What getClaimableAmount(user) returns in a block with timestamp `at`.
+ * @param {{totalSELF: bigint, tgeUnlockAmount: bigint, vestedAmount: bigint,
+ *          claimed: bigint}} allocation Fields of getUserContribution()
+ * @param {{tgeEnabled: boolean, tgeTime: number}} tge
+ * @param {number} at Unix seconds
+ */
+function claimableAmount(allocation, { tgeEnabled, tgeTime }, at) {
+  if (!tgeEnabled || at < tgeTime) return 0n;
+  if (allocation.totalSELF === 0n) return 0n;
+
+  const unlocked = unlockedAmount(allocation, tgeTime, at);
+  return unlocked > allocation.claimed ? unlocked - allocation.claimed : 0n;
+}
+
+/**
+ * Unlock curve from TGE until fully vested, summed over `allocations`. Each
+ * wallet is rounded on its own, as the contract does, so the total matches the
+ * sum of what the wallets could claim.
+ * @param {object[]} allocations One per wallet
+ * @param {number} tgeTime
+ * @param {number} [step] Seconds between points (default 30 days)
+ * @returns {{time: number, unlocked: bigint, cumulative: bigint,
+ *          locked: bigint}[]} `unlocked` is the amount released since the
+ *          previous point
+ */
+function unlockCalendar(allocations, tgeTime, step = VESTING_MONTH) {
+  if (!(step > 0)) throw new Error("Calendar step must be positive");
+  const total = allocations.reduce(
+    (sum, a) => sum + a.tgeUnlockAmount + a.vestedAmount,
+    0n,
+  );
+  const times = [];
+  for (let t = tgeTime; t < tgeTime + VESTING_DURATION; t += step) {
+    times.push(t);
+  }
+  times.push(tgeTime + VESTING_DURATION);
+
+  let previous = 0n;
+  return times.map((time) => {
+    const cumulative = allocations.reduce(
+      (sum, a) => sum + unlockedAmount(a, tgeTime, time),
+      0n,
+    );
+    const point = {
+      time,
+      unlocked: cumulative - previous,
+      cumulative,
+      locked: total - cumulative,
+    };
+    previous = cumulative;
+    return point;
+  });
+}
+
+module.exports = {
+  VESTING_MONTH,
+  VESTING_DURATION,
+  unlockedAmount,
+  claimableAmount,
+  unlockCalendar,
+};
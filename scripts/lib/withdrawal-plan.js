@@ -0,0 +1,49 @@
+// Splits a treasury withdrawal into requests that clear the circuit breaker.
+//
+// executeWithdrawFunds reverts with DailyWithdrawalLimitExceeded once the
+// UTC day's withdrawals (day = timestamp / 1 days) would pass $500k, and each
+// request only becomes executable TIMELOCK_WITHDRAW after it was made. All
+// requests are made together, so they share one ready time; the plan fills
+// the first executable day's remaining limit, then one $500k tranche per day.
+
+const { DAY } = require("./schedule");
+const { TIMELOCK_WITHDRAW, DAILY_WITHDRAWAL_LIMIT } = require("./timelocks");
+
+/**
+ * @param {object} opts
+ * @param {bigint} opts.total USDC to withdraw (6 decimals)
+ * @param {number} opts.requestAt Timestamp the requests are expected to land
+ * @param {bigint|number} [opts.lastWithdrawalDay] Contract state
+ * @param {bigint} [opts.withdrawnToday] Contract state, for lastWithdrawalDay
+ * @returns {{readyAt: number, tranches: {amount: bigint, day: number,
+ *          executeFrom: number, executeUntil: number}[]}} `executeFrom` and
+ *          `executeUntil` bound the window (inclusive) for each execution.
+ */
+function planWithdrawals({
+  total,
+  requestAt,
+  lastWithdrawalDay = 0,
+  withdrawnToday = 0n,
+}) {
+  if (total <= 0n) throw new Error("Nothing to withdraw");
+  const readyAt = requestAt + TIMELOCK_WITHDRAW;
+  const tranches = [];
+  let remaining = total;
+  for (let day = Math.floor(readyAt / DAY); remaining > 0n; day++) {
+    const used =
+      BigInt(day) === BigInt(lastWithdrawalDay) ? withdrawnToday : 0n;
+    const capacity = DAILY_WITHDRAWAL_LIMIT - used;
+    if (capacity <= 0n) continue;
+    const amount = remaining < capacity ? remaining : capacity;
+    tranches.push({
+      amount,
+      day,
+      executeFrom: Math.max(readyAt, day * DAY),
+      executeUntil: (day + 1) * DAY - 1,
+    });
+    remaining -= amount;
+  }
+  return { readyAt, tranches };
+}
+
+module.exports = { planWithdrawals };
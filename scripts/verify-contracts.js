@@ -1,59 +1,146 @@
 const hre = require("hardhat");
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const { readManifest } = require("./lib/deployments");
+const { networkConfig } = require("./lib/networks");
+const { formatTable } = require("./lib/format");
 
-async function main() {
-  const contracts = {
-    selfToken: process.env.SELF_TOKEN_ADDRESS,
-    presale: process.env.PRESALE_ADDRESS
-  };
-  
-  console.log("Verifying contracts on BaseScan...\n");
-  
-  // Verify SELF Token
-  if (contracts.selfToken) {
-    console.log("Verifying SELFToken:", contracts.selfToken);
-    try {
-      await hre.run("verify:verify", {
-        address: contracts.selfToken,
-        constructorArguments: []
-      });
-      console.log("✅ SELFToken verified\n");
-    } catch (error) {
-      console.log("⚠️  SELFToken verification failed:", error.message, "\n");
+const CONTRACTS = {
+  MockUSDC: "contracts/test/MockUSDC.sol:MockUSDC",
+  SELFToken: "contracts/SELFToken.sol:SELFToken",
+  SELFPresale: "contracts/SELFPresale.sol:SELFPresale",
+};
+
+/**
+ * Contracts to verify on this network with their constructor arguments:
+ * deployment manifest records first, then environment variables for
+ * deployments that predate the manifest.
+ * @param {string} network Hardhat network name
+ * @param {string} [dir] Manifest directory (default: deployments/)
+ */
+function verificationTargets(network, dir) {
+  const records = readManifest(network, dir).contracts;
+  const targets = [];
+  for (const name of Object.keys(CONTRACTS)) {
+    if (records[name]) {
+      targets.push({ name, ...records[name] });
     }
   }
-  
-  // Verify Presale
-  if (contracts.presale && contracts.selfToken) {
-    const USDC_ADDRESS = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913"; // Base Mainnet
+  if (targets.length > 0) return targets;
+
+  const usdc = process.env.USDC_ADDRESS || networkConfig(network).usdc;
+  const selfToken = process.env.SELF_TOKEN_ADDRESS;
+  const presale = process.env.PRESALE_ADDRESS;
+
+  // On networks without native USDC, USDC_ADDRESS is our MockUSDC
+  if (process.env.USDC_ADDRESS && !networkConfig(network).usdc) {
+    targets.push({ name: "MockUSDC", address: usdc, constructorArguments: [] });
+  }
+  if (selfToken) {
+    targets.push({ name: "SELFToken", address: selfToken, constructorArguments: [] });
+  }
+  if (presale) {
     const MULTISIG_ADDRESS = process.env.MULTISIG_ADDRESS;
-    
-    if (!MULTISIG_ADDRESS) {
-      throw new Error("MULTISIG_ADDRESS environment variable required for presale verification");
+    if (!usdc || !selfToken || !MULTISIG_ADDRESS) {
+      throw new Error(
+        "USDC_ADDRESS (off mainnet), SELF_TOKEN_ADDRESS and MULTISIG_ADDRESS required for presale verification"
+      );
     }
-    
-    console.log("Verifying SELFPresale:", contracts.presale);
+    targets.push({
+      name: "SELFPresale",
+      address: presale,
+      constructorArguments: [usdc, selfToken, MULTISIG_ADDRESS]
+    });
+  }
+  return targets.map((target) => ({ ...target, contract: CONTRACTS[target.name] }));
+}
+
+/**
+ * Verify each target unless the explorer already has its source.
+ * @param {object[]} targets From verificationTargets()
+ * @param {object} verifier
+ * @param {(address: string) => Promise<boolean>} verifier.isVerified
+ * @param {(args: object) => Promise<void>} verifier.verify Runs verify:verify
+ * @returns {Promise<{name: string, address: string, status: string, reason: string}[]>}
+ */
+async function verifyContracts(targets, verifier) {
+  const results = [];
+  for (const target of targets) {
+    const result = { name: target.name, address: target.address, status: "", reason: "" };
+    console.log(`Verifying ${target.name}:`, target.address);
     try {
-      await hre.run("verify:verify", {
-        address: contracts.presale,
-        constructorArguments: [
-          USDC_ADDRESS,
-          contracts.selfToken,
-          MULTISIG_ADDRESS
-        ]
-      });
-      console.log("✅ SELFPresale verified\n");
+      if (await verifier.isVerified(target.address)) {
+        result.status = "already verified";
+      } else {
+        await verifier.verify({
+          address: target.address,
+          constructorArguments: target.constructorArguments,
+          contract: target.contract
+        });
+        result.status = "verified now";
+      }
     } catch (error) {
-      console.log("⚠️  SELFPresale verification failed:", error.message, "\n");
+      result.status = "failed";
+      result.reason = error.message.split("\n")[0];
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Verifier backed by the network's explorer (hardhat-verify). The explorer
+ * client is created on first use, so a network without one fails each
+ * target's verification rather than the whole script.
+ */
+function etherscanVerifier(hre) {
+  let etherscan;
+  const client = async () => {
+    if (!etherscan) {
+      const chainConfig = await Etherscan.getCurrentChainConfig(
+        hre.network.name,
+        hre.network.provider,
+        hre.config.etherscan.customChains
+      );
+      etherscan = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
     }
+    return etherscan;
+  };
+  return {
+    isVerified: async (address) => (await client()).isVerified(address),
+    verify: (args) => hre.run("verify:verify", args)
+  };
+}
+
+async function main() {
+  const targets = verificationTargets(hre.network.name);
+  if (targets.length === 0) {
+    throw new Error(`Nothing to verify: no deployments/${hre.network.name}.json and no addresses in env`);
+  }
+
+  console.log(`Verifying contracts on ${hre.network.name}...\n`);
+  const results = await verifyContracts(targets, etherscanVerifier(hre));
+
+  console.log("\n=== Verification Summary ===");
+  console.log(
+    formatTable(
+      ["Contract", "Address", "Status", "Reason"],
+      results.map((r) => [r.name, r.address, r.status, r.reason])
+    )
+  );
+
+  const failed = results.filter((r) => r.status === "failed");
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} contract(s) failed verification`);
   }
-  
-  console.log("=== Verification Complete ===");
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
 
+module.exports = { verificationTargets, verifyContracts, etherscanVerifier };
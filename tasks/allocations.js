@@ -0,0 +1,101 @@
+const { task, types } = require("hardhat/config");
+const { formatSELF, formatTable } = require("../scripts/lib/format");
+const { indexedEvents } = require("../scripts/lib/indexer");
+const { reconcileAllocations } = require("../scripts/lib/allocations");
+const { getPresale, print, syncedIndex } = require("./common");
+
+// Allocation reconciliation.
+//
+//   allocations:reconcile [--block <n>] [--json]
+//
+// Recomputes every wallet's allocation from Contribution events with
+// contribute()'s rounding rules and compares it with contributions(user).
+// Exits with an error if any wallet differs by a wei.
+
+const wei = (value) => value.toString();
+
+task("allocations:reconcile", "Check allocations against contribute() math")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("db", "Event index file")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam("block", "Block to read state at", undefined, types.int)
+  .addFlag("json", "Print JSON instead of tables")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { index, result } = await syncedIndex(hre, presale, opts);
+    const contributions = indexedEvents(index, "Contribution");
+    index.close();
+
+    const blockTag = opts.block ?? result.toBlock;
+    if (blockTag > result.toBlock) {
+      throw new Error(`Block ${blockTag} is past the latest ${result.toBlock}`);
+    }
+    const report = await reconcileAllocations(presale, contributions, blockTag);
+    const ok =
+      report.mismatches.length === 0 &&
+      report.eventMismatches.length === 0 &&
+      report.totals.replayedSELF === report.totals.totalAllocatedSELF;
+
+    if (opts.json) {
+      console.log(
+        JSON.stringify(
+          { block: blockTag, ok, ...report },
+          (_, value) => (typeof value === "bigint" ? wei(value) : value),
+          2,
+        ),
+      );
+    } else {
+      console.log(
+        `Block ${blockTag}: ${report.wallets} wallets, ` +
+          `${report.rounding.contributions} contributions`,
+      );
+      if (report.mismatches.length > 0) {
+        console.log(
+          "\n" +
+            formatTable(
+              ["Wallet", "Field", "Recomputed (wei)", "On-chain (wei)", "Diff"],
+              report.mismatches.map((m) => [
+                m.address,
+                m.field,
+                wei(m.expected),
+                wei(m.actual),
+                wei(m.diff),
+              ]),
+            ),
+        );
+      }
+      if (report.eventMismatches.length > 0) {
+        console.log(
+          "\n" +
+            formatTable(
+              [
+                "Transaction",
+                "Event field",
+                "Recomputed (wei)",
+                "Emitted (wei)",
+              ],
+              report.eventMismatches.map((m) => [
+                m.transactionHash,
+                m.field,
+                wei(m.expected),
+                wei(m.actual),
+              ]),
+            ),
+        );
+      }
+      console.log("");
+      print({
+        replayedSELF: formatSELF(report.totals.replayedSELF),
+        totalAllocatedSELF: formatSELF(report.totals.totalAllocatedSELF),
+        contributionsRoundedUp: report.rounding.roundedUp,
+        roundUpGainedWei: report.rounding.roundUpWei,
+        bonusFloorLostWei: report.rounding.bonusFloorWei,
+        netRoundingWei: report.rounding.netWei,
+      });
+    }
+
+    if (!ok) {
+      throw new Error("Allocations do not match contribute() rounding rules");
+    }
+    if (!opts.json) console.log("\n✅ Every allocation matches to the wei");
+  });
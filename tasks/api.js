@@ -0,0 +1,46 @@
+const { task, types } = require("hardhat/config");
+const { openIndex, DEFAULT_REORG_DEPTH } = require("../scripts/lib/indexer");
+const { startApi } = require("../scripts/lib/api");
+const { getPresale, indexFile, scanStart } = require("./common");
+
+// Read-only HTTP API for the website and support (see scripts/lib/api.js).
+//
+//   api:serve [--port 8080] [--host 127.0.0.1]
+//
+// Runs until interrupted. Put a reverse proxy in front of it before exposing
+// it publicly; responses carry Cache-Control and a per-block ETag.
+
+task("api:serve", "Serve presale data over HTTP")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("port", "Port to listen on", 8080, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addOptionalParam("maxAge", "Cache-Control max-age (seconds)", 2, types.int)
+  .addOptionalParam("db", "Index file (default data/<network>-events.sqlite)")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam(
+    "reorgDepth",
+    "Blocks rolled back and rescanned on every sync",
+    DEFAULT_REORG_DEPTH,
+    types.int,
+  )
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const index = await openIndex(indexFile(hre, opts.db));
+    const server = await startApi(presale, index, {
+      port: opts.port,
+      host: opts.host,
+      fromBlock: await scanStart(hre, presale, opts.fromBlock),
+      reorgDepth: opts.reorgDepth,
+      maxAge: opts.maxAge,
+    });
+    const { address, port } = server.address();
+    console.log(
+      `Serving ${await presale.getAddress()} on http://${address}:${port}`,
+    );
+
+    await new Promise((resolve) => {
+      for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, resolve);
+    });
+    server.close();
+    index.close();
+  });
@@ -0,0 +1,114 @@
+const { task, types } = require("hardhat/config");
+const { formatUSDC, formatTable } = require("../scripts/lib/format");
+const { indexedEvents } = require("../scripts/lib/indexer");
+const {
+  DEFAULT_WINDOW,
+  fundingTransfers,
+  clusterWallets,
+} = require("../scripts/lib/clusters");
+const { getPresale, scanStart, syncedIndex } = require("./common");
+
+// Wallet clustering report.
+//
+//   clusters:report [--window <s>] [--ignore <addr,addr>] [--all] [--json]
+//                   [--funding-from <block>]
+//
+// Groups contributing wallets that share a USDC funding source or contribute
+// the same amount in lockstep, and lists the groups whose combined
+// contributions exceed MAX_CONTRIBUTION (every group with --all).
+
+const describe = (link) =>
+  link.type === "funding"
+    ? `funded by ${link.source}: ${link.wallets.join(", ")}`
+    : `lockstep ${formatUSDC(link.usdcAmount)} USDC ` +
+      `${link.seconds}s apart: ${link.wallets.join(", ")}`;
+
+task("clusters:report", "Wallet groups that may be evading the per-wallet cap")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("db", "Event index file")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam(
+    "fundingFrom",
+    "First block scanned for USDC transfers (default: deployment block)",
+    undefined,
+    types.int,
+  )
+  .addOptionalParam(
+    "window",
+    "Seconds within which equal contributions count as lockstep",
+    DEFAULT_WINDOW,
+    types.int,
+  )
+  .addOptionalParam("ignore", "Comma-separated funding sources to disregard")
+  .addFlag("all", "List every multi-wallet group, not only those over the cap")
+  .addFlag("json", "Print JSON instead of tables")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { index, result } = await syncedIndex(hre, presale, opts);
+    const contributions = indexedEvents(index, "Contribution");
+    index.close();
+
+    const usdc = await hre.ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+      await presale.USDC(),
+    );
+    const wallets = [...new Set(contributions.map((e) => e.args.user))];
+    const transfers = await fundingTransfers(usdc, wallets, {
+      fromBlock:
+        opts.fundingFrom ?? (await scanStart(hre, presale, opts.fromBlock)),
+      toBlock: result.toBlock,
+    });
+    const cap = await presale.MAX_CONTRIBUTION();
+    const ignore = opts.ignore
+      ? opts.ignore.split(",").map((a) => hre.ethers.getAddress(a.trim()))
+      : [];
+    const report = clusterWallets(contributions, transfers, {
+      cap,
+      window: opts.window,
+      ignore,
+    });
+    const groups = opts.all
+      ? report.groups
+      : report.groups.filter((group) => group.excessUSDC > 0n);
+
+    if (opts.json) {
+      console.log(
+        JSON.stringify(
+          { block: result.toBlock, wallets: report.wallets, groups },
+          (_, value) => (typeof value === "bigint" ? value.toString() : value),
+          2,
+        ),
+      );
+      return;
+    }
+
+    console.log(
+      `Block ${result.toBlock}: ${report.wallets} wallets, ` +
+        `${transfers.length} USDC transfers in, ` +
+        `${report.groups.length} linked groups`,
+    );
+    groups.forEach((group, i) => {
+      const over =
+        group.excessUSDC > 0n
+          ? ` (${formatUSDC(group.excessUSDC)} over the cap)`
+          : "";
+      console.log(
+        `\nGroup ${i + 1}: ${group.wallets.length} wallets, ` +
+          `${formatUSDC(group.totalUSDC)} USDC${over}`,
+      );
+      console.log(
+        formatTable(
+          ["Wallet", "USDC"],
+          group.wallets.map((w) => [w.address, formatUSDC(w.usdcAmount)]),
+        ),
+      );
+      for (const link of group.links) console.log(`  - ${describe(link)}`);
+    });
+
+    const capUSDC = formatUSDC(cap);
+    if (groups.length === 0) {
+      console.log(`\n✅ No linked group above the ${capUSDC} USDC cap`);
+    } else if (!opts.all) {
+      console.log(`\n⚠️  ${groups.length} group(s) above ${capUSDC} USDC`);
+    }
+  });
@@ -0,0 +1,100 @@
+const path = require("path");
+const {
+  resolveAddress,
+  deploymentBlock,
+} = require("../scripts/lib/deployments");
+const { formatTable } = require("../scripts/lib/format");
+const { openIndex, syncIndex } = require("../scripts/lib/indexer");
+const { resolveTime } = require("../scripts/lib/schedule");
+const { timelockQueue } = require("../scripts/lib/timelocks");
+
+// Helpers shared by the task files.
+
+async function getPresale(hre, address) {
+  return hre.ethers.getContractAt(
+    "SELFPresale",
+    address ||
+      resolveAddress(hre.network.name, "SELFPresale", "PRESALE_ADDRESS"),
+  );
+}
+
+// Key/value table, or JSON with --json
+function print(data, json) {
+  if (json) {
+    console.log(JSON.stringify(data, null, 2));
+    return;
+  }
+  console.log(
+    formatTable(
+      ["Field", "Value"],
+      Object.entries(data).map(([key, value]) => [key, value ?? "-"]),
+    ),
+  );
+}
+
+// First block for event scans: --from-block, else the manifest's
+// deployment block, else genesis
+async function scanStart(hre, presale, fromBlock) {
+  if (fromBlock !== undefined) return fromBlock;
+  const address = await presale.getAddress();
+  const block = deploymentBlock(hre.network.name, "SELFPresale", address);
+  if (block !== undefined) return block;
+  console.warn("⚠️  No deployment block known, scanning from block 0");
+  return 0;
+}
+
+// Event index file: --db, else data/<network>-events.sqlite
+const indexFile = (hre, db) =>
+  db || path.join(__dirname, "..", "data", `${hre.network.name}-events.sqlite`);
+
+/**
+ * Open the network's event index and bring it up to the latest block.
+ * The caller closes it.
+ */
+async function syncedIndex(hre, presale, { db, fromBlock, reorgDepth } = {}) {
+  const index = await openIndex(indexFile(hre, db));
+  try {
+    const result = await syncIndex(presale, index, {
+      fromBlock: await scanStart(hre, presale, fromBlock),
+      reorgDepth,
+    });
+    return { index, result };
+  } catch (error) {
+    index.close();
+    throw error;
+  }
+}
+
+// Timelock queue as of the latest block
+async function loadQueue(hre, presale, fromBlock) {
+  fromBlock = await scanStart(hre, presale, fromBlock);
+  const { number: blockTag, timestamp: now } =
+    await hre.ethers.provider.getBlock("latest");
+  return {
+    now,
+    entries: await timelockQueue(presale, { fromBlock, now, blockTag }),
+  };
+}
+
+// Time argument: unix seconds, ISO-8601 or "+<offset>" from `now`
+const cliTime = (value, now) =>
+  resolveTime(/^\d+$/.test(value) ? Number(value) : value, now);
+
+const withCommon = (definition) =>
+  definition
+    .addOptionalParam(
+      "presale",
+      "SELFPresale address (defaults to the deployment manifest)",
+    )
+    .addFlag("json", "Print JSON instead of a table");
+
+module.exports = {
+  getPresale,
+  print,
+  scanStart,
+  indexFile,
+  syncedIndex,
+  loadQueue,
+  cliTime,
+  withCommon,
+};
@@ -0,0 +1,23 @@
+const { task, types } = require("hardhat/config");
+const { DEFAULT_REORG_DEPTH } = require("../scripts/lib/indexer");
+const { getPresale, indexFile, syncedIndex } = require("./common");
+
+task("events:sync", "Index SELFPresale events into SQLite")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("db", "Index file (default data/<network>-events.sqlite)")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam(
+    "reorgDepth",
+    "Blocks rolled back and rescanned on every sync",
+    DEFAULT_REORG_DEPTH,
+    types.int,
+  )
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { index, result } = await syncedIndex(hre, presale, opts);
+    index.close();
+    console.log(
+      `Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events`,
+    );
+    console.log("Index:", indexFile(hre, opts.db));
+  });
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { formatTime, formatTable } = require("../scripts/lib/format");
+const { indexedEvents } = require("../scripts/lib/indexer");
+const {
+  participantsAt,
+  buildLedger,
+  reconcileLedger,
+  formatRow,
+  ledgerCsv,
+} = require("../scripts/lib/ledger");
+const { getPresale, syncedIndex } = require("./common");
+
+// Contributor ledger export for finance and compliance.
+//
+//   ledger:export [--block <n>] [--out <dir>]
+//
+// Writes ledger-<block>.csv and ledger-<block>.json (rows plus totals and the
+// reconciliation). Nothing is written unless the rows reconcile with
+// totalRaised, totalAllocatedSELF, totalClaimedSELF and totalParticipants.
+// Reading state at an older block needs an archive RPC endpoint.
+
+task("ledger:export", "Export every participant's state at a block")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("db", "Event index file")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam("block", "Block to read state at", undefined, types.int)
+  .addOptionalParam("out", "Output directory (default ledger/<network>)")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { index, result } = await syncedIndex(hre, presale, opts);
+    const contributions = indexedEvents(index, "Contribution");
+    index.close();
+
+    const blockTag = opts.block ?? result.toBlock;
+    if (blockTag > result.toBlock) {
+      throw new Error(`Block ${blockTag} is past the latest ${result.toBlock}`);
+    }
+    const { timestamp } = await hre.ethers.provider.getBlock(blockTag);
+    const participants = participantsAt(contributions, blockTag);
+    const at = `block ${blockTag} (${formatTime(timestamp)})`;
+    console.log(`Ledger at ${at}: ${participants.length} participants`);
+
+    const rows = await buildLedger(presale, participants, blockTag);
+    const checks = await reconcileLedger(presale, rows, blockTag);
+    console.log(
+      "\n" +
+        formatTable(
+          ["Check", "Contract", "Ledger", "Result"],
+          checks.map((c) => [
+            c.check,
+            c.expected,
+            c.actual,
+            c.ok ? "PASS" : "FAIL",
+          ]),
+        ),
+    );
+    if (checks.some((c) => !c.ok)) {
+      throw new Error("Ledger does not reconcile with contract totals");
+    }
+
+    const out = opts.out || path.join("ledger", hre.network.name);
+    fs.mkdirSync(out, { recursive: true });
+    const base = path.join(out, `ledger-${blockTag}`);
+    fs.writeFileSync(`${base}.csv`, ledgerCsv(rows));
+    fs.writeFileSync(
+      `${base}.json`,
+      JSON.stringify(
+        {
+          network: hre.network.name,
+          presale: await presale.getAddress(),
+          block: blockTag,
+          timestamp: formatTime(timestamp),
+          reconciliation: checks,
+          rows: rows.map(formatRow),
+        },
+        null,
+        2,
+      ) + "\n",
+    );
+    console.log(`\n✅ Written ${base}.csv and ${base}.json`);
+  });
@@ -0,0 +1,43 @@
+const { task, types } = require("hardhat/config");
+const { openIndex, DEFAULT_REORG_DEPTH } = require("../scripts/lib/indexer");
+const { startExporter } = require("../scripts/lib/metrics");
+const { getPresale, indexFile, scanStart } = require("./common");
+
+// Prometheus exporter (see scripts/lib/metrics.js).
+//
+//   metrics:serve [--port 9464] [--host 127.0.0.1]
+//
+// Run one exporter per deployment; samples are labelled with the contract
+// address and network so they can share a Prometheus.
+
+task("metrics:serve", "Serve presale gauges on /metrics for Prometheus")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("port", "Port to listen on", 9464, types.int)
+  .addOptionalParam("host", "Interface to bind", "127.0.0.1")
+  .addOptionalParam("db", "Index file (default data/<network>-events.sqlite)")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam(
+    "reorgDepth",
+    "Blocks rolled back and rescanned on every sync",
+    DEFAULT_REORG_DEPTH,
+    types.int,
+  )
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const index = await openIndex(indexFile(hre, opts.db));
+    const server = await startExporter(presale, index, {
+      port: opts.port,
+      host: opts.host,
+      network: hre.network.name,
+      fromBlock: await scanStart(hre, presale, opts.fromBlock),
+      reorgDepth: opts.reorgDepth,
+    });
+    const { address, port } = server.address();
+    console.log(`Exporting metrics on http://${address}:${port}/metrics`);
+
+    await new Promise((resolve) => {
+      for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, resolve);
+    });
+    server.close();
+    index.close();
+  });
@@ -0,0 +1,93 @@
+const { task, types } = require("hardhat/config");
+const { formatUSDC, formatSELF, formatTime } = require("../scripts/lib/format");
+const { openIndex, DEFAULT_REORG_DEPTH } = require("../scripts/lib/indexer");
+const {
+  pollHealth,
+  createAlerter,
+  postWebhook,
+} = require("../scripts/lib/monitor");
+const { getPresale, indexFile, scanStart } = require("./common");
+
+// Long-running solvency and health monitor.
+//
+//   monitor:health [--webhook <url>] [--interval <s>] [--once]
+//
+// Every poll syncs the event index and checks SELF balance vs outstanding
+// claims, USDC balance vs totalRaised - withdrawn, paused() and queued
+// emergency withdrawals. Alerts are POSTed to the webhook when they start
+// and when they clear; without a webhook they are only logged.
+
+task("monitor:health", "Poll presale health and send webhook alerts")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("webhook", "Alert webhook URL (or MONITOR_WEBHOOK_URL)")
+  .addOptionalParam("interval", "Seconds between polls", 60, types.int)
+  .addFlag("once", "Poll once and exit")
+  .addOptionalParam("db", "Index file (default data/<network>-events.sqlite)")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .addOptionalParam(
+    "reorgDepth",
+    "Blocks rolled back and rescanned on every sync",
+    DEFAULT_REORG_DEPTH,
+    types.int,
+  )
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const usdc = await hre.ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+      await presale.USDC(),
+    );
+    const fromBlock = await scanStart(hre, presale, opts.fromBlock);
+    const webhook = opts.webhook || process.env.MONITOR_WEBHOOK_URL;
+    if (!webhook) console.warn("⚠️  No webhook configured, logging only");
+
+    const context = {
+      network: hre.network.name,
+      presale: await presale.getAddress(),
+    };
+    const alert = createAlerter(async (notification) => {
+      const icon = notification.status === "resolved" ? "✅" : "🚨";
+      console.log(`${icon} ${notification.status}: ${notification.message}`);
+      if (webhook) await postWebhook(webhook, notification);
+    });
+
+    const index = await openIndex(indexFile(hre, opts.db));
+    let alerts = [];
+    try {
+      for (;;) {
+        try {
+          const result = await pollHealth(presale, usdc, index, {
+            fromBlock,
+            reorgDepth: opts.reorgDepth,
+          });
+          alerts = result.alerts;
+          const { snapshot } = result;
+          console.log(
+            `[${formatTime(snapshot.timestamp)}] block ${snapshot.block}: ` +
+              `SELF ${formatSELF(snapshot.selfBalance)} / ` +
+              `${formatSELF(snapshot.outstandingSELF)} outstanding, ` +
+              `USDC ${formatUSDC(snapshot.usdcBalance)}, ` +
+              `${alerts.length} alert(s)`,
+          );
+          await alert(alerts, { ...context, block: snapshot.block });
+        } catch (error) {
+          // Keep what was firing so an RPC blip does not resolve alerts
+          console.error("❌ Poll failed:", error.message);
+          const failure = {
+            key: "monitor-error",
+            severity: "warning",
+            message: `Health poll failed: ${error.message}`,
+          };
+          await alert([...alerts, failure], context).catch((notifyError) =>
+            console.error("❌ Webhook failed:", notifyError.message),
+          );
+          if (opts.once) throw error;
+        }
+        if (opts.once) break;
+        await new Promise((resolve) =>
+          setTimeout(resolve, opts.interval * 1000),
+        );
+      }
+    } finally {
+      index.close();
+    }
+  });
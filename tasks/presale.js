@@ -0,0 +1,96 @@
+const { task, types } = require("hardhat/config");
+const {
+  formatUSDC,
+  formatSELF,
+  formatTime,
+  formatRound,
+} = require("../scripts/lib/format");
+const { getPresale, print, withCommon } = require("./common");
+
+// Read-only presale tasks for ops. Amounts are printed as decimal strings
+// (USDC 6 decimals, SELF 18) and timestamps as ISO-8601, in both the text and
+// --json output.
+
+withCommon(task("presale:status", "Aggregate presale state")).setAction(
+  async ({ presale: address, json }, hre) => {
+    const presale = await getPresale(hre, address);
+    const stats = await presale.getPresaleStats();
+    // getPresaleStats() reports the round 1-based; 6 once all have ended
+    const currentRound = Number(stats._currentRound);
+    print(
+      {
+        presale: await presale.getAddress(),
+        roundsInitialized: await presale.roundsInitialized(),
+        paused: await presale.paused(),
+        currentRound: currentRound > 5 ? "ended" : currentRound,
+        totalRaisedUSDC: formatUSDC(stats._totalRaised),
+        totalParticipants: Number(stats._totalParticipants),
+        tgeEnabled: stats._tgeEnabled,
+        tgeTime: formatTime(stats._tgeTime),
+      },
+      json,
+    );
+  },
+);
+
+withCommon(task("presale:round", "Current round, or --round <1-5>"))
+  .addOptionalParam("round", "Round number (1-5)", undefined, types.int)
+  .setAction(async ({ presale: address, round, json }, hre) => {
+    const presale = await getPresale(hre, address);
+    if (round !== undefined) {
+      if (round < 1 || round > 5) throw new Error("--round must be 1-5");
+      print(formatRound(round, await presale.rounds(round - 1)), json);
+      return;
+    }
+    const current = await presale.getCurrentRound();
+    if (current.roundNumber === 5n && current.price === 0n) {
+      print({ round: "ended", finalized: true }, json);
+      return;
+    }
+    print(formatRound(Number(current.roundNumber), current), json);
+  });
+
+withCommon(task("presale:user", "Contribution and claim state of a wallet"))
+  .addParam("address", "Wallet address")
+  .setAction(async ({ presale: presaleAddress, address, json }, hre) => {
+    const presale = await getPresale(hre, presaleAddress);
+    const user = await presale.getUserContribution(address);
+    const byRound = {};
+    for (let i = 0; i < 5; i++) {
+      byRound[`round${i + 1}USDC`] = formatUSDC(
+        await presale.contributionsByRound(address, i),
+      );
+    }
+    print(
+      {
+        address: hre.ethers.getAddress(address),
+        totalUSDC: formatUSDC(user.totalUSDC),
+        ...byRound,
+        totalSELF: formatSELF(user.totalSELF),
+        totalBonusSELF: formatSELF(user.totalBonus),
+        tgeUnlockSELF: formatSELF(user.tgeUnlockAmount),
+        vestedSELF: formatSELF(user.vestedAmount),
+        claimedSELF: formatSELF(user.claimed),
+        claimableSELF: formatSELF(user.claimable),
+      },
+      json,
+    );
+  });
+
+withCommon(
+  task("presale:solvency", "SELF balance against outstanding claims"),
+).setAction(async ({ presale: address, json }, hre) => {
+  const presale = await getPresale(hre, address);
+  const { excess, balance, outstanding } = await presale.getExcessSELFBalance();
+  print(
+    {
+      balanceSELF: formatSELF(balance),
+      totalAllocatedSELF: formatSELF(await presale.totalAllocatedSELF()),
+      totalClaimedSELF: formatSELF(await presale.totalClaimedSELF()),
+      outstandingSELF: formatSELF(outstanding),
+      excessSELF: formatSELF(excess),
+      solvent: balance >= outstanding,
+    },
+    json,
+  );
+});
@@ -0,0 +1,150 @@
+const { task, types } = require("hardhat/config");
+const { decodeRevert } = require("../scripts/lib/errors");
+const {
+  formatUSDC,
+  formatTime,
+  formatDuration,
+} = require("../scripts/lib/format");
+const { writeSafeBatch } = require("../scripts/lib/safe-batch");
+const {
+  roundStatus,
+  planTransition,
+  transitionBatch,
+} = require("../scripts/lib/rounds");
+const { getPresale, print } = require("./common");
+
+// Round transition advisor.
+//
+//   rounds:advise [--watch] [--interval <s>] [--early]
+//                 [--safe-batch <file> --safe <address>]
+//
+// Reports the current round's remaining capacity, the time left until its
+// endTime backstop and whether it auto-finalized. When a transition is due
+// (the round is finalized, or endTime has passed; or --early) it lists the
+// calls needed (finalizeRound + advanceRound, or advanceRound only) and,
+// with --safe-batch, writes them as one Safe batch. Round 5 is never advanced.
+
+function summary(status, plan) {
+  if (status.ended) return { round: "ended", due: false, reason: plan.reason };
+  return {
+    round: status.round,
+    raised: formatUSDC(status.raised),
+    target: formatUSDC(status.target),
+    remaining: formatUSDC(status.remaining),
+    endTime: formatTime(status.endTime),
+    timeLeft: status.pastEndTime
+      ? "passed"
+      : formatDuration(status.secondsLeft),
+    finalized: status.finalized,
+    autoFinalized: status.autoFinalized,
+    due: plan.due,
+    actions: plan.actions.join(" + ") || null,
+    reason: plan.reason,
+  };
+}
+
+// Role and simulated first call from the Safe; later calls depend on it
+async function safeChecks(hre, presale, safe, plan) {
+  const role = await presale.ROUND_MANAGER_ROLE();
+  const checks = [];
+  const hasRole = await presale.hasRole(role, safe);
+  checks.push({
+    check: `${safe} holds ROUND_MANAGER_ROLE`,
+    ok: hasRole,
+    detail: hasRole ? "" : "missing role",
+  });
+  const [first] = plan.actions;
+  try {
+    await presale
+      .connect(hre.ethers.provider)
+      [first].staticCall({ from: safe });
+    checks.push({ check: `Simulated ${first}`, ok: true, detail: "" });
+  } catch (error) {
+    checks.push({
+      check: `Simulated ${first}`,
+      ok: false,
+      detail: decodeRevert(presale, error),
+    });
+  }
+  return checks;
+}
+
+task("rounds:advise", "Current round capacity and due transitions")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addFlag("watch", "Keep polling and report changes")
+  .addOptionalParam("interval", "Seconds between polls", 60, types.int)
+  .addFlag("early", "Plan finalizing an open round that has capacity left")
+  .addOptionalParam("safeBatch", "Write the due transition to this file")
+  .addOptionalParam("safe", "Safe executing the batch (or MULTISIG_ADDRESS)")
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const safe = opts.safe || process.env.MULTISIG_ADDRESS;
+    if (opts.safeBatch && !safe) {
+      throw new Error("--safe-batch needs --safe or MULTISIG_ADDRESS");
+    }
+
+    let reported;
+    let written;
+    for (;;) {
+      try {
+        const status = await roundStatus(presale);
+        const plan = planTransition(status, { early: opts.early });
+        const fields = summary(status, plan);
+
+        // In watch mode only changes are printed in full
+        const key = JSON.stringify({ ...fields, timeLeft: undefined });
+        if (key !== reported) {
+          reported = key;
+          if (opts.watch) console.log(`\n[${formatTime(status.timestamp)}]`);
+          if (opts.json) {
+            print({ ...fields, conditions: plan.conditions }, true);
+          } else {
+            print(fields);
+            if (status.dust) {
+              console.log(
+                `ℹ️  Only ${formatUSDC(status.remaining)} USDC left, below ` +
+                  "the minimum: only that exact amount can still be bought",
+              );
+            }
+            for (const { error, message } of plan.conditions) {
+              console.log(`ℹ️  ${error}: ${message}`);
+            }
+          }
+        }
+
+        const batchKey = `${status.round}:${plan.actions.join(",")}`;
+        if (plan.due && opts.safeBatch && written !== batchKey) {
+          const checks = await safeChecks(hre, presale, safe, plan);
+          for (const { check, ok, detail } of checks) {
+            console.log(
+              ok ? "✅" : "❌",
+              detail ? `${check} (${detail})` : check,
+            );
+          }
+          if (checks.some((result) => !result.ok)) {
+            throw new Error(`Checks failed: ${plan.actions[0]} would revert`);
+          }
+          const { chainId } = await hre.ethers.provider.getNetwork();
+          const batch = await transitionBatch(presale, status, plan, {
+            chainId,
+            safeAddress: safe,
+          });
+          writeSafeBatch(opts.safeBatch, batch);
+          written = batchKey;
+          console.log(
+            `✅ ${batch.meta.name} batch written to: ${opts.safeBatch}`,
+          );
+        } else if (plan.due && !opts.safeBatch && !opts.watch) {
+          console.log("\nTransition due: re-run with --safe-batch to write it");
+        }
+      } catch (error) {
+        // A watcher outlives RPC blips; a one-off run reports the failure
+        if (!opts.watch) throw error;
+        console.error("❌ Poll failed:", error.message);
+      }
+
+      if (!opts.watch) return;
+      await new Promise((resolve) => setTimeout(resolve, opts.interval * 1000));
+    }
+  });
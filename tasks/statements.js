@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { indexedEvents } = require("../scripts/lib/indexer");
+const { participantsAt } = require("../scripts/lib/ledger");
+const {
+  buildStatement,
+  statementCsv,
+  statementHtml,
+} = require("../scripts/lib/statements");
+const { getPresale, syncedIndex } = require("./common");
+
+// Contributor cost-basis statements.
+//
+//   statements:export [--address <wallet>] [--format csv|html|both]
+//                     [--out <dir>]
+//
+// Writes <address>.csv and/or <address>.html per wallet (default: every
+// participant) to statements/<network>.
+
+const FORMATS = ["csv", "html", "both"];
+
+task("statements:export", "Per-wallet cost-basis and claim statements")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("address", "Wallet (default: every participant)")
+  .addOptionalParam("format", "csv, html or both", "both")
+  .addOptionalParam("out", "Output directory (default statements/<network>)")
+  .addOptionalParam("db", "Event index file")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .setAction(async (opts, hre) => {
+    if (!FORMATS.includes(opts.format)) {
+      throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+    }
+    const presale = await getPresale(hre, opts.presale);
+    const { index, result } = await syncedIndex(hre, presale, opts);
+    const events = indexedEvents(index, ["Contribution", "TokensClaimed"]);
+    index.close();
+
+    const block = result.toBlock;
+    const { timestamp } = await hre.ethers.provider.getBlock(block);
+    const prices = [];
+    for (let i = 0; i < 5; i++) {
+      prices.push((await presale.rounds(i, { blockTag: block })).price);
+    }
+    const context = {
+      presale: await presale.getAddress(),
+      network: hre.network.name,
+      block,
+      timestamp,
+    };
+
+    const contributions = events.filter((e) => e.name === "Contribution");
+    const wallets = opts.address
+      ? [hre.ethers.getAddress(opts.address)]
+      : participantsAt(contributions, block);
+    const out = opts.out || path.join("statements", hre.network.name);
+    fs.mkdirSync(out, { recursive: true });
+
+    for (const address of wallets) {
+      const statement = buildStatement(address, events, prices);
+      if (statement.lots.length === 0) {
+        console.warn(`⚠️  ${address} has no contributions`);
+        continue;
+      }
+      const base = path.join(out, address);
+      if (opts.format !== "html") {
+        fs.writeFileSync(`${base}.csv`, statementCsv(statement));
+      }
+      if (opts.format !== "csv") {
+        fs.writeFileSync(`${base}.html`, statementHtml(statement, context));
+      }
+      const { lots, claims } = statement;
+      console.log(`${address}: ${lots.length} lots, ${claims.length} claims`);
+    }
+    console.log(`\n✅ Statements as of block ${block} written to ${out}`);
+  });
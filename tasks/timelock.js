@@ -0,0 +1,264 @@
+const { task, types } = require("hardhat/config");
+const { decodeRevert } = require("../scripts/lib/errors");
+const {
+  formatUSDC,
+  parseUSDC,
+  formatTime,
+  formatTable,
+} = require("../scripts/lib/format");
+const {
+  safeTransaction,
+  buildSafeBatch,
+  writeSafeBatch,
+} = require("../scripts/lib/safe-batch");
+const {
+  OPERATIONS,
+  isOpen,
+  executeChecks,
+  requestChecks,
+} = require("../scripts/lib/timelocks");
+const { getPresale, loadQueue, cliTime, withCommon } = require("./common");
+
+// Timelock queue inspector and operator commands.
+//
+//   timelock:list                          open requests (--all for history)
+//   timelock:queue tge --tge-time <time>
+//   timelock:queue withdraw --treasury <address> --amount <usdc>
+//   timelock:queue emergency
+//   timelock:execute <tge|emergency|nonce> [--recipient <address>]
+//   timelock:cancel <tge|emergency|nonce>
+//
+// Sending commands run the same checks as the contract first and refuse to
+// send if any fail. --dry-run stops after the checks; --safe-batch writes a
+// Safe Transaction Builder file for --safe (or MULTISIG_ADDRESS) instead.
+
+const KINDS = {
+  tge: "enableTGE",
+  withdraw: "withdrawFunds",
+  emergency: "emergencyWithdrawSELF",
+};
+
+function entryId(entry) {
+  if (entry.kind === "withdrawFunds") return String(entry.nonce);
+  if (entry.kind === "enableTGE") return "tge";
+  if (entry.kind === "emergencyWithdrawSELF") return "emergency";
+  return entry.action;
+}
+
+function describe(entry) {
+  if (entry.kind === "withdrawFunds") {
+    const amount =
+      entry.amount === 0n ? "full balance" : `${formatUSDC(entry.amount)} USDC`;
+    return `${amount} -> ${entry.treasury}`;
+  }
+  if (entry.kind === "enableTGE" && entry.tgeTime) {
+    return `TGE at ${formatTime(entry.tgeTime)}`;
+  }
+  return "";
+}
+
+const withSend = (definition) =>
+  definition
+    .addOptionalParam("presale", "SELFPresale address")
+    .addOptionalParam("fromBlock", "First block to scan", undefined, types.int)
+    .addFlag("dryRun", "Run the checks only, send nothing")
+    .addOptionalParam("safeBatch", "Write a Safe batch to this file instead")
+    .addOptionalParam("safe", "Safe executing the batch (or MULTISIG_ADDRESS)");
+
+/**
+ * Check role, contract preconditions and a simulated call from the executor,
+ * then send, write a Safe batch, or stop (dry run).
+ */
+async function submit(hre, presale, opts, { kind, method, args, checks }) {
+  const { dryRun, safeBatch } = opts;
+  const safe = opts.safe || process.env.MULTISIG_ADDRESS;
+  if (safeBatch && !safe) {
+    throw new Error("--safe-batch needs --safe or MULTISIG_ADDRESS");
+  }
+  let executor = safe;
+  if (!safeBatch) {
+    const [signer] = await hre.ethers.getSigners();
+    if (!signer) {
+      throw new Error("No signer configured (set DEPLOYER_PRIVATE_KEY)");
+    }
+    executor = signer.address;
+  }
+
+  const { role } = OPERATIONS[kind];
+  const hasRole = await presale.hasRole(await presale[role](), executor);
+  checks.push({
+    check: `${executor} holds ${role}`,
+    ok: hasRole,
+    detail: hasRole ? "" : "missing role",
+  });
+  try {
+    await presale
+      .connect(hre.ethers.provider)
+      [method].staticCall(...args, { from: executor });
+    checks.push({ check: `Simulated ${method}`, ok: true, detail: "" });
+  } catch (error) {
+    checks.push({
+      check: `Simulated ${method}`,
+      ok: false,
+      detail: decodeRevert(presale, error),
+    });
+  }
+
+  console.log(`${method}(${args.join(", ")})`);
+  for (const { check, ok, detail } of checks) {
+    console.log(ok ? "✅" : "❌", detail ? `${check} (${detail})` : check);
+  }
+  if (checks.some((result) => !result.ok)) {
+    throw new Error(`Checks failed: ${method} would revert`);
+  }
+  if (dryRun) {
+    console.log("\nDry run: nothing sent.");
+    return;
+  }
+
+  if (safeBatch) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = buildSafeBatch({
+      chainId,
+      safeAddress: safe,
+      name: `SELFPresale ${method}`,
+      transactions: [await safeTransaction(presale, method, args)],
+    });
+    writeSafeBatch(safeBatch, batch);
+    console.log("\n✅ Safe Transaction Builder batch written to:", safeBatch);
+    return;
+  }
+
+  const tx = await presale[method](...args);
+  console.log("\nTransaction hash:", tx.hash);
+  await tx.wait();
+  console.log(`✅ ${method} confirmed`);
+}
+
+withCommon(task("timelock:list", "Pending timelock requests"))
+  .addOptionalParam("fromBlock", "First block to scan", undefined, types.int)
+  .addFlag("all", "Include executed and cancelled requests")
+  .setAction(async ({ presale: address, fromBlock, all, json }, hre) => {
+    const presale = await getPresale(hre, address);
+    const { entries } = await loadQueue(hre, presale, fromBlock);
+    const shown = entries.filter((entry) => all || isOpen(entry));
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          shown.map((entry) => ({
+            id: entryId(entry),
+            ...entry,
+            amount:
+              entry.amount === undefined ? undefined : formatUSDC(entry.amount),
+            readyAt: formatTime(entry.readyAt),
+            tgeTime: entry.tgeTime && formatTime(entry.tgeTime),
+          })),
+          null,
+          2,
+        ),
+      );
+      return;
+    }
+    if (shown.length === 0) {
+      console.log(
+        all ? "No timelock requests" : "No pending timelock requests",
+      );
+      return;
+    }
+    console.log(
+      formatTable(
+        ["ID", "Action", "Details", "Ready at", "State"],
+        shown.map((entry) => [
+          entryId(entry),
+          entry.kind,
+          describe(entry),
+          formatTime(entry.readyAt),
+          entry.state,
+        ]),
+      ),
+    );
+  });
+
+withSend(task("timelock:queue", "Request a timelocked action"))
+  .addPositionalParam("action", "tge | withdraw | emergency")
+  .addOptionalParam("tgeTime", "TGE time: unix seconds, ISO-8601 or +offset")
+  .addOptionalParam("treasury", "Withdrawal recipient")
+  .addOptionalParam("amount", "Withdrawal amount in USDC (0 = full balance)")
+  .setAction(async (opts, hre) => {
+    const kind = KINDS[opts.action];
+    if (!kind) throw new Error(`Unknown action ${opts.action}`);
+    const presale = await getPresale(hre, opts.presale);
+    const { now, entries } = await loadQueue(hre, presale, opts.fromBlock);
+
+    let args = [];
+    const params = {};
+    if (kind === "enableTGE") {
+      if (!opts.tgeTime) throw new Error("--tge-time required");
+      params.tgeTime = cliTime(opts.tgeTime, now);
+      args = [params.tgeTime];
+      console.log("TGE time:", formatTime(params.tgeTime));
+    }
+    if (kind === "withdrawFunds") {
+      if (!opts.treasury || opts.amount === undefined) {
+        throw new Error("--treasury and --amount required");
+      }
+      params.treasury = hre.ethers.getAddress(opts.treasury);
+      args = [params.treasury, parseUSDC(opts.amount)];
+    }
+
+    await submit(hre, presale, opts, {
+      kind,
+      method: OPERATIONS[kind].request,
+      args,
+      checks: await requestChecks(presale, kind, params, entries, now),
+    });
+  });
+
+withSend(task("timelock:execute", "Execute a request whose delay has passed"))
+  .addPositionalParam("id", "tge | emergency | withdrawal nonce")
+  .addOptionalParam("recipient", "Recipient for the emergency SELF withdrawal")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { now, entries } = await loadQueue(hre, presale, opts.fromBlock);
+    const entry = entries.filter((e) => entryId(e) === opts.id).pop();
+    if (!entry) throw new Error(`No timelock request ${opts.id}`);
+
+    let args = [];
+    if (entry.kind === "withdrawFunds") args = [entry.nonce];
+    if (entry.kind === "emergencyWithdrawSELF") {
+      if (!opts.recipient) throw new Error("--recipient required");
+      args = [hre.ethers.getAddress(opts.recipient)];
+    }
+
+    // The transaction lands in a later block than the one just read
+    await submit(hre, presale, opts, {
+      kind: entry.kind,
+      method: OPERATIONS[entry.kind].execute,
+      args,
+      checks: await executeChecks(presale, entry, now + 1),
+    });
+  });
+
+withSend(task("timelock:cancel", "Cancel a pending timelock request"))
+  .addPositionalParam("id", "tge | emergency | withdrawal nonce")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { entries } = await loadQueue(hre, presale, opts.fromBlock);
+    const entry = entries.filter((e) => entryId(e) === opts.id).pop();
+    if (!entry) throw new Error(`No timelock request ${opts.id}`);
+
+    const open = isOpen(entry);
+    await submit(hre, presale, opts, {
+      kind: entry.kind,
+      method: OPERATIONS[entry.kind].cancel,
+      args: entry.kind === "withdrawFunds" ? [entry.nonce] : [],
+      checks: [
+        {
+          check: "Request still open",
+          ok: open,
+          detail: open ? "" : entry.state,
+        },
+      ],
+    });
+  });
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  formatUSDC,
+  parseUSDC,
+  formatTime,
+  formatTable,
+} = require("../scripts/lib/format");
+const { DAY } = require("../scripts/lib/schedule");
+const {
+  safeTransaction,
+  buildSafeBatch,
+  writeSafeBatch,
+} = require("../scripts/lib/safe-batch");
+const { isOpen } = require("../scripts/lib/timelocks");
+const { planWithdrawals } = require("../scripts/lib/withdrawal-plan");
+const { getPresale, loadQueue, cliTime } = require("./common");
+
+// Treasury withdrawal planner.
+//
+//   treasury:plan --treasury <address> --amount <usdc|max> [--request-at <time>]
+//
+// Writes to --out (default withdrawal-plan/<network>):
+//   plan.json                    calendar with amounts, nonces and windows
+//   01-request.json              one Safe batch with every requestWithdrawFunds
+//   02-execute-<date>.json, ...  one Safe batch per UTC day of executions
+//
+// The calendar starts TIMELOCK_WITHDRAW after --request-at, so set it to when
+// the Safe will actually execute the request batch; if the batch lands later,
+// every window shifts and the plan should be regenerated. Nonces are predicted
+// from withdrawRequestNonce, so the request batch must also be the next
+// withdrawal request executed.
+
+const utcDate = (day) => formatTime(day * DAY).slice(0, 10);
+
+task("treasury:plan", "Plan withdrawals under the daily limit")
+  .addOptionalParam("presale", "SELFPresale address")
+  .addOptionalParam("fromBlock", "First block to scan", undefined, types.int)
+  .addOptionalParam("safe", "Safe executing the batches (or MULTISIG_ADDRESS)")
+  .addOptionalParam("out", "Output directory")
+  .addParam("treasury", "Address receiving the USDC")
+  .addParam("amount", 'Total USDC to withdraw, or "max" for the full balance')
+  .addOptionalParam(
+    "requestAt",
+    "When the request batch will execute: unix seconds, ISO-8601 or +offset (default: now)",
+  )
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const safe = opts.safe || process.env.MULTISIG_ADDRESS;
+    if (!safe) throw new Error("--safe or MULTISIG_ADDRESS required");
+    const treasury = hre.ethers.getAddress(opts.treasury);
+
+    const { now, entries } = await loadQueue(hre, presale, opts.fromBlock);
+    const usdc = await hre.ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+      await presale.USDC(),
+    );
+    const balance = await usdc.balanceOf(await presale.getAddress());
+    const total = opts.amount === "max" ? balance : parseUSDC(opts.amount);
+    if (total > balance) {
+      const held = formatUSDC(balance);
+      throw new Error(
+        `${formatUSDC(total)} USDC requested, presale holds ${held}`,
+      );
+    }
+    const requestAt = opts.requestAt ? cliTime(opts.requestAt, now) : now;
+
+    const { readyAt, tranches } = planWithdrawals({
+      total,
+      requestAt,
+      lastWithdrawalDay: await presale.lastWithdrawalDay(),
+      withdrawnToday: await presale.withdrawnToday(),
+    });
+    const firstNonce = Number(await presale.withdrawRequestNonce()) + 1;
+    tranches.forEach((tranche, i) => (tranche.nonce = firstNonce + i));
+
+    const TREASURY_ROLE = await presale.TREASURY_ROLE();
+    if (!(await presale.hasRole(TREASURY_ROLE, safe))) {
+      console.warn(`⚠️  ${safe} does not hold TREASURY_ROLE`);
+    }
+    const pending = entries.filter(
+      (entry) => entry.kind === "withdrawFunds" && isOpen(entry),
+    );
+    if (pending.length > 0) {
+      const nonces = pending.map((entry) => entry.nonce).join(", ");
+      console.warn(
+        `⚠️  Withdrawal request(s) ${nonces} still open; ` +
+          "executing them on a planned day uses that day's limit",
+      );
+    }
+
+    console.log(`Withdrawal plan: ${formatUSDC(total)} USDC -> ${treasury}`);
+    console.log("Presale USDC balance:", formatUSDC(balance));
+    console.log("Requests land:", formatTime(requestAt));
+    console.log("Executable from:", formatTime(readyAt));
+    console.log(
+      "\n" +
+        formatTable(
+          ["Nonce", "Amount (USDC)", "UTC day", "Execute from", "Execute by"],
+          tranches.map((t) => [
+            t.nonce,
+            formatUSDC(t.amount),
+            utcDate(t.day),
+            formatTime(t.executeFrom),
+            formatTime(t.executeUntil),
+          ]),
+        ),
+    );
+
+    const out = opts.out || path.join("withdrawal-plan", hre.network.name);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = async (name, description, method, argsList) =>
+      buildSafeBatch({
+        chainId,
+        safeAddress: safe,
+        name,
+        description,
+        transactions: await Promise.all(
+          argsList.map((args) => safeTransaction(presale, method, args)),
+        ),
+      });
+
+    const files = [];
+    const write = (file, contents) => {
+      writeSafeBatch(path.join(out, file), contents);
+      files.push(path.join(out, file));
+    };
+    const lastNonce = firstNonce + tranches.length - 1;
+    write(
+      "01-request.json",
+      await batch(
+        "SELFPresale withdrawal requests",
+        `Nonces ${firstNonce}-${lastNonce}, ${formatUSDC(
+          total,
+        )} USDC to ${treasury}`,
+        "requestWithdrawFunds",
+        tranches.map((t) => [treasury, t.amount]),
+      ),
+    );
+    for (const [i, tranche] of tranches.entries()) {
+      const step = String(i + 2).padStart(2, "0");
+      const from = formatTime(tranche.executeFrom);
+      const until = formatTime(tranche.executeUntil);
+      write(
+        `${step}-execute-${utcDate(tranche.day)}.json`,
+        await batch(
+          `SELFPresale withdrawal ${tranche.nonce}`,
+          `Execute between ${from} and ${until}`,
+          "executeWithdrawFunds",
+          [[tranche.nonce]],
+        ),
+      );
+    }
+
+    fs.writeFileSync(
+      path.join(out, "plan.json"),
+      JSON.stringify(
+        {
+          network: hre.network.name,
+          presale: await presale.getAddress(),
+          safe,
+          treasury,
+          total: formatUSDC(total),
+          requestAt: formatTime(requestAt),
+          readyAt: formatTime(readyAt),
+          tranches: tranches.map((t) => ({
+            nonce: t.nonce,
+            amount: formatUSDC(t.amount),
+            day: utcDate(t.day),
+            executeFrom: formatTime(t.executeFrom),
+            executeUntil: formatTime(t.executeUntil),
+          })),
+        },
+        null,
+        2,
+      ) + "\n",
+    );
+
+    console.log("\nPlan written to:", path.join(out, "plan.json"));
+    files.forEach((file) => console.log("Safe batch:", file));
+  });
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  formatSELF,
+  formatTime,
+  formatTable,
+} = require("../scripts/lib/format");
+const { indexedEvents } = require("../scripts/lib/indexer");
+const { participantsAt } = require("../scripts/lib/ledger");
+const { DAY } = require("../scripts/lib/schedule");
+const {
+  unlockedAmount,
+  claimableAmount,
+  unlockCalendar,
+} = require("../scripts/lib/vesting");
+const {
+  getPresale,
+  print,
+  syncedIndex,
+  cliTime,
+  withCommon,
+} = require("./common");
+
+// Vesting answers computed off-chain with the contract's own arithmetic.
+//
+//   vesting:claimable --address <wallet> [--at <time>]
+//   vesting:calendar [--address <wallet>] [--step <days>] [--out <file.csv>]
+//
+// Before TGE is enabled, pass --tge-time to assume one (defaults to a pending
+// TGE request if there is one).
+
+// TGE the schedule runs from: the contract's once enabled, else --tge-time,
+// else the pending request
+async function resolveTge(presale, tgeTime, now) {
+  if (await presale.tgeEnabled()) {
+    if (tgeTime !== undefined) {
+      console.warn("⚠️  TGE is enabled, ignoring --tge-time");
+    }
+    return { tgeEnabled: true, tgeTime: Number(await presale.tgeTime()) };
+  }
+  if (tgeTime !== undefined) {
+    return { tgeEnabled: false, tgeTime: cliTime(tgeTime, now) };
+  }
+  const pending = Number(await presale.pendingTgeTime());
+  if (pending === 0) {
+    throw new Error("TGE is not enabled or requested; pass --tge-time");
+  }
+  console.warn(`⚠️  Assuming the pending TGE at ${formatTime(pending)}`);
+  return { tgeEnabled: false, tgeTime: pending };
+}
+
+async function allocation(presale, address, blockTag) {
+  const user = await presale.getUserContribution(address, { blockTag });
+  return {
+    totalSELF: user.totalSELF,
+    tgeUnlockAmount: user.tgeUnlockAmount,
+    vestedAmount: user.vestedAmount,
+    claimed: user.claimed,
+  };
+}
+
+withCommon(task("vesting:claimable", "SELF a wallet can claim at a time"))
+  .addParam("address", "Wallet")
+  .addOptionalParam("at", "Unix seconds, ISO-8601 or +offset (default now)")
+  .addOptionalParam("tgeTime", "Assumed TGE time while TGE is not enabled")
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const address = hre.ethers.getAddress(opts.address);
+    const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+    const at = opts.at === undefined ? now : cliTime(opts.at, now);
+    const tge = await resolveTge(presale, opts.tgeTime, now);
+    const user = await allocation(presale, address, "latest");
+
+    // An assumed TGE is treated as enabled so the answer is what the wallet
+    // could claim once it is
+    const claimable = claimableAmount(user, { ...tge, tgeEnabled: true }, at);
+    print(
+      {
+        address,
+        at: formatTime(at),
+        tgeTime: formatTime(tge.tgeTime),
+        tgeEnabled: tge.tgeEnabled,
+        totalSELF: formatSELF(user.totalSELF),
+        unlockedSELF: formatSELF(unlockedAmount(user, tge.tgeTime, at)),
+        claimedSELF: formatSELF(user.claimed),
+        claimableSELF: formatSELF(claimable),
+      },
+      opts.json,
+    );
+    if (at < now) {
+      console.warn("⚠️  Claimed amount is as of now, not --at");
+    }
+  });
+
+withCommon(task("vesting:calendar", "Unlock calendar for a wallet or all"))
+  .addOptionalParam("address", "Wallet (default: every participant)")
+  .addOptionalParam("tgeTime", "Assumed TGE time while TGE is not enabled")
+  .addOptionalParam("step", "Days between rows", 30, types.int)
+  .addOptionalParam("out", "Also write the calendar as CSV")
+  .addOptionalParam("db", "Event index file")
+  .addOptionalParam("fromBlock", "Deployment block", undefined, types.int)
+  .setAction(async (opts, hre) => {
+    const presale = await getPresale(hre, opts.presale);
+    const { number: blockTag, timestamp: now } =
+      await hre.ethers.provider.getBlock("latest");
+    const tge = await resolveTge(presale, opts.tgeTime, now);
+
+    let wallets;
+    if (opts.address) {
+      wallets = [hre.ethers.getAddress(opts.address)];
+    } else {
+      const { index } = await syncedIndex(hre, presale, opts);
+      wallets = participantsAt(indexedEvents(index, "Contribution"), blockTag);
+      index.close();
+    }
+    const allocations = [];
+    for (const address of wallets) {
+      allocations.push(await allocation(presale, address, blockTag));
+    }
+
+    const step = opts.step * DAY;
+    const calendar = unlockCalendar(allocations, tge.tgeTime, step).map(
+      (point, i) => ({
+        period: i,
+        date: formatTime(point.time),
+        unlockedSELF: formatSELF(point.unlocked),
+        cumulativeSELF: formatSELF(point.cumulative),
+        lockedSELF: formatSELF(point.locked),
+      }),
+    );
+
+    const scope = opts.address || `${wallets.length} participants`;
+    if (opts.json) {
+      const tgeTime = formatTime(tge.tgeTime);
+      console.log(
+        JSON.stringify({ scope, ...tge, tgeTime, calendar }, null, 2),
+      );
+    } else {
+      console.log(
+        `Unlock calendar for ${scope} (TGE ${formatTime(tge.tgeTime)})`,
+      );
+      console.log(
+        formatTable(
+          ["Period", "Date", "Unlocked", "Cumulative", "Locked"],
+          calendar.map((row) => Object.values(row)),
+        ),
+      );
+    }
+
+    if (opts.out) {
+      const columns = Object.keys(calendar[0]);
+      const lines = [columns.join(",")];
+      for (const row of calendar) lines.push(Object.values(row).join(","));
+      fs.mkdirSync(path.dirname(path.resolve(opts.out)), { recursive: true });
+      fs.writeFileSync(opts.out, lines.join("\n") + "\n");
+      console.log(`\n✅ Written ${opts.out}`);
+    }
+  });
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  openIndex,
+  syncIndex,
+  indexedEvents,
+} = require("../scripts/lib/indexer");
+const {
+  allocate,
+  replayAllocations,
+  reconcileAllocations,
+} = require("../scripts/lib/allocations");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+describe("Allocation reconciliation", function () {
+  let presale;
+  let user1, user2, user3;
+  let deployBlock, startTimes;
+  let index;
+
+  beforeEach(async function () {
+    ({ presale, user1, user2, user3, deployBlock, startTimes } =
+      await loadFixture(approvedFixture));
+    index = await openIndex();
+  });
+
+  afterEach(function () {
+    index.close();
+  });
+
+  async function reconcile() {
+    const { toBlock } = await syncIndex(presale, index, {
+      fromBlock: deployBlock,
+    });
+    return reconcileAllocations(
+      presale,
+      indexedEvents(index, "Contribution"),
+      toBlock
+    );
+  }
+
+  // Slot of `mapping(address => UserContribution) contributions`, found by
+  // looking for the wallet's totalUSDC
+  async function contributionSlot(user) {
+    const { totalUSDC } = await presale.contributions(user);
+    for (let slot = 0; slot < 64; slot++) {
+      const key = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "uint256"],
+          [user, slot]
+        )
+      );
+      const value = await ethers.provider.getStorage(
+        await presale.getAddress(),
+        key
+      );
+      if (BigInt(value) === totalUSDC) return BigInt(key);
+    }
+    throw new Error("contributions slot not found");
+  }
+
+  it("Should match every wallet across rounds and report rounding", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await presale.connect(user2).contribute(usdc("777.777777"));
+    await time.increaseTo(startTimes[1]);
+    await presale.finalizeRound();
+    await presale.advanceRound();
+    await presale.connect(user1).contribute(usdc("333.333333"));
+    await presale.connect(user3).contribute(usdc("100.000001"));
+
+    const report = await reconcile();
+    expect(report.wallets).to.equal(3);
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.eventMismatches).to.deep.equal([]);
+    expect(report.totals.replayedSELF).to.equal(
+      report.totals.totalAllocatedSELF
+    );
+
+    // Expected gain per contribution: (price - remainder) / price wei
+    const contributions = [
+      [usdc("1000"), 60000n],
+      [usdc("777.777777"), 60000n],
+      [usdc("333.333333"), 70000n],
+      [usdc("100.000001"), 70000n],
+    ];
+    let gain = 0;
+    let roundedUp = 0;
+    for (const [amount, price] of contributions) {
+      const remainder = (amount * 10n ** 18n) % price;
+      if (remainder > 0n) {
+        roundedUp++;
+        gain += Number(price - remainder) / Number(price);
+      }
+    }
+    expect(report.rounding.contributions).to.equal(4);
+    expect(report.rounding.roundedUp).to.equal(roundedUp);
+    expect(Number(report.rounding.roundUpWei)).to.be.closeTo(gain, 1e-6);
+    expect(report.rounding.netWei).to.equal(report.rounding.roundUpWei);
+  });
+
+  it("Should flag a wallet whose stored allocation is off by one wei", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await presale.connect(user2).contribute(usdc("500"));
+
+    // Fields follow the struct order: totalUSDC, totalSELF, ...
+    const base = await contributionSlot(user2.address);
+    const { totalSELF } = await presale.contributions(user2.address);
+    await network.provider.send("hardhat_setStorageAt", [
+      await presale.getAddress(),
+      ethers.toBeHex(base + 1n, 32),
+      ethers.toBeHex(totalSELF + 1n, 32),
+    ]);
+
+    const { mismatches } = await reconcile();
+    expect(mismatches).to.have.length(1);
+    expect(mismatches[0]).to.include({
+      address: user2.address,
+      field: "totalSELF",
+      diff: 1n,
+    });
+  });
+
+  it("Should flag events whose amounts do not follow the rounding rules", function () {
+    const rounds = [{ price: 60000n, bonus: 0, tgeUnlock: 40 }];
+    const event = (selfAmount) => ({
+      transactionHash: "0x01",
+      args: {
+        user: user1.address,
+        round: "0",
+        usdcAmount: usdc("1000").toString(),
+        selfAmount: selfAmount.toString(),
+        bonusAmount: "0",
+      },
+    });
+    const { selfAmount } = allocate(usdc("1000"), rounds[0]);
+
+    expect(
+      replayAllocations([event(selfAmount)], rounds).eventMismatches
+    ).to.deep.equal([]);
+    const [mismatch] = replayAllocations(
+      [event(selfAmount - 1n)],
+      rounds
+    ).eventMismatches;
+    expect(mismatch).to.include({
+      field: "selfAmount",
+      actual: selfAmount - 1n,
+    });
+  });
+
+  it("Should split bonus rounds the way contribute() does", function () {
+    const result = allocate(usdc("1000"), {
+      price: 70000n,
+      bonus: 15,
+      tgeUnlock: 50,
+    });
+    const exact = (usdc("1000") * 10n ** 18n) / 70000n;
+
+    expect(result.selfAmount).to.equal(exact + 1n);
+    expect(result.bonusAmount).to.equal((result.selfAmount * 15n) / 100n);
+    expect(result.tgeUnlockAmount + result.vestedAmount).to.equal(
+      result.totalSELF
+    );
+    expect(result.bonusFloor).to.deep.equal([
+      (result.selfAmount * 15n) % 100n,
+      100n,
+    ]);
+  });
+});
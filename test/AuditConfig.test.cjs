@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { auditPresale } = require("../scripts/audit-config");
+const { ROLE_NAMES } = require("../scripts/handover-roles");
+const expectedBase = require("../config/expected/base.json");
+const { deployedFixture } = require("./fixtures.cjs");
+
+describe("Configuration audit", function () {
+  let presale, selfToken, mockUSDC;
+  let admin, other;
+  let deployBlock;
+
+  // Rounds initialized and funded with the mainnet SELF funding
+  async function configuredFixture() {
+    const fixture = await loadFixture(deployedFixture);
+    const now = await time.latest();
+    const startTimes = [1, 2, 3, 4, 5].map((i) => now + 3600 * i);
+    const endTimes = startTimes.map((t) => t + 1800);
+    await fixture.presale.initializeRounds(startTimes, endTimes);
+    await fixture.selfToken.transfer(
+      await fixture.presale.getAddress(),
+      ethers.parseEther(expectedBase.selfFunding)
+    );
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    ({
+      presale,
+      selfToken,
+      mockUSDC,
+      deployBlock,
+      admin,
+      user1: other,
+    } = await loadFixture(configuredFixture));
+  });
+
+  // base.json with this deployment's addresses and the admin as every holder
+  async function expected(overrides = {}) {
+    const roles = {};
+    for (const name of ROLE_NAMES) roles[name] = [admin.address];
+    return {
+      ...expectedBase,
+      presale: await presale.getAddress(),
+      fromBlock: deployBlock,
+      usdc: await mockUSDC.getAddress(),
+      self: await selfToken.getAddress(),
+      roundsInitialized: true,
+      roles,
+      ...overrides,
+    };
+  }
+
+  const audit = async (config) => auditPresale(presale, selfToken, config);
+  const failed = (results) =>
+    results
+      .filter((r) => !r.ok)
+      .map(({ check, expected, actual }) => ({
+        check,
+        expected,
+        actual,
+      }));
+
+  it("Should pass every check against a matching deployment", async function () {
+    const results = await audit(await expected());
+    expect(failed(results)).to.deep.equal([]);
+    expect(results.map((r) => r.check)).to.include.members([
+      "USDC()",
+      "SELF()",
+      "PAUSER_ROLE held by " + admin.address,
+      "DEFAULT_ADMIN_ROLE has no other holders",
+      "roundsInitialized",
+      "Round 5 price",
+      "SELF balance covers outstanding claims",
+      "SELF funding (balance + claimed + swept)",
+    ]);
+  });
+
+  it("Should report drift in role holders, rounds and funding", async function () {
+    await presale.grantRole(await presale.PAUSER_ROLE(), other.address);
+    await selfToken.transfer(await presale.getAddress(), 1n);
+    const rounds = expectedBase.rounds.map((round) => ({ ...round }));
+    rounds[1].price = "0.075";
+
+    expect(failed(await audit(await expected({ rounds })))).to.deep.equal([
+      {
+        check: "PAUSER_ROLE has no other holders",
+        expected: "none",
+        actual: other.address,
+      },
+      { check: "Round 2 price", expected: "0.075", actual: "0.07" },
+      {
+        check: "SELF funding (balance + claimed + swept)",
+        expected: "37934515.0",
+        actual: "37934515.000000000000000001",
+      },
+    ]);
+  });
+
+  it("Should report a role the contract does not define as drift", async function () {
+    const config = await expected();
+    config.roles = { MINTER_ROLE: [admin.address], ...config.roles };
+
+    const results = await audit(config);
+    expect(failed(results)).to.deep.equal([
+      {
+        check: "MINTER_ROLE defined by SELFPresale",
+        expected: "defined",
+        actual: "not defined",
+      },
+    ]);
+    // The known roles are still checked
+    expect(results.filter((r) => /_ROLE held by/.test(r.check))).to.have.length(
+      ROLE_NAMES.length
+    );
+  });
+
+  it("Should check role holders with hasRole alone without a fromBlock", async function () {
+    await presale.grantRole(await presale.PAUSER_ROLE(), other.address);
+    const results = await audit(await expected({ fromBlock: null }));
+
+    expect(failed(results)).to.deep.equal([]);
+    expect(results.some((r) => /no other holders/.test(r.check))).to.equal(
+      false
+    );
+  });
+});
@@ -0,0 +1,345 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployStack } = require("../scripts/deploy");
+const { runDeployToken } = require("../scripts/deploy-token");
+const { runDeployPresale } = require("../scripts/deploy-presale");
+const { initializePresaleRounds } = require("../scripts/initialize-rounds");
+const {
+  verificationTargets,
+  verifyContracts,
+} = require("../scripts/verify-contracts");
+const { auditPresale } = require("../scripts/audit-config");
+const { ROLE_NAMES } = require("../scripts/handover-roles");
+const { readManifest, deployStep } = require("../scripts/lib/deployments");
+const expectedBase = require("../config/expected/base.json");
+
+const { ethers } = hre;
+const DAY = 86400;
+
+// Round 1 an hour after the injected clock, then twelve-day rounds
+const SCHEDULE = {
+  rounds: [
+    { start: "+1h", end: "+12d" },
+    { start: "+13d", end: "+24d" },
+    { start: "+25d", end: "+36d" },
+    { start: "+37d", end: "+48d" },
+    { start: "+49d", end: "+60d" },
+  ],
+};
+
+// Stands in for BaseScan: records verify:verify arguments
+function stubVerifier({ verified = [], fails = () => false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    isVerified: async (address) => verified.includes(address),
+    verify: async (args) => {
+      calls.push(args);
+      if (fails(args)) throw new Error("Bytecode mismatch\nfull response");
+    },
+  };
+}
+
+describe("Deployment and initialization scripts", function () {
+  let deployer, safe;
+  let dir, scheduleFile;
+  let consoleLog, consoleWarn;
+
+  beforeEach(async function () {
+    [, deployer, safe] = await ethers.getSigners();
+    // Manifests and batch files go to a scratch directory, not deployments/
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "self-deploy-"));
+    scheduleFile = path.join(dir, "schedule.json");
+    fs.writeFileSync(scheduleFile, JSON.stringify(SCHEDULE));
+
+    // The scripts narrate every step; keep the test output readable
+    consoleLog = console.log;
+    consoleWarn = console.warn;
+    console.log = console.warn = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const contractAt = (name, address) => ethers.getContractAt(name, address);
+
+  it("Should deploy the stack from the injected signer and resume from the manifest", async function () {
+    const manifest = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    expect(manifest.deployed).to.deep.equal([
+      "MockUSDC",
+      "SELFToken",
+      "SELFPresale",
+    ]);
+    expect(readManifest("hardhat", dir).contracts).to.deep.equal(
+      manifest.contracts
+    );
+
+    const { MockUSDC, SELFToken, SELFPresale } = manifest.contracts;
+    for (const record of [MockUSDC, SELFToken, SELFPresale]) {
+      expect(record.deployer).to.equal(deployer.address);
+    }
+    expect(SELFPresale.constructorArguments).to.deep.equal([
+      MockUSDC.address,
+      SELFToken.address,
+      safe.address,
+    ]);
+
+    const presale = await contractAt("SELFPresale", SELFPresale.address);
+    expect(await presale.USDC()).to.equal(MockUSDC.address);
+    expect(await presale.SELF()).to.equal(SELFToken.address);
+    for (const name of ROLE_NAMES) {
+      const role = await presale[name]();
+      expect(await presale.hasRole(role, safe.address)).to.equal(true, name);
+      expect(await presale.hasRole(role, deployer.address)).to.equal(
+        false,
+        name
+      );
+    }
+
+    // The deployer holds the whole supply until the presale is funded
+    const token = await contractAt("SELFToken", SELFToken.address);
+    expect(await token.balanceOf(deployer.address)).to.equal(
+      ethers.parseEther("500000000")
+    );
+    expect(await token.balanceOf(SELFPresale.address)).to.equal(0n);
+
+    const rerun = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    expect(rerun.deployed).to.deep.equal([]);
+    expect(rerun.contracts.SELFPresale.address).to.equal(SELFPresale.address);
+  });
+
+  it("Should verify fresh deployments through the injected verifier only", async function () {
+    const verifier = stubVerifier({
+      fails: (args) => args.contract.endsWith(":SELFPresale"),
+    });
+
+    const token = await runDeployToken(hre, {
+      signer: deployer,
+      verifier,
+      dir,
+    });
+    expect(token.deployed).to.equal(true);
+    expect(token.verification).to.deep.equal([
+      {
+        name: "SELFToken",
+        address: token.record.address,
+        status: "verified now",
+        reason: "",
+      },
+    ]);
+    expect(verifier.calls).to.deep.equal([
+      {
+        address: token.record.address,
+        constructorArguments: [],
+        contract: "contracts/SELFToken.sol:SELFToken",
+      },
+    ]);
+
+    const manifest = readManifest("hardhat", dir);
+    await deployStep(
+      hre,
+      manifest,
+      {
+        name: "MockUSDC",
+        contract: "contracts/test/MockUSDC.sol:MockUSDC",
+        args: [],
+        confirmations: 1,
+        signer: deployer,
+      },
+      dir
+    );
+
+    // A failed verification is reported, not thrown: the deployment stands
+    const presale = await runDeployPresale(hre, {
+      admin: safe.address,
+      signer: deployer,
+      verifier,
+      dir,
+    });
+    expect(presale.deployed).to.equal(true);
+    expect(presale.verification[0]).to.include({
+      name: "SELFPresale",
+      status: "failed",
+      reason: "Bytecode mismatch",
+    });
+    expect(verifier.calls[1].constructorArguments).to.deep.equal([
+      manifest.contracts.MockUSDC.address,
+      token.record.address,
+      safe.address,
+    ]);
+
+    // Reruns reuse the manifest records and verify nothing
+    const again = await runDeployPresale(hre, {
+      admin: safe.address,
+      signer: deployer,
+      verifier,
+      dir,
+    });
+    expect(again).to.deep.include({ deployed: false, verification: [] });
+    expect(
+      (await runDeployToken(hre, { signer: deployer, verifier, dir })).deployed
+    ).to.equal(false);
+    expect(verifier.calls).to.have.length(2);
+  });
+
+  it("Should verify every manifest record and skip contracts already verified", async function () {
+    const { contracts } = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    const targets = verificationTargets("hardhat", dir);
+    expect(targets.map((t) => t.name)).to.deep.equal([
+      "MockUSDC",
+      "SELFToken",
+      "SELFPresale",
+    ]);
+
+    const verifier = stubVerifier({ verified: [contracts.SELFToken.address] });
+    const results = await verifyContracts(targets, verifier);
+    expect(results.map((r) => r.status)).to.deep.equal([
+      "verified now",
+      "already verified",
+      "verified now",
+    ]);
+    expect(verifier.calls.map((c) => c.contract)).to.deep.equal([
+      "contracts/test/MockUSDC.sol:MockUSDC",
+      "contracts/SELFPresale.sol:SELFPresale",
+    ]);
+  });
+
+  it("Should initialize the schedule resolved against the injected clock", async function () {
+    const { contracts } = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    const presale = await contractAt(
+      "SELFPresale",
+      contracts.SELFPresale.address
+    );
+    const now = await time.latest();
+    const opts = { signer: safe, clock: () => now, scheduleFile, dir };
+
+    const dry = await initializePresaleRounds(hre, { ...opts, dryRun: true });
+    expect(dry.executor).to.equal(safe.address);
+    expect(dry.checks.every((c) => c.ok)).to.equal(true);
+    expect(await presale.roundsInitialized()).to.equal(false);
+
+    const { schedule, receipt } = await initializePresaleRounds(hre, opts);
+    expect(receipt.from).to.equal(safe.address);
+    expect(schedule.startTimes[0]).to.equal(now + 3600);
+    expect(schedule.endTimes[4]).to.equal(now + 60 * DAY);
+
+    expect(await presale.roundsInitialized()).to.equal(true);
+    for (let i = 0; i < 5; i++) {
+      const round = await presale.rounds(i);
+      expect(round.startTime).to.equal(schedule.startTimes[i]);
+      expect(round.endTime).to.equal(schedule.endTimes[i]);
+    }
+  });
+
+  it("Should stop at the pre-flight checks without sending anything", async function () {
+    const { contracts } = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    const presale = await contractAt(
+      "SELFPresale",
+      contracts.SELFPresale.address
+    );
+    const now = await time.latest();
+
+    // A clock two hours behind the chain puts round 1's start in the past
+    await expect(
+      initializePresaleRounds(hre, {
+        signer: safe,
+        clock: () => now - 2 * 3600,
+        scheduleFile,
+        dir,
+      })
+    ).to.be.rejectedWith("Pre-flight failed");
+
+    // The deployer handed every role to the Safe at construction
+    await expect(
+      initializePresaleRounds(hre, {
+        signer: deployer,
+        clock: () => now,
+        scheduleFile,
+        dir,
+      })
+    ).to.be.rejectedWith("Pre-flight failed");
+
+    expect(await presale.roundsInitialized()).to.equal(false);
+  });
+
+  it("Should write a Safe batch that leaves roles, schedule and funding as expected", async function () {
+    const { contracts } = await deployStack(hre, {
+      admin: safe.address,
+      signer: deployer,
+      dir,
+    });
+    const presale = await contractAt(
+      "SELFPresale",
+      contracts.SELFPresale.address
+    );
+    const token = await contractAt("SELFToken", contracts.SELFToken.address);
+    const now = await time.latest();
+
+    const batchFile = path.join(dir, "initialize.json");
+    const { batch } = await initializePresaleRounds(hre, {
+      clock: () => now,
+      scheduleFile,
+      multisig: safe.address,
+      safeBatchOut: batchFile,
+      dir,
+    });
+    expect(JSON.parse(fs.readFileSync(batchFile, "utf8"))).to.deep.equal(batch);
+    expect(await presale.roundsInitialized()).to.equal(false);
+
+    // The Safe executes the batch; the deployer funds the presale
+    for (const { to, data } of batch.transactions) {
+      await safe.sendTransaction({ to, data });
+    }
+    await token
+      .connect(deployer)
+      .transfer(
+        await presale.getAddress(),
+        ethers.parseEther(expectedBase.selfFunding)
+      );
+
+    const roles = {};
+    for (const name of ROLE_NAMES) roles[name] = [safe.address];
+    const results = await auditPresale(presale, token, {
+      ...expectedBase,
+      presale: await presale.getAddress(),
+      usdc: contracts.MockUSDC.address,
+      self: contracts.SELFToken.address,
+      roundsInitialized: true,
+      fromBlock: contracts.SELFPresale.blockNumber,
+      roles,
+    });
+    expect(results.filter((r) => !r.ok)).to.deep.equal([]);
+    expect(results.map((r) => r.check)).to.include.members([
+      "PAUSER_ROLE has no other holders",
+      "Round 5 target",
+      "SELF funding (balance + claimed + swept)",
+    ]);
+  });
+});
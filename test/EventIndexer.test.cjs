@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  loadFixture,
+  time,
+  mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  openIndex,
+  syncIndex,
+  lastIndexedBlock,
+  indexedEvents,
+} = require("../scripts/lib/indexer");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+describe("Event indexer", function () {
+  let presale, mockUSDC;
+  let admin, user1, user2, user3;
+  let deployBlock;
+  let index;
+
+  beforeEach(async function () {
+    ({ presale, mockUSDC, admin, user1, user2, user3, deployBlock } =
+      await loadFixture(approvedFixture));
+    index = await openIndex();
+  });
+
+  afterEach(function () {
+    index.close();
+  });
+
+  const contributors = () =>
+    indexedEvents(index, "Contribution").map((e) => e.args.user);
+
+  it("Should index events with arguments and block timestamps", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await presale.connect(user2).contribute(usdc("600"));
+
+    const result = await syncIndex(presale, index, { fromBlock: deployBlock });
+    expect(result.events).to.equal(2);
+    expect(lastIndexedBlock(index)).to.equal(await time.latestBlock());
+
+    const [first, second] = indexedEvents(index, "Contribution");
+    expect(first.args.user).to.equal(user1.address);
+    expect(first.args.usdcAmount).to.equal(usdc("1000").toString());
+    expect(first.args.selfAmount).to.equal(
+      ethers.parseEther("16666.666666666666666667").toString()
+    );
+    expect(second.args.user).to.equal(user2.address);
+    expect(second.timestamp).to.equal(await time.latest());
+  });
+
+  it("Should resume from the checkpoint without duplicating events", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await syncIndex(presale, index, { fromBlock: deployBlock });
+    const checkpoint = lastIndexedBlock(index);
+
+    await presale.connect(user2).contribute(usdc("1000"));
+    await mine(20);
+    const result = await syncIndex(presale, index, {
+      fromBlock: deployBlock,
+      reorgDepth: 5,
+    });
+
+    // Only the last reorgDepth blocks before the checkpoint are rescanned
+    expect(result.fromBlock).to.equal(checkpoint - 4);
+    expect(contributors()).to.deep.equal([user1.address, user2.address]);
+  });
+
+  it("Should replace events from blocks rolled back by a reorg", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await presale.connect(user2).contribute(usdc("1000"));
+    await mine(2);
+    await syncIndex(presale, index, { fromBlock: deployBlock });
+    expect(contributors()).to.deep.equal([user1.address, user2.address]);
+
+    // Competing branch from the snapshot, at least as long as the old one
+    await network.provider.send("evm_revert", [snapshot]);
+    await presale.connect(user3).contribute(usdc("1000"));
+    await mine(3);
+
+    await syncIndex(presale, index, { fromBlock: deployBlock, reorgDepth: 6 });
+    expect(contributors()).to.deep.equal([user1.address, user3.address]);
+  });
+
+  it("Should refuse to sync past a reorg deeper than the rollback", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+    await presale.connect(user1).contribute(usdc("1000"));
+    await mine(5);
+    await syncIndex(presale, index, { fromBlock: deployBlock, reorgDepth: 2 });
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await mine(10);
+
+    await expect(
+      syncIndex(presale, index, { fromBlock: deployBlock, reorgDepth: 2 })
+    ).to.be.rejectedWith(/Reorg deeper than 2 blocks/);
+  });
+
+  it("Should persist the index to disk and reopen it", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "self-index-"));
+    const file = path.join(dir, "events.sqlite");
+    try {
+      await presale.connect(user1).contribute(usdc("1000"));
+      const onDisk = await openIndex(file);
+      await syncIndex(presale, onDisk, { fromBlock: deployBlock });
+      onDisk.close();
+
+      const reopened = await openIndex(file);
+      expect(lastIndexedBlock(reopened)).to.equal(await time.latestBlock());
+      expect(indexedEvents(reopened, "Contribution")).to.have.length(1);
+      reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject an index built for another contract", async function () {
+    await syncIndex(presale, index, { fromBlock: deployBlock });
+    const SELFPresale = await ethers.getContractFactory("SELFPresale");
+    const other = await SELFPresale.deploy(
+      await mockUSDC.getAddress(),
+      await presale.SELF(),
+      admin.address
+    );
+
+    await expect(
+      syncIndex(other, index, { fromBlock: deployBlock })
+    ).to.be.rejectedWith(/Index holds/);
+  });
+});
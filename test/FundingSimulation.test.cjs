@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  mine,
+  setBalance,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { allocate, soldOutSELF } = require("../scripts/lib/allocations");
+const { ROUNDS } = require("../scripts/lib/schedule");
+const { VESTING_DURATION } = require("../scripts/lib/vesting");
+const expected = require("../config/expected/base.json");
+const {
+  usdc,
+  roundTimes,
+  contributeFrom,
+  enableTGE,
+  deployedFixture,
+} = require("./fixtures.cjs");
+
+// Full-lifecycle simulation with the mainnet funding from
+// config/expected/base.json rather than the 42M SELF the other tests use.
+//
+// A sold-out sale allocates 37,934,523.809... SELF before rounding, so the
+// funding is about 8.81 SELF short: contribute()'s solvency check
+// (InsufficientSELFBalance) stops round 5 roughly $0.88 below its target,
+// and the round manager has to finalize it by hand.
+
+const FUNDING = ethers.parseEther(expected.selfFunding);
+const DAY = 86400;
+
+describe("Sold-out sale with the mainnet SELF funding", function () {
+  async function soldOutFixture() {
+    const fixture = await loadFixture(deployedFixture);
+    const { presale, selfToken, mockUSDC } = fixture;
+    const { startTimes, endTimes } = roundTimes(await time.latest());
+    await presale.initializeRounds(startTimes, endTimes);
+    await selfToken.transfer(await presale.getAddress(), FUNDING);
+    await time.increaseTo(startTimes[0]);
+
+    // $10,000 per wallet: the per-wallet cap, and within every round's 10%
+    // whale limit. Rounds 1-4 auto-finalize at their target.
+    const purchases = [];
+    const wallets = [];
+    const buy = async (round, count) => {
+      const bought = await contributeFrom(
+        presale,
+        mockUSDC,
+        count,
+        usdc("10000"),
+        `sold-out-${round}`
+      );
+      for (const wallet of bought) purchases.push([usdc("10000"), round]);
+      wallets.push(...bought);
+    };
+    for (const [round, count] of [150, 50, 25, 15].entries()) {
+      await buy(round, count);
+      expect((await presale.rounds(round)).finalized).to.equal(true);
+      await presale.advanceRound();
+    }
+
+    // Round 5: nine full wallets, then one that can no longer buy $10,000
+    await buy(4, 9);
+    const last = new ethers.Wallet(
+      ethers.id("sold-out-4-last"),
+      ethers.provider
+    );
+    await setBalance(last.address, ethers.parseEther("1"));
+    await mockUSDC.mint(last.address, usdc("10000"));
+    await mockUSDC
+      .connect(last)
+      .approve(await presale.getAddress(), usdc("10000"));
+    wallets.push(last);
+
+    return { ...fixture, wallets, purchases, last, startTimes, endTimes };
+  }
+
+  it("Should find the funding 8.809523809523809524 SELF short of a sold-out sale, 8.809523809523834523 in the worst case", async function () {
+    const { presale } = await loadFixture(soldOutFixture);
+    const rounds = [];
+    for (let i = 0; i < 5; i++) rounds.push(await presale.rounds(i));
+    for (const [i, round] of rounds.entries()) {
+      expect(round.price).to.equal(ROUNDS[i].price);
+      expect(round.target).to.equal(ROUNDS[i].target);
+    }
+
+    // Rounded up to whole wei: the funding misses even the unrounded amount
+    const { exact, worst, contributions } = soldOutSELF(rounds);
+    const [n, d] = exact;
+    const shortfall = (n - FUNDING * d + d - 1n) / d;
+    expect(shortfall, "shortfall before rounding").to.equal(
+      8_809523809523809524n
+    );
+
+    // Every one of the at most 25,000 contributions rounds up by one wei
+    expect(contributions).to.equal(25_000n);
+    expect(worst - FUNDING, "worst-case shortfall").to.equal(
+      8_809523809523834523n
+    );
+  });
+
+  it("Should stop round 5 short of its target once the funding is allocated", async function () {
+    const { presale, selfToken, last } = await loadFixture(soldOutFixture);
+    const { price, target, raised } = await presale.rounds(4);
+    expect(target - raised).to.equal(usdc("10000"));
+
+    await expect(
+      presale.connect(last).contribute(usdc("10000"))
+    ).to.be.revertedWithCustomError(presale, "InsufficientSELFBalance");
+
+    // The most the remaining SELF can pay for, rounded up as contribute() does
+    const headroom =
+      (await selfToken.balanceOf(await presale.getAddress())) -
+      (await presale.totalAllocatedSELF());
+    const affordable = (headroom * price) / 10n ** 18n;
+    expect(affordable).to.equal(usdc("9999.119047"));
+    await presale.connect(last).contribute(affordable);
+
+    // The unsold dust is below the minimum, so only the exact remainder
+    // could complete the round, and there is no SELF left to pay for it
+    const dust = target - (await presale.rounds(4)).raised;
+    expect(dust).to.equal(usdc("0.880953"));
+    // The last buyer still has exactly that much USDC approved and cap left
+    await mine();
+    await expect(
+      presale.connect(last).contribute(dust)
+    ).to.be.revertedWithCustomError(presale, "InsufficientSELFBalance");
+
+    expect((await presale.rounds(4)).finalized).to.equal(false);
+    await presale.finalizeRound();
+    expect(await presale.totalRaised()).to.equal(
+      usdc("2500000") - usdc("0.880953")
+    );
+    expect(FUNDING - (await presale.totalAllocatedSELF())).to.equal(
+      6_190476190370n
+    );
+  });
+
+  it("Should release every allocation through vesting and leave the exact unallocated SELF", async function () {
+    const { presale, selfToken, wallets, purchases, last } = await loadFixture(
+      soldOutFixture
+    );
+    const { price } = await presale.rounds(4);
+    const headroom =
+      FUNDING -
+      (await presale.totalAllocatedSELF()) -
+      (await presale.totalClaimedSELF());
+    const affordable = (headroom * price) / 10n ** 18n;
+    await presale.connect(last).contribute(affordable);
+    purchases.push([affordable, 4]);
+    await presale.finalizeRound();
+
+    // The off-chain replay of every purchase matches what was allocated
+    const allocated = purchases.reduce(
+      (sum, [amount, round]) => sum + allocate(amount, ROUNDS[round]).totalSELF,
+      0n
+    );
+    expect(await presale.totalAllocatedSELF()).to.equal(allocated);
+
+    const tgeTime = await enableTGE(presale);
+
+    // A rotating fifth of the wallets claims at TGE and every 90 days
+    for (let step = 0; step < 4; step++) {
+      await time.increaseTo(tgeTime + 90 * DAY * step);
+      for (let i = step; i < wallets.length; i += 5) {
+        await presale.connect(wallets[i]).claimTokens();
+      }
+    }
+
+    await time.increaseTo(tgeTime + VESTING_DURATION);
+    for (const wallet of wallets) {
+      const c = await presale.getUserContribution(wallet.address);
+      expect(await presale.getClaimableAmount(wallet.address)).to.equal(
+        c.totalSELF - c.claimed
+      );
+      await presale.connect(wallet).claimTokens();
+      expect(await selfToken.balanceOf(wallet.address)).to.equal(c.totalSELF);
+    }
+
+    expect(await presale.totalClaimedSELF()).to.equal(allocated);
+    const leftover = await selfToken.balanceOf(await presale.getAddress());
+    expect(leftover).to.equal(FUNDING - allocated);
+    expect(leftover).to.equal(6_190476190370n);
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLE_NAMES, handoverRoles } = require("../scripts/handover-roles");
+const { deployedFixture } = require("./fixtures.cjs");
+
+// Wraps `presale` so that grantRole for `roleId` runs `grant` instead
+function interceptGrant(presale, roleId, grant) {
+  return {
+    connect: (signer) =>
+      new Proxy(presale.connect(signer), {
+        get: (contract, prop) =>
+          prop === "grantRole"
+            ? (id, account) =>
+                id === roleId ? grant() : contract.grantRole(id, account)
+            : contract[prop],
+      }),
+  };
+}
+
+describe("Role handover", function () {
+  let presale, admin, safe, ids;
+  let consoleLog;
+
+  beforeEach(async function () {
+    ({ presale, admin, user3: safe } = await loadFixture(deployedFixture));
+    ids = {};
+    for (const name of ROLE_NAMES) ids[name] = await presale[name]();
+
+    // handoverRoles narrates every grant and renounce
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+
+  async function holders(account) {
+    const held = [];
+    for (const name of ROLE_NAMES) {
+      if (await presale.hasRole(ids[name], account)) held.push(name);
+    }
+    return held;
+  }
+
+  it("Should move every role to the target and renounce DEFAULT_ADMIN_ROLE last", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await handoverRoles(presale, admin, safe.address);
+
+    expect(await holders(safe.address)).to.deep.equal(ROLE_NAMES);
+    expect(await holders(admin.address)).to.deep.equal([]);
+
+    const revoked = await presale.queryFilter(
+      presale.filters.RoleRevoked(),
+      fromBlock + 1
+    );
+    expect(revoked.map((e) => e.args.role)).to.deep.equal(
+      ROLE_NAMES.map((name) => ids[name])
+    );
+    expect(revoked.at(-1).args.role).to.equal(ethers.ZeroHash);
+
+    // Without DEFAULT_ADMIN_ROLE the deployer cannot run it again
+    await expect(
+      handoverRoles(presale, admin, safe.address)
+    ).to.be.rejectedWith("does not hold DEFAULT_ADMIN_ROLE");
+  });
+
+  it("Should abort without renouncing when a grant fails", async function () {
+    const failing = interceptGrant(presale, ids.TREASURY_ROLE, async () => {
+      throw new Error("replacement transaction underpriced");
+    });
+    await expect(
+      handoverRoles(failing, admin, safe.address)
+    ).to.be.rejectedWith("replacement transaction underpriced");
+
+    expect(await holders(admin.address)).to.deep.equal(ROLE_NAMES);
+    expect(await holders(safe.address)).to.deep.equal([
+      "PAUSER_ROLE",
+      "ROUND_MANAGER_ROLE",
+    ]);
+  });
+
+  it("Should abort without renouncing when a grant is not confirmed", async function () {
+    // The transaction "succeeds" but the role never reaches the target
+    const dropped = interceptGrant(presale, ids.TGE_ENABLER_ROLE, async () => ({
+      hash: ethers.ZeroHash,
+      wait: async () => null,
+    }));
+    await expect(
+      handoverRoles(dropped, admin, safe.address)
+    ).to.be.rejectedWith(
+      "Aborting without renouncing: target missing TGE_ENABLER_ROLE"
+    );
+
+    expect(await holders(admin.address)).to.deep.equal(ROLE_NAMES);
+    expect(await holders(safe.address)).to.deep.equal([
+      "PAUSER_ROLE",
+      "ROUND_MANAGER_ROLE",
+      "TREASURY_ROLE",
+      "DEFAULT_ADMIN_ROLE",
+    ]);
+  });
+
+  it("Should refuse to hand over to the deployer itself", async function () {
+    await expect(
+      handoverRoles(presale, admin, admin.address)
+    ).to.be.rejectedWith("Target is the deployer");
+    expect(await holders(admin.address)).to.deep.equal(ROLE_NAMES);
+  });
+});
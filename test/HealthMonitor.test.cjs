@@ -0,0 +1,148 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { openIndex } = require("../scripts/lib/indexer");
+const {
+  pollHealth,
+  createAlerter,
+  postWebhook,
+} = require("../scripts/lib/monitor");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+// OpenZeppelin ERC20 keeps `_balances` in slot 0
+async function setBalance(token, account, amount) {
+  const slot = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256"],
+      [account, 0]
+    )
+  );
+  await network.provider.send("hardhat_setStorageAt", [
+    await token.getAddress(),
+    slot,
+    ethers.toBeHex(amount, 32),
+  ]);
+}
+
+describe("Health monitor", function () {
+  let presale, mockUSDC, selfToken;
+  let user1;
+  let deployBlock;
+  let index, server, url, received, alert;
+
+  before(async function () {
+    received = [];
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.writeHead(req.url === "/fail" ? 500 : 204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(async function () {
+    ({ presale, mockUSDC, selfToken, user1, deployBlock } = await loadFixture(
+      approvedFixture
+    ));
+    index = await openIndex();
+    received.length = 0;
+    alert = createAlerter((notification) => postWebhook(url, notification));
+  });
+
+  afterEach(function () {
+    index.close();
+  });
+
+  // One monitor cycle; resolves to the webhook payloads it produced
+  async function poll() {
+    const before = received.length;
+    const { alerts, snapshot } = await pollHealth(presale, mockUSDC, index, {
+      fromBlock: deployBlock,
+    });
+    await alert(alerts, { block: snapshot.block });
+    return received.slice(before);
+  }
+
+  it("Should stay quiet while the presale is healthy", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+
+    expect(await poll()).to.deep.equal([]);
+    const { snapshot } = await pollHealth(presale, mockUSDC, index, {
+      fromBlock: deployBlock,
+    });
+    expect(snapshot.totalRaised).to.equal(usdc("1000"));
+    expect(snapshot.usdcBalance).to.equal(usdc("1000"));
+    expect(snapshot.selfBalance > snapshot.outstandingSELF).to.be.true;
+  });
+
+  it("Should alert once when an emergency withdrawal is queued and resolve on cancel", async function () {
+    await presale.requestEmergencyWithdrawSELF();
+
+    const [firing] = await poll();
+    expect(firing.status).to.equal("firing");
+    expect(firing.severity).to.equal("critical");
+    expect(firing.key).to.match(/^emergency-withdrawal-/);
+    expect(firing.text).to.match(/Emergency SELF withdrawal queued/);
+    expect(await poll()).to.deep.equal([]);
+
+    await presale.cancelEmergencyWithdrawSELF();
+    const [resolved] = await poll();
+    expect(resolved.status).to.equal("resolved");
+    expect(resolved.key).to.equal(firing.key);
+  });
+
+  it("Should alert while the contract is paused", async function () {
+    await presale.pause();
+    const [firing] = await poll();
+    expect(firing).to.include({ key: "paused", status: "firing" });
+
+    await presale.unpause();
+    const [resolved] = await poll();
+    expect(resolved).to.include({ key: "paused", status: "resolved" });
+  });
+
+  it("Should alert when the SELF balance drops below outstanding claims", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await setBalance(
+      selfToken,
+      await presale.getAddress(),
+      ethers.parseEther("1")
+    );
+
+    const alerts = await poll();
+    expect(alerts.map((a) => a.key)).to.deep.equal(["self-insolvent"]);
+    expect(alerts[0].message).to.match(/is below outstanding claims/);
+  });
+
+  it("Should alert when USDC held is below totalRaised minus withdrawals", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await setBalance(mockUSDC, await presale.getAddress(), usdc("400"));
+
+    const alerts = await poll();
+    expect(alerts.map((a) => a.key)).to.deep.equal(["usdc-shortfall"]);
+    expect(alerts[0].message).to.match(/USDC balance 400\.0 is below/);
+  });
+
+  it("Should retry alerts the webhook did not accept", async function () {
+    const failing = createAlerter((notification) =>
+      postWebhook(`${url}/fail`, notification)
+    );
+    await presale.pause();
+    const { alerts } = await pollHealth(presale, mockUSDC, index, {
+      fromBlock: deployBlock,
+    });
+
+    await expect(failing(alerts)).to.be.rejectedWith(/Webhook returned 500/);
+    await expect(failing(alerts)).to.be.rejectedWith(/Webhook returned 500/);
+    expect(received.map((n) => n.key)).to.deep.equal(["paused", "paused"]);
+  });
+});
@@ -0,0 +1,116 @@
+const path = require("path");
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { preflight } = require("../scripts/initialize-rounds");
+const { decodeRevert } = require("../scripts/lib/errors");
+const {
+  DAY,
+  loadSchedule,
+  formatSchedule,
+} = require("../scripts/lib/schedule");
+const { deployedFixture } = require("./fixtures.cjs");
+
+const defaultSchedule = (now) =>
+  loadSchedule(
+    path.join(__dirname, "..", "config", "schedules", "default.yaml"),
+    now
+  );
+
+describe("initializeRounds pre-flight", function () {
+  let presale, admin, outsider;
+  let schedule;
+
+  beforeEach(async function () {
+    ({ presale, admin, user1: outsider } = await loadFixture(deployedFixture));
+
+    schedule = defaultSchedule(await time.latest());
+  });
+
+  const failed = (results) =>
+    results.filter((r) => !r.ok).map(({ check, detail }) => [check, detail]);
+
+  it("Should pass every check and simulate without broadcasting", async function () {
+    const blockBefore = await time.latestBlock();
+    const results = await preflight(presale, schedule, admin.address);
+
+    expect(results.map((r) => r.check)).to.deep.equal([
+      "Every start in the future",
+      "Every end after its start",
+      "Rounds strictly sequential",
+      "Rounds not yet initialized",
+      `${admin.address} holds ROUND_MANAGER_ROLE`,
+      "Simulated initializeRounds",
+    ]);
+    expect(failed(results)).to.deep.equal([]);
+    expect(await time.latestBlock()).to.equal(blockBefore);
+    expect(await presale.roundsInitialized()).to.equal(false);
+  });
+
+  it("Should decode the custom error of a schedule the contract rejects", async function () {
+    schedule.startTimes[3] = schedule.endTimes[2];
+
+    expect(
+      failed(await preflight(presale, schedule, admin.address))
+    ).to.deep.equal([
+      [
+        "Rounds strictly sequential",
+        `RoundsMustBeSequential round 4: start ${schedule.startTimes[3]} ` +
+          `is not after previous end ${schedule.endTimes[2]}`,
+      ],
+      ["Simulated initializeRounds", "RoundsMustBeSequential"],
+    ]);
+  });
+
+  it("Should flag an executor without ROUND_MANAGER_ROLE", async function () {
+    const [role, simulated] = failed(
+      await preflight(presale, schedule, outsider.address)
+    );
+    expect(role).to.deep.equal([
+      `${outsider.address} holds ROUND_MANAGER_ROLE`,
+      "missing role",
+    ]);
+    // AccessControl reverts with a reason string, not a custom error
+    expect(simulated[1]).to.match(/^AccessControl: account .* is missing role/);
+  });
+
+  it("Should refuse a second initialization", async function () {
+    await presale.initializeRounds(schedule.startTimes, schedule.endTimes);
+    const next = defaultSchedule(await time.latest());
+
+    expect(failed(await preflight(presale, next, admin.address))).to.deep.equal(
+      [
+        ["Rounds not yet initialized", "RoundsAlreadyInitialized"],
+        ["Simulated initializeRounds", "RoundsAlreadyInitialized"],
+      ]
+    );
+  });
+
+  it("Should find revert data nested in provider errors", function () {
+    const data = presale.interface.encodeErrorResult("StartTimeMustBeInFuture");
+    expect(decodeRevert(presale, { error: { data: { data } } })).to.equal(
+      "StartTimeMustBeInFuture"
+    );
+    expect(
+      decodeRevert(presale, { info: { error: { data } }, message: "failed" })
+    ).to.equal("StartTimeMustBeInFuture");
+    expect(decodeRevert(presale, { data: "0x", message: "reverted" })).to.equal(
+      "reverted"
+    );
+  });
+
+  it("Should print one line per round with its parameters and dates", function () {
+    const lines = formatSchedule({
+      startTimes: [0, 1, 2, 3, 4].map((i) => i * 10 * DAY),
+      endTimes: [0, 1, 2, 3, 4].map((i) => (i * 10 + 9) * DAY),
+    });
+    expect(lines).to.have.length(5);
+    expect(lines[0]).to.equal(
+      "Round 1: $0.06 | $1,500,000 target | 40% TGE | 0% bonus | " +
+        "1970-01-01T00:00:00.000Z -> 1970-01-10T00:00:00.000Z"
+    );
+    expect(lines[4]).to.match(/^Round 5: \$0\.10 \| \$100,000 target/);
+  });
+});
@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fc = require("fast-check");
+const {
+  loadFixture,
+  mine,
+  setBalance,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { decodeRevert } = require("../scripts/lib/errors");
+const {
+  round1OpenFixture,
+  finishRounds,
+  enableTGE,
+} = require("./fixtures.cjs");
+
+// Stateful invariant harness.
+//
+// fast-check generates sequences of presale operations (contributions from
+// many wallets, round transitions, pausing, requesting, executing and
+// cancelling TGE, claims, treasury withdrawals and time jumps). Each sequence
+// runs against a fresh presale: once with round 1 open, and once with every
+// round sold and TGE enabled, a state random sequences from round 1 rarely
+// reach. A call may revert only with an error listed for it below; after every
+// step the global invariants are checked.
+//
+// A failing sequence is shrunk and printed one step per command, along with
+// { seed, path } and a replayPath: pass { seed, path } to fc.assert() and
+// { replayPath } to fc.commands() to replay it. INVARIANT_RUNS raises the
+// number of sequences per starting state for a longer local run.
+
+const USDC_UNIT = 10n ** 6n;
+const WALLETS = 24;
+const RUNS = Number(process.env.INVARIANT_RUNS || 20);
+
+// Reverts each operation may legitimately hit in some state
+const ALLOWED = {
+  contribute: [
+    "PresaleEnded",
+    "TGEAlreadyEnabled",
+    "RoundEnded",
+    "RoundAlreadyFinalized",
+    "BelowMinimum",
+    "ExceedsMaximum",
+    "ExceedsRoundTarget",
+    "ExceedsSingleContributionLimit",
+    "Pausable: paused",
+  ],
+  finalizeRound: ["NoActiveRound", "RoundAlreadyFinalized"],
+  advanceRound: ["PresaleEnded", "CurrentRoundNotFinalized"],
+  pause: ["Pausable: paused"],
+  unpause: ["Pausable: not paused"],
+  requestEnableTGE: [
+    "TGEAlreadyEnabled",
+    "TGEMustBeInFuture",
+    "TimelockRequestPending",
+  ],
+  executeEnableTGE: [
+    "TGEAlreadyEnabled",
+    "TimelockNotReady",
+    "TimelockAlreadyExecutedOrCancelled",
+    "TGEMustBeInFuture",
+  ],
+  cancelEnableTGE: ["TimelockNotFound", "TimelockAlreadyExecutedOrCancelled"],
+  claimTokens: [
+    "TGENotEnabled",
+    "TGENotStarted",
+    "NoAllocation",
+    "NothingToClaim",
+  ],
+  requestWithdrawFunds: [],
+  executeWithdrawFunds: [
+    "TimelockNotReady",
+    "TimelockAlreadyExecutedOrCancelled",
+    "NoFundsToWithdraw",
+    "DailyWithdrawalLimitExceeded",
+  ],
+  timeJump: [],
+};
+
+async function harnessFixture() {
+  const fixture = await loadFixture(round1OpenFixture);
+  const { presale, mockUSDC } = fixture;
+
+  // Enough wallets to fill any round at $10,000 each, with USDC to spare
+  // for ExceedsMaximum
+  const wallets = [];
+  for (let i = 0; i < WALLETS; i++) {
+    const wallet = new ethers.Wallet(
+      ethers.id(`invariant-${i}`),
+      ethers.provider
+    );
+    await setBalance(wallet.address, ethers.parseEther("1"));
+    await mockUSDC.mint(wallet.address, 12_000n * USDC_UNIT);
+    await mockUSDC
+      .connect(wallet)
+      .approve(await presale.getAddress(), ethers.MaxUint256);
+    wallets.push(wallet);
+  }
+  return { ...fixture, wallets };
+}
+
+async function tgeFixture() {
+  const fixture = await loadFixture(harnessFixture);
+  const { presale, wallets, endTimes } = fixture;
+
+  // Every wallet buys once, spread over the five rounds, at amounts whose
+  // allocations leave remainders
+  for (let round = 0; round < 5; round++) {
+    for (let i = round; i < WALLETS; i += 5) {
+      const amount = 1_000n * USDC_UNIT + BigInt(i) * 37_123_457n;
+      await presale.connect(wallets[i]).contribute(amount);
+    }
+    if (round < 4) {
+      await presale.finalizeRound();
+      await presale.advanceRound();
+    }
+  }
+  await finishRounds(presale, endTimes);
+  const tgeTime = await enableTGE(presale);
+  return { ...fixture, tgeTime };
+}
+
+async function checkInvariants({ presale, selfToken, mockUSDC, treasury }) {
+  const address = await presale.getAddress();
+
+  const outstanding =
+    (await presale.totalAllocatedSELF()) - (await presale.totalClaimedSELF());
+  expect(await selfToken.balanceOf(address)).to.be.gte(
+    outstanding,
+    "SELF balance covers outstanding claims"
+  );
+
+  let roundsRaised = 0n;
+  for (let i = 0; i < 5; i++) {
+    const round = await presale.rounds(i);
+    expect(round.raised).to.be.lte(round.target, `round ${i + 1} target`);
+    roundsRaised += round.raised;
+  }
+  const totalRaised = await presale.totalRaised();
+  expect(totalRaised).to.equal(roundsRaised, "totalRaised = sum of rounds");
+
+  // Withdrawals only ever go to the treasury signer, which starts with none
+  const withdrawn = await mockUSDC.balanceOf(treasury.address);
+  expect(await mockUSDC.balanceOf(address)).to.equal(
+    totalRaised - withdrawn,
+    "USDC balance = raised - withdrawn"
+  );
+}
+
+// One harness step: `label` is how it prints in a counterexample
+function step(label, method, action, check = () => true) {
+  return {
+    check,
+    async run(model, real) {
+      try {
+        await action(model, real);
+      } catch (error) {
+        const reason = decodeRevert(real.presale, error);
+        if (!ALLOWED[method].includes(reason)) {
+          throw new Error(`${label} reverted unexpectedly: ${reason}`);
+        }
+      }
+      await checkInvariants(real);
+    },
+    toString: () => label,
+  };
+}
+
+const amountArb = fc.oneof(
+  fc.constantFrom(100n, 1_000n, 10_000n).map((n) => n * USDC_UNIT),
+  fc.bigInt({ min: 1n, max: 12_000n * USDC_UNIT })
+);
+
+// Mostly short jumps, so rounds see several purchases before they end
+const secondsArb = fc.oneof(
+  { weight: 4, arbitrary: fc.constantFrom(60, 3600, 86400) },
+  { weight: 1, arbitrary: fc.constantFrom(2 * 86400 + 1, 12 * 86400) },
+  { weight: 1, arbitrary: fc.integer({ min: 1, max: 30 * 86400 }) }
+);
+
+const contribute = fc
+  .record({ wallet: fc.nat(WALLETS - 1), amount: amountArb })
+  .map(({ wallet, amount }) =>
+    step(
+      `contribute(w${wallet}, ${amount})`,
+      "contribute",
+      async (model, { presale, wallets }) => {
+        // CONTRIBUTION_COOLDOWN: a wallet buys at most every other block
+        await mine();
+        await presale.connect(wallets[wallet]).contribute(amount);
+      }
+    )
+  );
+
+const claimTokens = fc
+  .nat(WALLETS - 1)
+  .map((wallet) =>
+    step(`claimTokens(w${wallet})`, "claimTokens", (model, real) =>
+      real.presale.connect(real.wallets[wallet]).claimTokens()
+    )
+  );
+
+const requestEnableTGE = fc
+  .integer({ min: 0, max: 9 * 86400 })
+  .map((delay) =>
+    step(
+      `requestEnableTGE(now + ${delay}s)`,
+      "requestEnableTGE",
+      async (model, { presale }) =>
+        presale.requestEnableTGE((await time.latest()) + delay)
+    )
+  );
+
+const requestWithdrawFunds = fc
+  .oneof(fc.constant(0n), fc.bigInt({ min: 1n, max: 600_000n * USDC_UNIT }))
+  .map((amount) =>
+    step(
+      `requestWithdrawFunds(${amount})`,
+      "requestWithdrawFunds",
+      async (model, { presale, treasury }) => {
+        await presale.requestWithdrawFunds(treasury.address, amount);
+        model.withdrawals.push(await presale.withdrawRequestNonce());
+      }
+    )
+  );
+
+const executeWithdrawFunds = fc.nat(3).map((index) =>
+  step(
+    `executeWithdrawFunds(request #${index})`,
+    "executeWithdrawFunds",
+    (model, { presale }) =>
+      presale.executeWithdrawFunds(model.withdrawals[index]),
+    // Only once that many requests exist (shrinking may drop them)
+    (model) => index < model.withdrawals.length
+  )
+);
+
+const timeJump = secondsArb.map((seconds) =>
+  step(`timeJump(${seconds}s)`, "timeJump", () => time.increase(seconds))
+);
+
+// Calls without arguments, sent by the admin (which holds every role)
+const call = (method) =>
+  fc.constant(
+    step(`${method}()`, method, (model, { presale }) => presale[method]())
+  );
+
+// Weighted so sequences spend most steps buying, claiming and moving time
+const commandArb = fc.oneof(
+  { weight: 8, arbitrary: contribute },
+  { weight: 4, arbitrary: claimTokens },
+  { weight: 4, arbitrary: timeJump },
+  { weight: 2, arbitrary: call("finalizeRound") },
+  { weight: 2, arbitrary: call("advanceRound") },
+  { weight: 1, arbitrary: call("pause") },
+  { weight: 2, arbitrary: call("unpause") },
+  { weight: 2, arbitrary: requestEnableTGE },
+  { weight: 2, arbitrary: call("executeEnableTGE") },
+  { weight: 1, arbitrary: call("cancelEnableTGE") },
+  { weight: 1, arbitrary: requestWithdrawFunds },
+  { weight: 1, arbitrary: executeWithdrawFunds }
+);
+
+// Random sequences from `fixture`, checking the invariants after each step
+async function runSequences(fixture) {
+  await fc.assert(
+    fc.asyncProperty(
+      fc.commands([commandArb], { maxCommands: 80, size: "max" }),
+      async (commands) => {
+        const real = await loadFixture(fixture);
+        await checkInvariants(real);
+        await fc.asyncModelRun(
+          () => ({ model: { withdrawals: [] }, real }),
+          commands
+        );
+      }
+    ),
+    { numRuns: RUNS }
+  );
+}
+
+describe("Presale lifecycle invariants", function () {
+  it("Should hold the global invariants through random sequences from round 1", async function () {
+    await runSequences(harnessFixture);
+  });
+
+  it("Should hold the global invariants through random sequences after TGE", async function () {
+    await runSequences(tgeFixture);
+  });
+});
@@ -0,0 +1,233 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  openIndex,
+  syncIndex,
+  indexedEvents,
+} = require("../scripts/lib/indexer");
+const {
+  COLUMNS,
+  participantsAt,
+  buildLedger,
+  reconcileLedger,
+  formatRow,
+  ledgerCsv,
+} = require("../scripts/lib/ledger");
+const {
+  usdc,
+  finishRounds,
+  enableTGE,
+  approvedFixture,
+} = require("./fixtures.cjs");
+
+const { ethers } = hre;
+const DAY = 86400;
+
+describe("Contributor ledger", function () {
+  // Two rounds of contributions, then user1 claims at TGE (claimBlock) and
+  // everyone claims 90 days later, so claimBlock is in the past
+  async function claimedFixture() {
+    const fixture = await loadFixture(approvedFixture);
+    const { presale, user1, user2, user3, endTimes } = fixture;
+    const users = [user1, user2, user3];
+
+    await presale.connect(user1).contribute(usdc("1000"));
+    await presale.connect(user2).contribute(usdc("600"));
+    const round1Block = await time.latestBlock();
+    await presale.finalizeRound();
+    await presale.advanceRound();
+    await presale.connect(user1).contribute(usdc("250.5"));
+    await presale.connect(user3).contribute(usdc("300"));
+
+    await finishRounds(presale, endTimes);
+    const tgeTime = await enableTGE(presale);
+    await time.increaseTo(tgeTime);
+    await presale.connect(user1).claimTokens();
+    const claimBlock = await time.latestBlock();
+
+    await time.increase(90 * DAY);
+    for (const user of users) await presale.connect(user).claimTokens();
+
+    const index = await openIndex();
+    await syncIndex(presale, index, { fromBlock: fixture.deployBlock });
+    const contributions = indexedEvents(index, "Contribution");
+    index.close();
+
+    return {
+      ...fixture,
+      users,
+      tgeTime,
+      round1Block,
+      claimBlock,
+      contributions,
+    };
+  }
+
+  it("Should read every participant's rounds, allocation and claims at a past block", async function () {
+    const { presale, users, claimBlock, contributions } = await loadFixture(
+      claimedFixture
+    );
+    const [user1, user2, user3] = users;
+
+    const participants = participantsAt(contributions, claimBlock);
+    expect(participants).to.deep.equal([
+      user1.address,
+      user2.address,
+      user3.address,
+    ]);
+    const rows = await buildLedger(presale, participants, claimBlock);
+
+    expect(rows.map((row) => [row.rounds, row.totalUSDC])).to.deep.equal([
+      [[usdc("1000"), usdc("250.5"), 0n, 0n, 0n], usdc("1250.5")],
+      [[usdc("600"), 0n, 0n, 0n, 0n], usdc("600")],
+      [[0n, usdc("300"), 0n, 0n, 0n], usdc("300")],
+    ]);
+    for (const [i, row] of rows.entries()) {
+      // Allocations are fixed once the rounds end; claims are not
+      const now = await presale.getUserContribution(participants[i]);
+      expect(row).to.include({
+        address: participants[i],
+        totalSELF: now.totalSELF,
+        totalBonusSELF: now.totalBonus,
+        tgeUnlockSELF: now.tgeUnlockAmount,
+        vestedSELF: now.vestedAmount,
+      });
+      expect(now.claimed).to.be.greaterThan(row.claimedSELF);
+    }
+    // Only user1 had claimed at claimBlock, and in that same block
+    expect(rows[0].claimedSELF).to.be.greaterThan(rows[0].tgeUnlockSELF);
+    expect(rows[0].claimableSELF).to.equal(0n);
+    expect(rows.slice(1).map((row) => row.claimedSELF)).to.deep.equal([0n, 0n]);
+    expect(rows[1].claimableSELF).to.be.greaterThan(0n);
+  });
+
+  it("Should leave out contributors who joined after the block", async function () {
+    const { presale, user1, user2, round1Block, contributions } =
+      await loadFixture(claimedFixture);
+    const participants = participantsAt(contributions, round1Block);
+    expect(participants).to.deep.equal([user1.address, user2.address]);
+
+    const rows = await buildLedger(presale, participants, round1Block);
+    expect(rows.map((row) => row.rounds[1])).to.deep.equal([0n, 0n]);
+    const checks = await reconcileLedger(presale, rows, round1Block);
+    expect(checks.every((c) => c.ok)).to.equal(true);
+  });
+
+  it("Should reconcile with the contract totals and fail on a dropped or changed row", async function () {
+    const { presale, claimBlock, contributions } = await loadFixture(
+      claimedFixture
+    );
+    const rows = await buildLedger(
+      presale,
+      participantsAt(contributions, claimBlock),
+      claimBlock
+    );
+    const failed = async (ledger) =>
+      (await reconcileLedger(presale, ledger, claimBlock))
+        .filter((c) => !c.ok)
+        .map((c) => c.check);
+
+    const checks = await reconcileLedger(presale, rows, claimBlock);
+    expect(checks.map((c) => [c.check, c.ok])).to.deep.equal([
+      ["Rows = totalParticipants", true],
+      ["Sum of totalUSDC = totalRaised", true],
+      ["Sum of per-round USDC = totalRaised", true],
+      ["Sum of totalSELF = totalAllocatedSELF", true],
+      ["Sum of claimedSELF = totalClaimedSELF", true],
+    ]);
+    expect(checks[1]).to.include({
+      expected: "2150.5",
+      actual: "2150.5",
+    });
+
+    expect(await failed(rows.slice(1))).to.deep.equal([
+      "Rows = totalParticipants",
+      "Sum of totalUSDC = totalRaised",
+      "Sum of per-round USDC = totalRaised",
+      "Sum of totalSELF = totalAllocatedSELF",
+      "Sum of claimedSELF = totalClaimedSELF",
+    ]);
+
+    const changed = rows.map((row) => ({ ...row }));
+    changed[1].totalSELF += 1n;
+    changed[2].rounds = [...changed[2].rounds];
+    changed[2].rounds[1] -= usdc("1");
+    expect(await failed(changed)).to.deep.equal([
+      "Sum of per-round USDC = totalRaised",
+      "Sum of totalSELF = totalAllocatedSELF",
+    ]);
+  });
+
+  it("Should write one CSV row per participant with decimal amounts", async function () {
+    const { presale, user1, claimBlock, contributions } = await loadFixture(
+      claimedFixture
+    );
+    const rows = await buildLedger(
+      presale,
+      participantsAt(contributions, claimBlock),
+      claimBlock
+    );
+    const [header, ...lines] = ledgerCsv(rows).trimEnd().split("\n");
+
+    expect(header).to.equal(
+      "address,round1USDC,round2USDC,round3USDC,round4USDC,round5USDC," +
+        "totalUSDC,totalSELF,totalBonusSELF,tgeUnlockSELF,vestedSELF," +
+        "claimedSELF,claimableSELF"
+    );
+    expect(header.split(",")).to.deep.equal(COLUMNS);
+    expect(lines).to.have.length(3);
+
+    const first = lines[0].split(",");
+    expect(first.slice(0, 7)).to.deep.equal([
+      user1.address,
+      "1000.0",
+      "250.5",
+      "0.0",
+      "0.0",
+      "0.0",
+      "1250.5",
+    ]);
+    expect(first.slice(7)).to.deep.equal(
+      COLUMNS.slice(7).map((column) => formatRow(rows[0])[column])
+    );
+    expect(first[7]).to.equal(ethers.formatEther(rows[0].totalSELF));
+  });
+
+  it("Should export the reconciled ledger with ledger:export", async function () {
+    const { presale, deployBlock, claimBlock, contributions } =
+      await loadFixture(claimedFixture);
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), "self-ledger-"));
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("ledger:export", {
+        presale: await presale.getAddress(),
+        db: path.join(out, "events.sqlite"),
+        fromBlock: deployBlock,
+        block: claimBlock,
+        out,
+      });
+      const rows = await buildLedger(
+        presale,
+        participantsAt(contributions, claimBlock),
+        claimBlock
+      );
+      const base = path.join(out, `ledger-${claimBlock}`);
+      expect(fs.readFileSync(`${base}.csv`, "utf8")).to.equal(ledgerCsv(rows));
+      const json = JSON.parse(fs.readFileSync(`${base}.json`, "utf8"));
+      expect(json.block).to.equal(claimBlock);
+      expect(json.rows).to.deep.equal(rows.map(formatRow));
+      expect(json.reconciliation.every((c) => c.ok)).to.equal(true);
+    } finally {
+      console.log = log;
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { openIndex } = require("../scripts/lib/indexer");
+const { renderMetrics, startExporter } = require("../scripts/lib/metrics");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+// Sample lines of a scrape as { "name{labels}": value }
+function parse(text) {
+  const samples = {};
+  for (const line of text.trim().split("\n")) {
+    if (line.startsWith("#")) continue;
+    const at = line.lastIndexOf(" ");
+    samples[line.slice(0, at)] = Number(line.slice(at + 1));
+  }
+  return samples;
+}
+
+describe("Metrics exporter", function () {
+  let presale, treasury, user1, deployBlock;
+  let index, server, url, labels;
+
+  // user1 has bought $1,200 in round 1
+  async function contributedFixture() {
+    const fixture = await loadFixture(approvedFixture);
+    await fixture.presale.connect(fixture.user1).contribute(usdc("1200"));
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    ({ presale, treasury, user1, deployBlock } = await loadFixture(
+      contributedFixture
+    ));
+    index = await openIndex();
+    server = await startExporter(presale, index, {
+      port: 0,
+      host: "127.0.0.1",
+      network: "rehearsal",
+      fromBlock: deployBlock,
+    });
+    url = `http://127.0.0.1:${server.address().port}/metrics`;
+    labels = `contract="${await presale.getAddress()}",network="rehearsal"`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    index.close();
+  });
+
+  async function scrape() {
+    const response = await fetch(url);
+    expect(response.status).to.equal(200);
+    expect(response.headers.get("content-type")).to.match(
+      /^text\/plain; version=0\.0\.4/
+    );
+    return parse(await response.text());
+  }
+
+  it("Should export presale state labelled by contract and network", async function () {
+    const m = await scrape();
+
+    expect(m[`selfpresale_round_raised_usdc{${labels},round="1"}`]).to.equal(
+      1200
+    );
+    expect(m[`selfpresale_round_target_usdc{${labels},round="1"}`]).to.equal(
+      1500000
+    );
+    expect(m[`selfpresale_round_target_usdc{${labels},round="5"}`]).to.equal(
+      100000
+    );
+    expect(m[`selfpresale_current_round{${labels}}`]).to.equal(1);
+    expect(m[`selfpresale_total_raised_usdc{${labels}}`]).to.equal(1200);
+    expect(m[`selfpresale_participants{${labels}}`]).to.equal(1);
+    expect(m[`selfpresale_outstanding_self{${labels}}`]).to.equal(20000);
+    expect(m[`selfpresale_excess_self{${labels}}`]).to.equal(0);
+    expect(m[`selfpresale_withdrawn_today_usdc{${labels}}`]).to.equal(0);
+    expect(m[`selfpresale_paused{${labels}}`]).to.equal(0);
+    expect(m[`selfpresale_tge_enabled{${labels}}`]).to.equal(0);
+    expect(m[`selfpresale_block_number{${labels}}`]).to.equal(
+      await time.latestBlock()
+    );
+  });
+
+  it("Should count pending timelocks by kind and track withdrawals", async function () {
+    await presale.requestWithdrawFunds(treasury.address, usdc("500"));
+    await presale.requestWithdrawFunds(treasury.address, usdc("200"));
+    await presale.requestEnableTGE((await time.latest()) + 3 * 86400);
+    await presale.pause();
+
+    let m = await scrape();
+    const pending = (kind) =>
+      m[`selfpresale_pending_timelocks{${labels},kind="${kind}"}`];
+    expect(pending("withdrawFunds")).to.equal(2);
+    expect(pending("enableTGE")).to.equal(1);
+    expect(pending("emergencyWithdrawSELF")).to.equal(0);
+    expect(m[`selfpresale_paused{${labels}}`]).to.equal(1);
+
+    await time.increase(2 * 86400);
+    await presale.executeWithdrawFunds(1);
+    m = await scrape();
+    expect(pending("withdrawFunds")).to.equal(1);
+    expect(m[`selfpresale_withdrawn_today_usdc{${labels}}`]).to.equal(500);
+
+    // The daily counter is stale once the UTC day is over
+    await time.increase(86400);
+    m = await scrape();
+    expect(m[`selfpresale_withdrawn_today_usdc{${labels}}`]).to.equal(0);
+  });
+
+  it("Should answer 404 outside /metrics", async function () {
+    const response = await fetch(url.replace("/metrics", "/"));
+    expect(response.status).to.equal(404);
+  });
+
+  it("Should render the text exposition format with escaped labels", function () {
+    const text = renderMetrics([
+      {
+        name: "selfpresale_test",
+        help: "Test gauge",
+        samples: [{ labels: { network: 'a"b\\c\nd' }, value: 1.5 }],
+      },
+    ]);
+    expect(text).to.equal(
+      "# HELP selfpresale_test Test gauge\n" +
+        "# TYPE selfpresale_test gauge\n" +
+        'selfpresale_test{network="a\\"b\\\\c\\nd"} 1.5\n'
+    );
+  });
+});
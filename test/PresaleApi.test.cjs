@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+  mine,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { openIndex } = require("../scripts/lib/indexer");
+const { startApi } = require("../scripts/lib/api");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+describe("Presale HTTP API", function () {
+  let presale, treasury, user1, deployBlock;
+  let index, server, url;
+
+  // user1 has bought $1,200 in round 1
+  async function contributedFixture() {
+    const fixture = await loadFixture(approvedFixture);
+    await fixture.presale.connect(fixture.user1).contribute(usdc("1200"));
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    ({ presale, treasury, user1, deployBlock } = await loadFixture(
+      contributedFixture
+    ));
+    index = await openIndex();
+    server = await startApi(presale, index, {
+      port: 0,
+      host: "127.0.0.1",
+      fromBlock: deployBlock,
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    index.close();
+  });
+
+  async function get(path, headers = {}) {
+    const response = await fetch(url + path, { headers });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : undefined,
+    };
+  }
+
+  it("Should serve aggregate stats with decimal-string amounts", async function () {
+    const { status, headers, body } = await get("/stats");
+    expect(status).to.equal(200);
+    expect(headers.get("x-block-number")).to.equal(
+      String(await time.latestBlock())
+    );
+    expect(body).to.include({
+      roundsInitialized: true,
+      paused: false,
+      currentRound: 1,
+      totalRaisedUSDC: "1200.0",
+      totalParticipants: 1,
+      totalAllocatedSELF: "20000.0",
+      tgeEnabled: false,
+      tgeTime: null,
+    });
+    expect(body.balanceSELF).to.equal("42000000.0");
+  });
+
+  it("Should serve all rounds and a single round", async function () {
+    const { body: rounds } = await get("/rounds");
+    expect(rounds).to.have.length(5);
+    expect(rounds[0]).to.include({
+      round: 1,
+      price: "0.06",
+      raised: "1200.0",
+      finalized: false,
+    });
+
+    const { body: second } = await get("/rounds/2");
+    expect(second).to.deep.equal(rounds[1]);
+    expect((await get("/rounds/6")).status).to.equal(404);
+  });
+
+  it("Should serve a wallet with its unlock schedule once TGE is requested", async function () {
+    const before = await get(`/users/${user1.address.toLowerCase()}`);
+    expect(before.body).to.include({
+      address: user1.address,
+      totalUSDC: "1200.0",
+      totalSELF: "20000.0",
+      tgeUnlockSELF: "8000.0",
+      vestedSELF: "12000.0",
+      claimableSELF: "0.0",
+      unlockSchedule: null,
+    });
+    expect(before.body.roundsUSDC).to.deep.equal([
+      "1200.0",
+      "0.0",
+      "0.0",
+      "0.0",
+      "0.0",
+    ]);
+
+    const tgeTime = (await time.latest()) + 3 * 86400;
+    await presale.requestEnableTGE(tgeTime);
+    const { body } = await get(`/users/${user1.address}`);
+    const { points, ...tge } = body.unlockSchedule;
+    expect(tge).to.deep.equal({
+      tgeTime: new Date(tgeTime * 1000).toISOString(),
+      tgeEnabled: false,
+    });
+    expect(points).to.have.length(13);
+    expect(points[0].unlockedSELF).to.equal("8000.0");
+    expect(points[1].unlockedSELF).to.equal("1000.0");
+    expect(points[12]).to.include({
+      cumulativeSELF: "20000.0",
+      lockedSELF: "0.0",
+    });
+  });
+
+  it("Should reject malformed addresses and unknown paths", async function () {
+    const bad = await get("/users/0x1234");
+    expect(bad.status).to.equal(400);
+    expect(bad.body.error).to.equal("Invalid address");
+    expect((await get("/nope")).status).to.equal(404);
+
+    const post = await fetch(`${url}/stats`, { method: "POST" });
+    expect(post.status).to.equal(405);
+  });
+
+  it("Should list timelocks from the event index", async function () {
+    await presale.requestWithdrawFunds(treasury.address, usdc("500"));
+
+    const { body } = await get("/timelocks");
+    const withdrawal = body.find((entry) => entry.kind === "withdrawFunds");
+    expect(withdrawal).to.include({
+      state: "waiting",
+      nonce: 1,
+      treasury: treasury.address,
+      amountUSDC: "500.0",
+    });
+
+    await time.increase(2 * 86400);
+    const later = await get("/timelocks");
+    expect(later.body.find((e) => e.nonce === 1).state).to.equal("ready");
+  });
+
+  it("Should cache per block and revalidate with the block ETag", async function () {
+    const first = await get("/stats");
+    const etag = first.headers.get("etag");
+    expect(first.headers.get("cache-control")).to.equal("public, max-age=2");
+
+    const again = await get("/stats", { "if-none-match": etag });
+    expect(again.status).to.equal(304);
+
+    await presale.pause();
+    const changed = await get("/stats", { "if-none-match": etag });
+    expect(changed.status).to.equal(200);
+    expect(changed.headers.get("etag")).to.not.equal(etag);
+    expect(changed.body.paused).to.equal(true);
+
+    // Every new block is served fresh
+    await mine(1);
+    const next = await get("/stats");
+    expect(Number(next.headers.get("x-block-number"))).to.equal(
+      Number(changed.headers.get("x-block-number")) + 1
+    );
+  });
+
+  it("Should not serve a sync started for an older block to a newer request", async function () {
+    const provider = presale.runner.provider;
+    const { getBlock, getBlockNumber } = provider;
+    // Hold the first sync until a request has seen the next block
+    let release, seen;
+    const gate = new Promise((resolve) => (release = resolve));
+    const newerSeen = new Promise((resolve) => (seen = resolve));
+    let calls = 0;
+    provider.getBlock = async (...args) => {
+      await gate;
+      return getBlock.apply(provider, args);
+    };
+    provider.getBlockNumber = async () => {
+      const number = await getBlockNumber.apply(provider);
+      if (++calls === 2) seen();
+      return number;
+    };
+
+    try {
+      const older = get("/stats");
+      while (calls === 0) await new Promise((r) => setTimeout(r, 10));
+      await mine(1);
+      const newer = get("/stats");
+      await newerSeen;
+      setTimeout(release, 50);
+
+      const [first, second] = await Promise.all([older, newer]);
+      const latest = await time.latestBlock();
+      expect(first.headers.get("x-block-number")).to.equal(String(latest - 1));
+      expect(second.headers.get("x-block-number")).to.equal(String(latest));
+    } finally {
+      provider.getBlock = getBlock;
+      provider.getBlockNumber = getBlockNumber;
+    }
+  });
+});
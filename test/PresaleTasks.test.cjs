@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { usdc, finishRounds, approvedFixture } = require("./fixtures.cjs");
+
+const { ethers } = hre;
+const iso = (seconds) => new Date(seconds * 1000).toISOString();
+
+describe("presale:* tasks", function () {
+  let presale, address, user1, startTimes, endTimes;
+
+  beforeEach(async function () {
+    ({ presale, user1, startTimes, endTimes } = await loadFixture(
+      approvedFixture
+    ));
+    address = await presale.getAddress();
+  });
+
+  // Run a task with --json and parse what it prints
+  async function run(name, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+      await hre.run(name, { presale: address, json: true, ...args });
+    } finally {
+      console.log = log;
+    }
+    return JSON.parse(lines.join("\n"));
+  }
+
+  it("Should report the 1-based round before and after advanceRound", async function () {
+    expect(await run("presale:status")).to.deep.equal({
+      presale: address,
+      roundsInitialized: true,
+      paused: false,
+      currentRound: 1,
+      totalRaisedUSDC: "0.0",
+      totalParticipants: 0,
+      tgeEnabled: false,
+      tgeTime: null,
+    });
+    expect(await run("presale:round")).to.include({
+      round: 1,
+      price: "0.06",
+      target: "1500000.0",
+      startTime: iso(startTimes[0]),
+      endTime: iso(endTimes[0]),
+      finalized: false,
+    });
+
+    await presale.finalizeRound();
+    await presale.advanceRound();
+    expect((await run("presale:status")).currentRound).to.equal(2);
+    expect(await run("presale:round")).to.include({
+      round: 2,
+      price: "0.07",
+      startTime: iso(startTimes[1]),
+      endTime: iso(endTimes[1]),
+    });
+    expect(await run("presale:round", { round: 1 })).to.include({
+      round: 1,
+      finalized: true,
+    });
+
+    await finishRounds(presale, endTimes);
+    expect((await run("presale:status")).currentRound).to.equal("ended");
+    expect(await run("presale:round")).to.deep.equal({
+      round: "ended",
+      finalized: true,
+    });
+  });
+
+  it("Should reject a round outside 1-5", async function () {
+    await expect(run("presale:round", { round: 6 })).to.be.rejectedWith(
+      "--round must be 1-5"
+    );
+  });
+
+  it("Should print USDC with 6 decimals and SELF with 18", async function () {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await presale.finalizeRound();
+    await presale.advanceRound();
+    await presale.connect(user1).contribute(usdc("250.123456"));
+
+    expect(await run("presale:status")).to.include({
+      totalRaisedUSDC: "1250.123456",
+      totalParticipants: 1,
+    });
+
+    const user = await run("presale:user", {
+      address: user1.address.toLowerCase(),
+    });
+    const c = await presale.getUserContribution(user1.address);
+    expect(user).to.include({
+      address: user1.address,
+      totalUSDC: "1250.123456",
+      round1USDC: "1000.0",
+      round2USDC: "250.123456",
+      round3USDC: "0.0",
+      totalSELF: ethers.formatEther(c.totalSELF),
+      claimedSELF: "0.0",
+      claimableSELF: "0.0",
+    });
+    // Both purchases round SELF up in the 18th decimal
+    expect(user.totalSELF).to.match(/^20239\.\d{18}$/);
+    expect(user.tgeUnlockSELF).to.equal(ethers.formatEther(c.tgeUnlockAmount));
+    expect(user.vestedSELF).to.equal(ethers.formatEther(c.vestedAmount));
+
+    expect(await run("presale:solvency")).to.deep.equal({
+      balanceSELF: "42000000.0",
+      totalAllocatedSELF: user.totalSELF,
+      totalClaimedSELF: "0.0",
+      outstandingSELF: user.totalSELF,
+      // Nothing counts as excess until TGE is enabled
+      excessSELF: "0.0",
+      solvent: true,
+    });
+  });
+});
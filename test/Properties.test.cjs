@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const {
+  loadFixture,
+  mine,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { allocate } = require("../scripts/lib/allocations");
+const {
+  VESTING_DURATION,
+  unlockedAmount,
+  claimableAmount,
+} = require("../scripts/lib/vesting");
+const { approvedFixture, enableTGE } = require("./fixtures.cjs");
+
+// Property-based checks of contribute()'s allocation split and
+// getClaimableAmount()'s linear vesting. fast-check prints the seed and the
+// shrunk counterexample of a failing run; pass them back with
+// { seed, path } in the fc.assert() options to replay it.
+
+const USDC_UNIT = 10n ** 6n;
+
+// Claim times from just before TGE to a month past full vesting
+const offsetArb = fc.integer({ min: -60, max: VESTING_DURATION + 30 * 86400 });
+
+describe("Allocation and vesting properties", function () {
+  describe("Arithmetic, for any round parameters", function () {
+    // Prices from $0.000001 to $10 per SELF, any unlock and bonus percentage
+    const roundArb = fc.record({
+      price: fc.bigInt({ min: 1n, max: 10n * USDC_UNIT }),
+      tgeUnlock: fc.integer({ min: 0, max: 100 }),
+      bonus: fc.integer({ min: 0, max: 100 }),
+    });
+    const amountArb = fc.bigInt({ min: 1n, max: 10_000n * USDC_UNIT });
+
+    // Summed allocation of one wallet's [amount, round] purchases
+    function walletAllocation(purchases) {
+      const wallet = { totalSELF: 0n, tgeUnlockAmount: 0n, vestedAmount: 0n };
+      for (const [amount, round] of purchases) {
+        const result = allocate(amount, round);
+        wallet.totalSELF += result.totalSELF;
+        wallet.tgeUnlockAmount += result.tgeUnlockAmount;
+        wallet.vestedAmount += result.vestedAmount;
+      }
+      return wallet;
+    }
+
+    it("Should round SELF up and split it exactly into unlock and vested", function () {
+      fc.assert(
+        fc.property(amountArb, roundArb, (amount, round) => {
+          const result = allocate(amount, round);
+          const scaled = amount * 10n ** 18n;
+
+          // selfAmount is the smallest amount that costs at least usdcAmount
+          expect(result.selfAmount * round.price >= scaled).to.equal(true);
+          expect((result.selfAmount - 1n) * round.price < scaled).to.equal(
+            true
+          );
+          expect(result.tgeUnlockAmount + result.vestedAmount).to.equal(
+            result.totalSELF
+          );
+          expect(result.bonusAmount <= result.selfAmount).to.equal(true);
+        }),
+        { numRuns: 500 }
+      );
+    });
+
+    it("Should never unlock more than totalSELF and unlock all of it after VESTING_DURATION", function () {
+      const purchasesArb = fc.array(fc.tuple(amountArb, roundArb), {
+        minLength: 1,
+        maxLength: 5,
+      });
+      fc.assert(
+        fc.property(
+          purchasesArb,
+          fc.array(offsetArb, { maxLength: 20 }),
+          (purchases, offsets) => {
+            const tgeTime = 1_700_000_000;
+            const tge = { tgeEnabled: true, tgeTime };
+            const wallet = { ...walletAllocation(purchases), claimed: 0n };
+
+            let previous = 0n;
+            for (const offset of [...offsets].sort((a, b) => a - b)) {
+              const at = tgeTime + offset;
+              const unlocked = unlockedAmount(wallet, tgeTime, at);
+              expect(unlocked >= previous).to.equal(true);
+              previous = unlocked;
+
+              wallet.claimed += claimableAmount(wallet, tge, at);
+              expect(wallet.claimed <= wallet.totalSELF).to.equal(true);
+            }
+
+            const end = tgeTime + VESTING_DURATION;
+            expect(unlockedAmount(wallet, tgeTime, end)).to.equal(
+              wallet.totalSELF
+            );
+            expect(claimableAmount(wallet, tge, end)).to.equal(
+              wallet.totalSELF - wallet.claimed
+            );
+          }
+        ),
+        { numRuns: 500 }
+      );
+    });
+  });
+
+  describe("SELFPresale, for random contributions and claim times", function () {
+    // Up to eight purchases of $100-$1,250 keep every wallet under the
+    // $10,000 cap and every round well under its target
+    const contributionsArb = fc.array(
+      fc.record({
+        round: fc.integer({ min: 0, max: 4 }),
+        wallet: fc.integer({ min: 0, max: 2 }),
+        amount: fc.bigInt({ min: 100n * USDC_UNIT, max: 1_250n * USDC_UNIT }),
+      }),
+      { minLength: 1, maxLength: 8 }
+    );
+    const claimsArb = fc.array(
+      fc.record({ wallet: fc.integer({ min: 0, max: 2 }), offset: offsetArb }),
+      { maxLength: 8 }
+    );
+
+    it("Should keep claims within totalSELF, never lower the unlocked amount and release everything", async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          contributionsArb,
+          claimsArb,
+          async (contributions, claims) => {
+            const { presale, selfToken, user1, user2, user3 } =
+              await loadFixture(approvedFixture);
+            const wallets = [user1, user2, user3];
+
+            for (const { round, wallet, amount } of [...contributions].sort(
+              (a, b) => a.round - b.round
+            )) {
+              while (Number(await presale.currentRound()) < round) {
+                await presale.finalizeRound();
+                await presale.advanceRound();
+              }
+              // CONTRIBUTION_COOLDOWN: a wallet buys at most every other block
+              await mine();
+              await presale.connect(wallets[wallet]).contribute(amount);
+            }
+            const tgeTime = await enableTGE(presale);
+
+            // claimed + claimable is what has unlocked so far
+            const unlocked = async (wallet) => {
+              const c = await presale.getUserContribution(wallet.address);
+              return (
+                c.claimed + (await presale.getClaimableAmount(wallet.address))
+              );
+            };
+            const previous = await Promise.all(wallets.map(unlocked));
+
+            for (const { wallet, offset } of [...claims].sort(
+              (a, b) => a.offset - b.offset
+            )) {
+              // Each block needs a later timestamp than the last
+              if (tgeTime + offset > (await time.latest())) {
+                await time.increaseTo(tgeTime + offset);
+              }
+              for (const [i, other] of wallets.entries()) {
+                const now = await unlocked(other);
+                expect(now >= previous[i]).to.equal(true);
+                previous[i] = now;
+              }
+
+              const claimer = wallets[wallet];
+              if ((await presale.getClaimableAmount(claimer.address)) > 0n) {
+                await presale.connect(claimer).claimTokens();
+              }
+              const c = await presale.getUserContribution(claimer.address);
+              expect(c.claimed <= c.totalSELF).to.equal(true);
+              expect(
+                (await presale.totalClaimedSELF()) <=
+                  (await presale.totalAllocatedSELF())
+              ).to.equal(true);
+            }
+
+            if (tgeTime + VESTING_DURATION > (await time.latest())) {
+              await time.increaseTo(tgeTime + VESTING_DURATION);
+            }
+            for (const wallet of wallets) {
+              const c = await presale.getUserContribution(wallet.address);
+              expect(await presale.getClaimableAmount(wallet.address)).to.equal(
+                c.totalSELF - c.claimed
+              );
+              if (c.totalSELF > c.claimed) {
+                await presale.connect(wallet).claimTokens();
+              }
+              expect(await selfToken.balanceOf(wallet.address)).to.equal(
+                c.totalSELF
+              );
+            }
+            expect(await presale.totalClaimedSELF()).to.equal(
+              await presale.totalAllocatedSELF()
+            );
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
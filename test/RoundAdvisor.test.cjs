@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  roundStatus,
+  planTransition,
+  transitionBatch,
+} = require("../scripts/lib/rounds");
+const { usdc, contributeFrom, initializedFixture } = require("./fixtures.cjs");
+
+describe("Round transition advisor", function () {
+  let presale, mockUSDC;
+  let admin, user1;
+  let startTimes, endTimes;
+
+  beforeEach(async function () {
+    ({ presale, mockUSDC, admin, user1, startTimes, endTimes } =
+      await loadFixture(initializedFixture));
+  });
+
+  // Manual finalize + advance until `round` (1-based) is current
+  async function advanceTo(round) {
+    await time.increaseTo(startTimes[0]);
+    for (let i = 1; i < round; i++) {
+      await presale.finalizeRound();
+      await presale.advanceRound();
+    }
+  }
+
+  // Send a batch's calls from the admin, standing in for the Safe
+  async function execute(batch) {
+    for (const { to, data } of batch.transactions) {
+      await admin.sendTransaction({ to, data });
+    }
+  }
+
+  const batchOpts = async () => ({
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    safeAddress: admin.address,
+  });
+
+  it("Should report capacity and time left without a due transition", async function () {
+    let status = await roundStatus(presale);
+    expect(status).to.include({ round: 1, started: false, finalized: false });
+    expect(planTransition(status)).to.deep.include({
+      due: false,
+      actions: [],
+      reason: "Round 1 has not started",
+    });
+
+    await time.increaseTo(startTimes[0]);
+    await mockUSDC
+      .connect(user1)
+      .approve(await presale.getAddress(), usdc("1200"));
+    await presale.connect(user1).contribute(usdc("1200"));
+    status = await roundStatus(presale);
+    expect(status).to.include({
+      round: 1,
+      started: true,
+      pastEndTime: false,
+      finalized: false,
+      autoFinalized: false,
+      dust: false,
+    });
+    expect(status.raised).to.equal(usdc("1200"));
+    expect(status.remaining).to.equal(usdc("1500000") - usdc("1200"));
+    expect(status.secondsLeft).to.equal(endTimes[0] - status.timestamp);
+
+    const plan = planTransition(status);
+    expect(plan).to.deep.include({ due: false, actions: [] });
+
+    // The explained condition is the revert advanceRound() alone hits
+    expect(plan.conditions.map((c) => c.error)).to.deep.equal([
+      "CurrentRoundNotFinalized",
+    ]);
+    await expect(
+      presale.advanceRound.staticCall()
+    ).to.be.revertedWithCustomError(presale, "CurrentRoundNotFinalized");
+
+    expect(planTransition(status, { early: true })).to.deep.include({
+      due: true,
+      actions: ["finalizeRound", "advanceRound"],
+    });
+  });
+
+  it("Should batch finalize + advance once endTime has passed", async function () {
+    await time.increaseTo(endTimes[0] + 1);
+    const status = await roundStatus(presale);
+    expect(status).to.include({ pastEndTime: true, secondsLeft: 0 });
+
+    const plan = planTransition(status);
+    expect(plan).to.deep.include({
+      due: true,
+      actions: ["finalizeRound", "advanceRound"],
+      reason: "endTime passed",
+    });
+
+    const batch = await transitionBatch(
+      presale,
+      status,
+      plan,
+      await batchOpts()
+    );
+    expect(batch.meta.name).to.equal("SELFPresale round 1 -> 2");
+    expect(batch.transactions.map((t) => t.contractMethod.name)).to.deep.equal([
+      "finalizeRound",
+      "advanceRound",
+    ]);
+    expect(batch.transactions[0].to).to.equal(await presale.getAddress());
+
+    await execute(batch);
+    const after = await roundStatus(presale);
+    expect(after).to.include({ round: 2, finalized: false, started: true });
+    expect(planTransition(after).due).to.equal(false);
+  });
+
+  it("Should only advance a round that auto-finalized at its target", async function () {
+    // Round 4: $150,000 target, filled by fifteen wallets down to dust
+    await advanceTo(4);
+    await contributeFrom(presale, mockUSDC, 14, usdc("10000"));
+    await contributeFrom(presale, mockUSDC, 1, usdc("9950"), "dust");
+
+    let status = await roundStatus(presale);
+    expect(status).to.include({ round: 4, dust: true, finalized: false });
+    expect(status.remaining).to.equal(usdc("50"));
+
+    await contributeFrom(presale, mockUSDC, 1, usdc("50"), "last");
+    status = await roundStatus(presale);
+    expect(status).to.include({ finalized: true, autoFinalized: true });
+
+    const plan = planTransition(status);
+    expect(plan).to.deep.include({
+      due: true,
+      actions: ["advanceRound"],
+      reason: "Round auto-finalized at target",
+      conditions: [],
+    });
+    const batch = await transitionBatch(
+      presale,
+      status,
+      plan,
+      await batchOpts()
+    );
+    expect(batch.transactions).to.have.length(1);
+    await execute(batch);
+    expect((await roundStatus(presale)).round).to.equal(5);
+  });
+
+  it("Should finalize round 5 but never advance past it", async function () {
+    await advanceTo(5);
+    let status = await roundStatus(presale);
+    let plan = planTransition(status);
+    expect(plan.due).to.equal(false);
+    expect(plan.conditions.map((c) => c.error)).to.deep.equal([
+      "LastRoundActive",
+    ]);
+
+    plan = planTransition(status, { early: true });
+    expect(plan.actions).to.deep.equal(["finalizeRound"]);
+    const batch = await transitionBatch(
+      presale,
+      status,
+      plan,
+      await batchOpts()
+    );
+    expect(batch.meta.name).to.equal("SELFPresale finalize round 5");
+    await execute(batch);
+
+    status = await roundStatus(presale);
+    expect(status).to.include({ round: 5, finalized: true });
+    expect(planTransition(status)).to.deep.include({
+      due: false,
+      actions: [],
+      reason: "Round 5 finalized: presale complete",
+    });
+
+    // LastRoundActive is not enforced: the contract still lets the round
+    // manager advance, after which nothing can be finalized or advanced
+    await presale.advanceRound();
+    status = await roundStatus(presale);
+    expect(status).to.include({ ended: true, round: null });
+    plan = planTransition(status, { early: true });
+    expect(plan.actions).to.deep.equal([]);
+    expect(plan.conditions.map((c) => c.error)).to.deep.equal([
+      "PresaleEnded",
+      "NoActiveRound",
+    ]);
+    await expect(
+      presale.advanceRound.staticCall()
+    ).to.be.revertedWithCustomError(presale, "PresaleEnded");
+    await expect(
+      presale.finalizeRound.staticCall()
+    ).to.be.revertedWithCustomError(presale, "NoActiveRound");
+  });
+});
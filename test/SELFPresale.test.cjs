@@ -1,82 +1,48 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
-
-const usdc = (n) => ethers.parseUnits(String(n), 6);
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  usdc,
+  roundTimes,
+  contributeFrom,
+  finishRounds,
+  enableTGE,
+  deployedFixture,
+  initializedFixture,
+  round1OpenFixture,
+  roundsEndedFixture,
+  tgeEnabledFixture,
+} = require("./fixtures.cjs");
 
 describe("SELFPresale - Enhanced Security Test Suite", function () {
   let presale, selfToken, mockUSDC;
-  let admin, pauser, roundManager, treasury, tgeEnabler;
+  let admin, treasury;
   let user1, user2, user3;
-  let signers;
   let startTimes, endTimes;
 
   // Role hashes
-  let DEFAULT_ADMIN_ROLE,
-    PAUSER_ROLE,
-    ROUND_MANAGER_ROLE,
-    TREASURY_ROLE,
-    TGE_ENABLER_ROLE;
-
-  beforeEach(async function () {
-    signers = await ethers.getSigners();
-    [admin, pauser, roundManager, treasury, tgeEnabler, user1, user2, user3] =
-      signers;
-
-    // Get role hashes
-    DEFAULT_ADMIN_ROLE = ethers.ZeroHash; // 0x00...
-    PAUSER_ROLE = ethers.id("PAUSER_ROLE");
-    ROUND_MANAGER_ROLE = ethers.id("ROUND_MANAGER_ROLE");
-    TREASURY_ROLE = ethers.id("TREASURY_ROLE");
-    TGE_ENABLER_ROLE = ethers.id("TGE_ENABLER_ROLE");
-
-    // Deploy mock USDC (6 decimals for Base)
-    const MockUSDC = await ethers.getContractFactory("MockUSDC");
-    mockUSDC = await MockUSDC.deploy();
-
-    // Deploy SELF token (500M supply)
-    const SELFToken = await ethers.getContractFactory("SELFToken");
-    selfToken = await SELFToken.deploy();
-
-    // Deploy presale with admin
-    const SELFPresale = await ethers.getContractFactory("SELFPresale");
-    presale = await SELFPresale.deploy(
-      await mockUSDC.getAddress(),
-      await selfToken.getAddress(),
-      admin.address
-    );
-
-    // Setup round times
-    const now = await time.latest();
-    startTimes = [
-      now + 3600,
-      now + 3600 + 86400 * 12,
-      now + 3600 + 86400 * 24,
-      now + 3600 + 86400 * 36,
-      now + 3600 + 86400 * 48,
-    ];
-    endTimes = [
-      now + 3600 + 86400 * 12 - 1,
-      now + 3600 + 86400 * 24 - 1,
-      now + 3600 + 86400 * 36 - 1,
-      now + 3600 + 86400 * 48 - 1,
-      now + 3600 + 86400 * 60 - 1,
-    ];
-
-    // Initialize rounds
-    await presale.connect(admin).initializeRounds(startTimes, endTimes);
-
-    // Transfer SELF tokens to presale
-    const presaleAllocation = ethers.parseEther("42000000");
-    await selfToken.transfer(await presale.getAddress(), presaleAllocation);
-
-    // Mint USDC to users
-    await mockUSDC.mint(user1.address, usdc("50000"));
-    await mockUSDC.mint(user2.address, usdc("50000"));
-    await mockUSDC.mint(user3.address, usdc("50000"));
-  });
+  const DEFAULT_ADMIN_ROLE = ethers.ZeroHash; // 0x00...
+  const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+  const ROUND_MANAGER_ROLE = ethers.id("ROUND_MANAGER_ROLE");
+  const TREASURY_ROLE = ethers.id("TREASURY_ROLE");
+  const TGE_ENABLER_ROLE = ethers.id("TGE_ENABLER_ROLE");
+
+  // Restore `fixture` and expose its state to the tests
+  async function use(fixture) {
+    const state = await loadFixture(fixture);
+    ({ presale, selfToken, mockUSDC, admin, treasury } = state);
+    ({ user1, user2, user3, startTimes, endTimes } = state);
+    return state;
+  }
 
   describe("Deployment & Access Control", function () {
+    beforeEach(async function () {
+      await use(initializedFixture);
+    });
+
     it("Should set correct token addresses", async function () {
       expect(await presale.USDC()).to.equal(await mockUSDC.getAddress());
       expect(await presale.SELF()).to.equal(await selfToken.getAddress());
@@ -107,13 +73,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should prevent non-admin from initializing", async function () {
-      // Deploy a new presale
-      const SELFPresale = await ethers.getContractFactory("SELFPresale");
-      const newPresale = await SELFPresale.deploy(
-        await mockUSDC.getAddress(),
-        await selfToken.getAddress(),
-        admin.address
-      );
+      // A presale whose rounds are not initialized yet
+      const { presale: newPresale } = await loadFixture(deployedFixture);
 
       await expect(
         newPresale.connect(user1).initializeRounds(startTimes, endTimes)
@@ -123,7 +84,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Round 1 Contributions", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should accept valid contribution", async function () {
@@ -194,7 +155,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Flash Loan Protection", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should block contributions in same block", async function () {
@@ -215,7 +176,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Whale Protection", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should reject single contribution exceeding 10% of round", async function () {
@@ -233,7 +194,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Rate Limiting", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should enforce hourly rate limit", async function () {
@@ -259,7 +220,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Pause Functionality", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should allow pauser to pause", async function () {
@@ -285,7 +246,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Round Management", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should finalize round when target reached", async function () {
@@ -332,39 +293,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
   describe("TGE with Timelock", function () {
     beforeEach(async function () {
       // Complete all 5 rounds with funded contribution activity
-      const amountPerWallet = usdc("10000");
-
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) {
-          await time.increaseTo(startTimes[i]);
-        }
-
-        // Add contribution activity in round 1 using random wallets
-        if (i === 0) {
-          const walletsNeeded = 50;
-          for (let w = 0; w < walletsNeeded; w++) {
-            const wallet = ethers.Wallet.createRandom().connect(
-              ethers.provider
-            );
-            await admin.sendTransaction({
-              to: wallet.address,
-              value: ethers.parseEther("0.1"),
-            });
-            await mockUSDC.mint(wallet.address, amountPerWallet);
-            await mockUSDC
-              .connect(wallet)
-              .approve(await presale.getAddress(), amountPerWallet);
-            await presale.connect(wallet).contribute(amountPerWallet);
-            await ethers.provider.send("hardhat_mine", ["0x3"]);
-          }
-        }
-
-        // Fast forward to end of round
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      await use(roundsEndedFixture);
     });
 
     it("Should require timelock for TGE enablement", async function () {
@@ -397,14 +326,22 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
   });
 
   describe("Treasury Withdrawal with Timelock", function () {
-    beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+    // user1 contributes $10,000 in round 1. The end-of-presale tests load
+    // roundsEndedFixture instead, so this is not a beforeEach: restoring
+    // an earlier state first would discard the filled-rounds snapshot.
+    async function contributedFixture() {
+      const state = await loadFixture(round1OpenFixture);
       const amount = usdc("10000");
-      await mockUSDC.connect(user1).approve(await presale.getAddress(), amount);
-      await presale.connect(user1).contribute(amount);
-    });
+      await state.mockUSDC
+        .connect(state.user1)
+        .approve(await state.presale.getAddress(), amount);
+      await state.presale.connect(state.user1).contribute(amount);
+      return state;
+    }
 
     it("Should enforce the timelock before executing a withdrawal", async function () {
+      await use(contributedFixture);
+
       // Request succeeds during the active presale; execution before the
       // timelock elapses must revert.
       await presale
@@ -416,6 +353,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should allow withdrawal during an active presale", async function () {
+      await use(contributedFixture);
+
       // Funds must be reachable mid-presale, subject only to timelock + circuit breaker.
       await presale
         .connect(admin)
@@ -432,31 +371,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should allow withdrawal after presale end", async function () {
-      // Add sufficient USDC activity for the withdrawal scenario
-      const amountPerWallet = usdc("10000");
-      const walletsNeeded = 50;
-      for (let w = 0; w < walletsNeeded; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await presale.getAddress(), amountPerWallet);
-        await presale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
-
-      // End all rounds
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) await time.increaseTo(startTimes[i]);
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      // Sufficient USDC activity for the withdrawal scenario, all rounds ended
+      await use(roundsEndedFixture);
 
       // Request withdrawal within daily limit ($100k < $500k daily limit)
       await presale
@@ -471,31 +387,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should enforce circuit breaker - daily withdrawal limit", async function () {
-      // Add sufficient USDC activity for the circuit-breaker scenario
-      const amountPerWallet = usdc("10000");
-      const walletsNeeded = 50;
-      for (let w = 0; w < walletsNeeded; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await presale.getAddress(), amountPerWallet);
-        await presale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
-
-      // End all rounds
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) await time.increaseTo(startTimes[i]);
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      // Sufficient USDC activity for the circuit-breaker scenario, all rounds ended
+      await use(roundsEndedFixture);
 
       // Request withdrawal larger than daily limit
       await presale
@@ -509,31 +402,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should allow multiple queued withdrawals to execute independently (SEA-10)", async function () {
-      // Add sufficient USDC activity for multiple withdrawals
-      const amountPerWallet = usdc("10000");
-      const walletsNeeded = 50;
-      for (let w = 0; w < walletsNeeded; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await presale.getAddress(), amountPerWallet);
-        await presale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
-
-      // End all rounds
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) await time.increaseTo(startTimes[i]);
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      // Sufficient USDC activity for multiple withdrawals, all rounds ended
+      await use(roundsEndedFixture);
 
       const treasuryBalBefore = await mockUSDC.balanceOf(treasury.address);
 
@@ -564,52 +434,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Claiming Tokens", function () {
     beforeEach(async function () {
-      const amountPerWallet = usdc("10000");
-
-      // Complete all rounds with funded contribution activity
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) {
-          await time.increaseTo(startTimes[i]);
-        }
-
-        if (i === 0) {
-          // Add contribution activity in round 1 using random wallets
-          const walletsNeeded = 50;
-          for (let w = 0; w < walletsNeeded; w++) {
-            const wallet = ethers.Wallet.createRandom().connect(
-              ethers.provider
-            );
-            await admin.sendTransaction({
-              to: wallet.address,
-              value: ethers.parseEther("0.1"),
-            });
-            await mockUSDC.mint(wallet.address, amountPerWallet);
-            await mockUSDC
-              .connect(wallet)
-              .approve(await presale.getAddress(), amountPerWallet);
-            await presale.connect(wallet).contribute(amountPerWallet);
-            await ethers.provider.send("hardhat_mine", ["0x3"]);
-          }
-        }
-
-        // user1 also contributes for later claiming
-        const amount = usdc("1000");
-        await mockUSDC
-          .connect(user1)
-          .approve(await presale.getAddress(), amount);
-        await presale.connect(user1).contribute(amount);
-
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
-
-      const tgeTime = (await time.latest()) + 86400 * 7;
-      await presale.connect(admin).requestEnableTGE(tgeTime);
-      await time.increase(86400 * 2 + 1);
-      await presale.connect(admin).executeEnableTGE();
-      await time.increase(86400 * 7);
+      // All rounds completed (user1 in each), TGE enabled and reached
+      await use(tgeEnabledFixture);
     });
 
     it("Should allow claiming TGE unlock", async function () {
@@ -625,48 +451,13 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
       const claimable = await presale.getClaimableAmount(user1.address);
       expect(claimable).to.be.gt(0);
     });
+
   });
 
   describe("Excess SELF Withdrawal (SEA-16)", function () {
     beforeEach(async function () {
-      const amountPerWallet = usdc("10000");
-
-      // Complete all rounds with funded contribution activity
-      for (let i = 0; i < 5; i++) {
-        const currentTime = await time.latest();
-        if (startTimes[i] > currentTime) {
-          await time.increaseTo(startTimes[i]);
-        }
-
-        if (i === 0) {
-          // Add contribution activity in round 1 using random wallets
-          const walletsNeeded = 50;
-          for (let w = 0; w < walletsNeeded; w++) {
-            const wallet = ethers.Wallet.createRandom().connect(
-              ethers.provider
-            );
-            await admin.sendTransaction({
-              to: wallet.address,
-              value: ethers.parseEther("0.1"),
-            });
-            await mockUSDC.mint(wallet.address, amountPerWallet);
-            await mockUSDC
-              .connect(wallet)
-              .approve(await presale.getAddress(), amountPerWallet);
-            await presale.connect(wallet).contribute(amountPerWallet);
-            await ethers.provider.send("hardhat_mine", ["0x3"]);
-          }
-        }
-
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
-
-      const tgeTime = (await time.latest()) + 86400 * 7;
-      await presale.connect(admin).requestEnableTGE(tgeTime);
-      await time.increase(86400 * 2 + 1);
-      await presale.connect(admin).executeEnableTGE();
+      // All rounds completed with funded contribution activity, TGE enabled
+      await use(tgeEnabledFixture);
     });
 
     it("Should allow sweeping only the excess SELF after TGE", async function () {
@@ -691,35 +482,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should revert if called before TGE", async function () {
-      // Deploy a fresh presale that hasn't enabled TGE
-      const SELFPresale = await ethers.getContractFactory("SELFPresale");
-      const freshPresale = await SELFPresale.deploy(
-        await mockUSDC.getAddress(),
-        await selfToken.getAddress(),
-        admin.address
-      );
-      const now = await time.latest();
-      const freshStartTimes = [
-        now + 3600,
-        now + 3600 + 86400 * 12,
-        now + 3600 + 86400 * 24,
-        now + 3600 + 86400 * 36,
-        now + 3600 + 86400 * 48,
-      ];
-      const freshEndTimes = [
-        now + 3600 + 86400 * 12 - 1,
-        now + 3600 + 86400 * 24 - 1,
-        now + 3600 + 86400 * 36 - 1,
-        now + 3600 + 86400 * 48 - 1,
-        now + 3600 + 86400 * 60 - 1,
-      ];
-      await freshPresale
-        .connect(admin)
-        .initializeRounds(freshStartTimes, freshEndTimes);
-      await selfToken.transfer(
-        await freshPresale.getAddress(),
-        ethers.parseEther("1000")
-      );
+      // An initialized presale that hasn't enabled TGE
+      const { presale: freshPresale } = await loadFixture(initializedFixture);
 
       await expect(
         freshPresale.connect(admin).withdrawExcessSELF(treasury.address)
@@ -727,35 +491,16 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should revert when there is no excess (balance equals outstanding)", async function () {
-      // Fresh presale where we fund SELF exactly equal to the allocations we create (so excess==0)
-      const MockUSDC = await ethers.getContractFactory("MockUSDC");
-      const freshUsdc = await MockUSDC.deploy();
-
-      const SELFToken = await ethers.getContractFactory("SELFToken");
-      const self = await SELFToken.deploy();
-
-      const SELFPresale = await ethers.getContractFactory("SELFPresale");
-      const p = await SELFPresale.deploy(
-        await freshUsdc.getAddress(),
-        await self.getAddress(),
-        admin.address
+      // Presale where we fund SELF exactly equal to the allocations we create (so excess==0)
+      const {
+        presale: p,
+        selfToken: self,
+        mockUSDC: freshUsdc,
+      } = await loadFixture(deployedFixture);
+
+      const { startTimes: sTimes, endTimes: eTimes } = roundTimes(
+        await time.latest()
       );
-
-      const now = await time.latest();
-      const sTimes = [
-        now + 3600,
-        now + 3600 + 86400 * 12,
-        now + 3600 + 86400 * 24,
-        now + 3600 + 86400 * 36,
-        now + 3600 + 86400 * 48,
-      ];
-      const eTimes = [
-        now + 3600 + 86400 * 12 - 1,
-        now + 3600 + 86400 * 24 - 1,
-        now + 3600 + 86400 * 36 - 1,
-        now + 3600 + 86400 * 48 - 1,
-        now + 3600 + 86400 * 60 - 1,
-      ];
       await p.connect(admin).initializeRounds(sTimes, eTimes);
 
       // Move to round 1 start
@@ -779,32 +524,13 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
       const totalSelfNeeded = totalSelfPerContribution * BigInt(walletsNeeded);
       await self.transfer(await p.getAddress(), totalSelfNeeded);
 
-      for (let w = 0; w < walletsNeeded; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await freshUsdc.mint(wallet.address, amountPerWallet);
-        await freshUsdc
-          .connect(wallet)
-          .approve(await p.getAddress(), amountPerWallet);
-        await p.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
+      await contributeFrom(p, freshUsdc, walletsNeeded, amountPerWallet);
 
       // End all rounds (including empty ones)
-      for (let i = 0; i < 5; i++) {
-        await time.increaseTo(eTimes[i] + 1);
-        await p.connect(admin).finalizeRound();
-        await p.connect(admin).advanceRound();
-      }
+      await finishRounds(p, eTimes);
 
       // Enable TGE
-      const tgeTime = (await time.latest()) + 86400 * 7;
-      await p.connect(admin).requestEnableTGE(tgeTime);
-      await time.increase(86400 * 2 + 1);
-      await p.connect(admin).executeEnableTGE();
+      await enableTGE(p);
 
       await expect(
         p.connect(admin).withdrawExcessSELF(treasury.address)
@@ -814,7 +540,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Security Edge Cases", function () {
     beforeEach(async function () {
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
     });
 
     it("Should handle zero contribution", async function () {
@@ -844,30 +570,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
 
   describe("Timelock Cancellation", function () {
     it("Should allow cancelling withdrawal timelock", async function () {
-      const amountPerWallet = usdc("10000");
-      await time.increaseTo(startTimes[0]);
-
-      // Add contribution activity
-      for (let w = 0; w < 50; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await presale.getAddress(), amountPerWallet);
-        await presale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
-
-      // End all rounds
-      for (let i = 0; i < 5; i++) {
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      // Contribution activity, all rounds ended
+      await use(roundsEndedFixture);
 
       await presale
         .connect(admin)
@@ -879,30 +583,8 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should allow cancelling TGE timelock", async function () {
-      const amountPerWallet = usdc("10000");
-      await time.increaseTo(startTimes[0]);
-
-      // Add contribution activity
-      for (let w = 0; w < 50; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await presale.getAddress(), amountPerWallet);
-        await presale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
-
-      // End all rounds
-      for (let i = 0; i < 5; i++) {
-        await time.increaseTo(endTimes[i] + 1);
-        await presale.connect(admin).finalizeRound();
-        await presale.connect(admin).advanceRound();
-      }
+      // Contribution activity, all rounds ended
+      await use(roundsEndedFixture);
 
       const tgeTime = (await time.latest()) + 86400 * 7;
       await presale.connect(admin).requestEnableTGE(tgeTime);
@@ -914,117 +596,42 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     });
 
     it("Should allow cancelling emergency withdrawal timelock when no allocations", async function () {
-      // Deploy fresh presale without contributions
-      const SELFPresale = await ethers.getContractFactory("SELFPresale");
-      const freshPresale = await SELFPresale.deploy(
-        await mockUSDC.getAddress(),
-        await selfToken.getAddress(),
-        admin.address
-      );
+      // Initialized presale without contributions
+      await use(initializedFixture);
 
-      const now = await time.latest();
-      const freshStartTimes = [
-        now + 3600,
-        now + 3600 + 86400 * 12,
-        now + 3600 + 86400 * 24,
-        now + 3600 + 86400 * 36,
-        now + 3600 + 86400 * 48,
-      ];
-      const freshEndTimes = [
-        now + 3600 + 86400 * 12 - 1,
-        now + 3600 + 86400 * 24 - 1,
-        now + 3600 + 86400 * 36 - 1,
-        now + 3600 + 86400 * 48 - 1,
-        now + 3600 + 86400 * 60 - 1,
-      ];
-      await freshPresale
-        .connect(admin)
-        .initializeRounds(freshStartTimes, freshEndTimes);
-
-      await freshPresale.connect(admin).requestEmergencyWithdrawSELF();
+      await presale.connect(admin).requestEmergencyWithdrawSELF();
 
       await expect(
-        freshPresale.connect(admin).cancelEmergencyWithdrawSELF()
-      ).to.emit(freshPresale, "TimelockCancelled");
+        presale.connect(admin).cancelEmergencyWithdrawSELF()
+      ).to.emit(presale, "TimelockCancelled");
     });
   });
 
   describe("Emergency Withdrawal TGE Protection", function () {
     it("Should block emergency withdrawal if TGE enabled during timelock", async function () {
-      // Deploy fresh presale without contributions for emergency withdrawal test
-      const SELFPresale = await ethers.getContractFactory("SELFPresale");
-      const freshPresale = await SELFPresale.deploy(
-        await mockUSDC.getAddress(),
-        await selfToken.getAddress(),
-        admin.address
-      );
-
-      const now = await time.latest();
-      const freshStartTimes = [
-        now + 3600,
-        now + 3600 + 86400 * 12,
-        now + 3600 + 86400 * 24,
-        now + 3600 + 86400 * 36,
-        now + 3600 + 86400 * 48,
-      ];
-      const freshEndTimes = [
-        now + 3600 + 86400 * 12 - 1,
-        now + 3600 + 86400 * 24 - 1,
-        now + 3600 + 86400 * 36 - 1,
-        now + 3600 + 86400 * 48 - 1,
-        now + 3600 + 86400 * 60 - 1,
-      ];
-      await freshPresale
-        .connect(admin)
-        .initializeRounds(freshStartTimes, freshEndTimes);
-
-      // Transfer SELF tokens
-      await selfToken.transfer(
-        await freshPresale.getAddress(),
-        ethers.parseEther("42000000")
-      );
+      // Initialized presale without contributions for emergency withdrawal test
+      await use(initializedFixture);
 
       // Request emergency withdrawal (no allocations yet)
-      await freshPresale.connect(admin).requestEmergencyWithdrawSELF();
+      await presale.connect(admin).requestEmergencyWithdrawSELF();
 
       // Create user allocations, which block emergency withdrawal
-      const amountPerWallet = usdc("10000");
-      await time.increaseTo(freshStartTimes[0]);
-
-      for (let w = 0; w < 50; w++) {
-        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
-        await admin.sendTransaction({
-          to: wallet.address,
-          value: ethers.parseEther("0.1"),
-        });
-        await mockUSDC.mint(wallet.address, amountPerWallet);
-        await mockUSDC
-          .connect(wallet)
-          .approve(await freshPresale.getAddress(), amountPerWallet);
-        await freshPresale.connect(wallet).contribute(amountPerWallet);
-        await ethers.provider.send("hardhat_mine", ["0x3"]);
-      }
+      await time.increaseTo(startTimes[0]);
+      await contributeFrom(presale, mockUSDC, 50, usdc("10000"));
 
       // End all rounds
-      for (let i = 0; i < 5; i++) {
-        await time.increaseTo(freshEndTimes[i] + 1);
-        await freshPresale.connect(admin).finalizeRound();
-        await freshPresale.connect(admin).advanceRound();
-      }
+      await finishRounds(presale, endTimes);
 
       // Enable TGE
-      const tgeTime = (await time.latest()) + 86400 * 7;
-      await freshPresale.connect(admin).requestEnableTGE(tgeTime);
-      await time.increase(86400 * 2 + 1);
-      await freshPresale.connect(admin).executeEnableTGE();
+      await enableTGE(presale);
 
       // Wait for emergency timelock to complete
       await time.increase(86400 * 7);
 
       // Emergency withdrawal should fail because TGE is enabled
       await expect(
-        freshPresale.connect(admin).executeEmergencyWithdrawSELF(admin.address)
-      ).to.be.revertedWithCustomError(freshPresale, "TGEAlreadyEnabled");
+        presale.connect(admin).executeEmergencyWithdrawSELF(admin.address)
+      ).to.be.revertedWithCustomError(presale, "TGEAlreadyEnabled");
     });
   });
 
@@ -1032,7 +639,7 @@ describe("SELFPresale - Enhanced Security Test Suite", function () {
     it("Should block emergency SELF recovery once any user allocation exists", async function () {
       // A single contribution creates an allocation, which must permanently
       // block emergency SELF recovery (protecting buyers' future claims).
-      await time.increaseTo(startTimes[0]);
+      await use(round1OpenFixture);
       const amount = usdc("1000");
       await mockUSDC.connect(user1).approve(await presale.getAddress(), amount);
       await presale.connect(user1).contribute(amount);
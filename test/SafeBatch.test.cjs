@@ -0,0 +1,170 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  safeTransaction,
+  calculateChecksum,
+  buildSafeBatch,
+  writeSafeBatch,
+} = require("../scripts/lib/safe-batch");
+const {
+  DAY,
+  loadSchedule,
+  validateSchedule,
+} = require("../scripts/lib/schedule");
+const { deployedFixture } = require("./fixtures.cjs");
+
+const defaultSchedule = (now) =>
+  loadSchedule(
+    path.join(__dirname, "..", "config", "schedules", "default.yaml"),
+    now
+  );
+
+describe("Safe batch export", function () {
+  let presale, safe;
+
+  beforeEach(async function () {
+    ({ presale, user3: safe } = await loadFixture(deployedFixture));
+  });
+
+  describe("safeTransaction and buildSafeBatch", function () {
+    const startTimes = [101, 201, 301, 401, 501];
+    const endTimes = [200, 300, 400, 500, 600];
+
+    it("Should encode the call and list each argument as a string", async function () {
+      const tx = await safeTransaction(presale, "initializeRounds", [
+        startTimes,
+        endTimes,
+      ]);
+
+      expect(tx.to).to.equal(await presale.getAddress());
+      expect(tx.value).to.equal("0");
+      expect(tx.contractMethod).to.deep.equal({
+        inputs: [
+          {
+            internalType: "uint256[5]",
+            name: "startTimes",
+            type: "uint256[5]",
+          },
+          { internalType: "uint256[5]", name: "endTimes", type: "uint256[5]" },
+        ],
+        name: "initializeRounds",
+        payable: false,
+      });
+      // Arrays are written without quotes around the elements
+      expect(tx.contractInputsValues).to.deep.equal({
+        startTimes: "[101,201,301,401,501]",
+        endTimes: "[200,300,400,500,600]",
+      });
+      const decoded = presale.interface.decodeFunctionData(
+        "initializeRounds",
+        tx.data
+      );
+      expect(decoded.map((values) => values.map(Number))).to.deep.equal([
+        startTimes,
+        endTimes,
+      ]);
+    });
+
+    it("Should checksum the batch over sorted keys without meta.name", function () {
+      const batch = buildSafeBatch({
+        chainId: 8453n,
+        safeAddress: safe.address.toLowerCase(),
+        name: "SELFPresale initializeRounds",
+        transactions: [],
+      });
+      expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+
+      const { checksum, ...meta } = batch.meta;
+      const canonical =
+        `{"chainId":"8453","createdAt":${batch.createdAt},"meta":{` +
+        `"createdFromOwnerAddress":"","createdFromSafeAddress":"${safe.address}",` +
+        `"description":"","name":null,"txBuilderVersion":"1.16.5"},` +
+        `"transactions":[],"version":"1.0"}`;
+      expect(checksum).to.equal(ethers.id(canonical));
+
+      // Renaming does not change it; any other field does
+      const unsigned = { ...batch, meta };
+      expect(
+        calculateChecksum({ ...unsigned, meta: { ...meta, name: "Renamed" } })
+      ).to.equal(checksum);
+      expect(calculateChecksum({ ...unsigned, chainId: "84532" })).to.not.equal(
+        checksum
+      );
+    });
+
+    it("Should write the batch as JSON, creating the directory", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "self-batch-"));
+      try {
+        const batch = buildSafeBatch({
+          chainId: 8453,
+          safeAddress: safe.address,
+          name: "Test",
+          transactions: [],
+        });
+        const file = path.join(dir, "nested", "batch.json");
+        writeSafeBatch(file, batch);
+        const text = fs.readFileSync(file, "utf8");
+        expect(text.endsWith("}\n")).to.equal(true);
+        expect(JSON.parse(text)).to.deep.equal(batch);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("validateSchedule", function () {
+    let now;
+
+    beforeEach(async function () {
+      now = await time.latest();
+    });
+
+    const errors = (schedule, at) =>
+      validateSchedule(schedule, at).map(({ round, error }) => [round, error]);
+
+    it("Should accept the default schedule", async function () {
+      const schedule = defaultSchedule(now);
+      expect(schedule.startTimes[0]).to.equal(now + DAY);
+      expect(validateSchedule(schedule, now)).to.deep.equal([]);
+
+      await presale.initializeRounds(schedule.startTimes, schedule.endTimes);
+      expect(await presale.roundsInitialized()).to.equal(true);
+    });
+
+    it("Should reject overlapping rounds with the contract's error", async function () {
+      const { startTimes, endTimes } = defaultSchedule(now);
+      // Round 3 starts before round 2 ends
+      startTimes[2] = endTimes[1] - DAY;
+
+      expect(errors({ startTimes, endTimes }, now)).to.deep.equal([
+        [3, "RoundsMustBeSequential"],
+      ]);
+      await expect(
+        presale.initializeRounds(startTimes, endTimes)
+      ).to.be.revertedWithCustomError(presale, "RoundsMustBeSequential");
+    });
+
+    it("Should flag past starts and ends before their start per round", function () {
+      const { startTimes, endTimes } = defaultSchedule(now);
+      endTimes[0] = startTimes[0];
+
+      expect(errors({ startTimes, endTimes }, startTimes[0])).to.deep.equal([
+        [1, "StartTimeMustBeInFuture"],
+        [1, "EndTimeMustBeAfterStart"],
+      ]);
+    });
+
+    it("Should require five start and end times", function () {
+      expect(
+        errors({ startTimes: [now + DAY], endTimes: [now + 2 * DAY] }, now)
+      ).to.deep.equal([[0, "InvalidLength"]]);
+    });
+  });
+});
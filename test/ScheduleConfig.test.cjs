@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const {
+  DAY,
+  resolveTime,
+  parseSchedule,
+  scheduleFileFor,
+  loadSchedule,
+  validateSchedule,
+} = require("../scripts/lib/schedule");
+
+const SCHEDULES = path.join(__dirname, "..", "config", "schedules");
+
+describe("Round schedule files", function () {
+  const now = 1_800_000_000;
+
+  describe("resolveTime", function () {
+    it("Should add '+offset' values to the execution time", function () {
+      expect(resolveTime("+90m", now)).to.equal(now + 90 * 60);
+      expect(resolveTime("+1d12h", now)).to.equal(now + 1.5 * DAY);
+      expect(resolveTime("+1w 2d", now)).to.equal(now + 9 * DAY);
+      expect(resolveTime("+1y", now)).to.equal(now + 365 * DAY);
+    });
+
+    it("Should read ISO-8601 dates, YAML dates and unix seconds", function () {
+      const ts = Date.UTC(2028, 0, 1) / 1000;
+      expect(resolveTime("2028-01-01T00:00:00Z", now)).to.equal(ts);
+      expect(resolveTime("2028-01-01T02:00:00+02:00", now)).to.equal(ts);
+      expect(resolveTime(new Date(ts * 1000), now)).to.equal(ts);
+      expect(resolveTime(ts, now)).to.equal(ts);
+    });
+
+    it("Should reject milliseconds, negative offsets and unknown units", function () {
+      expect(() => resolveTime(Date.now(), now)).to.throw(
+        "is not a unix timestamp in seconds"
+      );
+      for (const value of ["-1d", "+1x", "+d", "tomorrow", null]) {
+        expect(() => resolveTime(value, now)).to.throw(
+          "Cannot parse schedule time"
+        );
+      }
+    });
+  });
+
+  describe("parseSchedule and loadSchedule", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "self-schedule-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const rounds = [1, 2, 3, 4, 5].map((i) => ({
+      start: `+${i * 10}d`,
+      end: `+${i * 10 + 9}d`,
+    }));
+
+    it("Should resolve a JSON file and the same YAML file identically", function () {
+      const json = path.join(dir, "rehearsal.json");
+      fs.writeFileSync(json, JSON.stringify({ rounds }));
+      const yamlFile = path.join(dir, "rehearsal.yaml");
+      fs.writeFileSync(
+        yamlFile,
+        "rounds:\n" +
+          rounds
+            .map(
+              ({ start, end }) => `  - start: "${start}"\n    end: "${end}"\n`
+            )
+            .join("")
+      );
+
+      const schedule = loadSchedule(json, now);
+      expect(schedule.startTimes).to.deep.equal(
+        [1, 2, 3, 4, 5].map((i) => now + i * 10 * DAY)
+      );
+      expect(schedule.endTimes[4]).to.equal(now + 59 * DAY);
+      expect(loadSchedule(yamlFile, now)).to.deep.equal(schedule);
+    });
+
+    it("Should require five rounds, each with a start and an end", function () {
+      expect(() => parseSchedule({ rounds: rounds.slice(1) }, now)).to.throw(
+        "Schedule must list exactly 5 rounds"
+      );
+      expect(() => parseSchedule({}, now)).to.throw(
+        "Schedule must list exactly 5 rounds"
+      );
+      const missing = rounds.map((r) => ({ ...r }));
+      delete missing[2].end;
+      expect(() => parseSchedule({ rounds: missing }, now)).to.throw(
+        "Round 3 needs both start and end"
+      );
+    });
+
+    it("Should leave sequencing to validateSchedule", function () {
+      const overlapping = rounds.map((r) => ({ ...r }));
+      overlapping[1].start = "+15d";
+      const schedule = parseSchedule({ rounds: overlapping }, now);
+      expect(validateSchedule(schedule, now)).to.deep.include({
+        round: 2,
+        error: "RoundsMustBeSequential",
+        message: `start ${now + 15 * DAY} is not after previous end ${
+          now + 19 * DAY
+        }`,
+      });
+    });
+  });
+
+  describe("scheduleFileFor", function () {
+    afterEach(function () {
+      delete process.env.ROUND_SCHEDULE;
+    });
+
+    it("Should pick ROUND_SCHEDULE, then the network's file, then the default", function () {
+      expect(scheduleFileFor("baseSepolia")).to.equal(
+        path.join(SCHEDULES, "baseSepolia.yaml")
+      );
+      expect(scheduleFileFor("base")).to.equal(
+        path.join(SCHEDULES, "default.yaml")
+      );
+      process.env.ROUND_SCHEDULE = "/tmp/override.json";
+      expect(scheduleFileFor("baseSepolia")).to.equal("/tmp/override.json");
+    });
+
+    it("Should ship schedules the contract accepts", function () {
+      for (const network of ["base", "baseSepolia"]) {
+        const schedule = loadSchedule(scheduleFileFor(network), now);
+        expect(validateSchedule(schedule, now), network).to.deep.equal([]);
+      }
+      // The rehearsal runs the whole presale within five days
+      const { startTimes, endTimes } = loadSchedule(
+        scheduleFileFor("baseSepolia"),
+        now
+      );
+      expect(startTimes[0]).to.equal(now + 3600);
+      expect(endTimes[4]).to.equal(now + 5 * DAY);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  openIndex,
+  syncIndex,
+  indexedEvents,
+} = require("../scripts/lib/indexer");
+const {
+  COLUMNS,
+  buildStatement,
+  statementCsv,
+  statementHtml,
+} = require("../scripts/lib/statements");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+const self = (n) => ethers.parseEther(String(n));
+
+describe("Cost-basis statements", function () {
+  let presale, user1, user2;
+  let tgeTime, statement, events, prices;
+
+  // user1 buys 20,000 SELF in round 1 ($1,200) and 10,000 in round 2 ($700),
+  // then claims at TGE (12,000), at TGE + 180 days (9,000) and at the end
+  before(async function () {
+    let deployBlock, endTimes;
+    ({ presale, user1, user2, deployBlock, endTimes } = await loadFixture(
+      approvedFixture
+    ));
+
+    await presale.connect(user1).contribute(usdc("1200"));
+    await presale.connect(user2).contribute(usdc("500"));
+    await time.increaseTo(endTimes[0] + 1);
+    await presale.finalizeRound();
+    await presale.advanceRound();
+    await presale.connect(user1).contribute(usdc("700"));
+
+    tgeTime = (await time.latest()) + 3 * 86400;
+    await presale.requestEnableTGE(tgeTime);
+    await time.increase(2 * 86400 + 1);
+    await presale.executeEnableTGE();
+
+    for (const at of [tgeTime, tgeTime + 180 * 86400, tgeTime + 360 * 86400]) {
+      await time.setNextBlockTimestamp(at);
+      await presale.connect(user1).claimTokens();
+    }
+
+    const index = await openIndex();
+    await syncIndex(presale, index, { fromBlock: deployBlock });
+    events = indexedEvents(index, ["Contribution", "TokensClaimed"]);
+    index.close();
+    prices = [];
+    for (let i = 0; i < 5; i++) prices.push((await presale.rounds(i)).price);
+    statement = buildStatement(user1.address, events, prices);
+  });
+
+  it("Should list one lot per contribution at the round price", function () {
+    const [first, second] = statement.lots;
+    expect(statement.lots).to.have.length(2);
+    expect(first).to.include({
+      lot: 1,
+      round: 1,
+      price: 60000n,
+      usdcAmount: usdc("1200"),
+      selfAmount: self("20000"),
+    });
+    expect(second).to.include({
+      lot: 2,
+      round: 2,
+      price: 70000n,
+      usdcAmount: usdc("700"),
+      selfAmount: self("10000"),
+    });
+    expect(first.date).to.be.below(second.date);
+  });
+
+  it("Should match claims to lots first-in, first-out", function () {
+    const parts = statement.claims.map((c) => [
+      c.date - tgeTime,
+      c.lot,
+      c.selfAmount,
+      c.costBasisUSDC,
+    ]);
+    expect(parts).to.deep.equal([
+      [0, 1, self("12000"), usdc("720")],
+      // Spans both lots: the rest of lot 1, then the start of lot 2
+      [180 * 86400, 1, self("8000"), usdc("480")],
+      [180 * 86400, 2, self("1000"), usdc("70")],
+      [360 * 86400, 2, self("9000"), usdc("630")],
+    ]);
+  });
+
+  it("Should allocate exactly the USDC paid once everything is claimed", function () {
+    expect(statement.totals).to.deep.equal({
+      paidUSDC: usdc("1900"),
+      acquiredSELF: self("30000"),
+      claimedSELF: self("30000"),
+      claimedCostBasisUSDC: usdc("1900"),
+      unclaimedSELF: 0n,
+      unclaimedCostBasisUSDC: 0n,
+    });
+  });
+
+  it("Should keep other wallets out and report unclaimed lots", function () {
+    const other = buildStatement(user2.address, events, prices);
+    expect(other.lots).to.have.length(1);
+    expect(other.claims).to.deep.equal([]);
+    expect(other.totals.unclaimedCostBasisUSDC).to.equal(usdc("500"));
+  });
+
+  it("Should export CSV with acquisitions followed by claims", function () {
+    const lines = statementCsv(statement).trim().split("\n");
+    expect(lines[0]).to.equal(COLUMNS.join(","));
+    expect(lines).to.have.length(1 + 2 + 4);
+
+    const row = Object.fromEntries(
+      lines[1].split(",").map((cell, i) => [COLUMNS[i], cell])
+    );
+    expect(row).to.include({
+      type: "acquisition",
+      lot: "1",
+      round: "1",
+      priceUSDC: "0.06",
+      selfAmount: "20000.0",
+      costBasisUSDC: "1200.0",
+    });
+    expect(lines[5]).to.match(/^claim,.*,2,2,0\.07,1000\.0,70\.0$/);
+  });
+
+  it("Should render printable HTML with escaped values", async function () {
+    const html = statementHtml(statement, {
+      presale: await presale.getAddress(),
+      network: "<script>x</script>",
+      block: 42,
+      timestamp: tgeTime,
+    });
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.include(user1.address);
+    expect(html).to.include("&lt;script&gt;x&lt;/script&gt;");
+    expect(html).to.not.include("<script>");
+    expect(html.match(/<table>/g)).to.have.length(3);
+    expect(html).to.include("@media print");
+  });
+});
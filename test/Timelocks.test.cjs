@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { openIndex, syncIndex } = require("../scripts/lib/indexer");
+const {
+  timelockQueue,
+  executeChecks,
+  requestChecks,
+} = require("../scripts/lib/timelocks");
+const { usdc, round1OpenFixture } = require("./fixtures.cjs");
+
+const DAY = 86400;
+
+describe("Timelock queue", function () {
+  let presale, deployBlock, treasury, user1;
+
+  beforeEach(async function () {
+    ({ presale, deployBlock, treasury, user1 } = await loadFixture(
+      round1OpenFixture
+    ));
+  });
+
+  async function queue(opts = {}) {
+    return timelockQueue(presale, {
+      fromBlock: deployBlock,
+      now: await time.latest(),
+      ...opts,
+    });
+  }
+
+  const failed = (results) => results.filter((r) => !r.ok);
+
+  it("Should rebuild a cancelled and re-requested TGE and map withdrawal nonces", async function () {
+    const first = (await time.latest()) + 7 * DAY;
+    await presale.requestEnableTGE(first);
+    await presale.cancelEnableTGE();
+    const second = (await time.latest()) + 10 * DAY;
+    await presale.requestEnableTGE(second);
+    await presale.requestWithdrawFunds(treasury.address, usdc("1000"));
+    await presale.requestWithdrawFunds(user1.address, 0);
+
+    const entries = await queue();
+    expect(entries.map((e) => [e.kind, e.state])).to.deep.equal([
+      ["enableTGE", "cancelled"],
+      ["enableTGE", "waiting"],
+      ["withdrawFunds", "waiting"],
+      ["withdrawFunds", "waiting"],
+    ]);
+    expect(entries[0].tgeTime).to.equal(undefined);
+    expect(entries[1].tgeTime).to.equal(second);
+    expect(entries[2]).to.include({
+      nonce: 1,
+      treasury: treasury.address,
+      amount: usdc("1000"),
+    });
+    expect(entries[3]).to.include({
+      nonce: 2,
+      treasury: user1.address,
+      amount: 0n,
+    });
+    expect(entries[2].readyAt).to.equal(
+      (await time.latest()) - 1 + Number(await presale.TIMELOCK_WITHDRAW())
+    );
+  });
+
+  it("Should read events and storage at blockTag", async function () {
+    const first = (await time.latest()) + 7 * DAY;
+    await presale.requestEnableTGE(first);
+    await presale.requestWithdrawFunds(treasury.address, usdc("1000"));
+    const blockTag = await time.latestBlock();
+
+    // After blockTag: a new TGE time and a second withdrawal
+    await presale.cancelEnableTGE();
+    await presale.requestEnableTGE(first + DAY);
+    await presale.requestWithdrawFunds(user1.address, 0);
+
+    const entries = await queue({ blockTag });
+    expect(entries.map((e) => [e.kind, e.state])).to.deep.equal([
+      ["enableTGE", "waiting"],
+      ["withdrawFunds", "waiting"],
+    ]);
+    expect(entries[0].tgeTime).to.equal(first);
+  });
+
+  it("Should read storage at the block the index is synced to", async function () {
+    const first = (await time.latest()) + 7 * DAY;
+    await presale.requestEnableTGE(first);
+    await presale.requestWithdrawFunds(treasury.address, usdc("1000"));
+    const index = await openIndex();
+    try {
+      await syncIndex(presale, index, { fromBlock: deployBlock });
+
+      // Not yet indexed: a new TGE time and a second withdrawal
+      await presale.cancelEnableTGE();
+      await presale.requestEnableTGE(first + DAY);
+      await presale.requestWithdrawFunds(user1.address, 0);
+
+      const entries = await queue({ index });
+      expect(entries.map((e) => [e.kind, e.state])).to.deep.equal([
+        ["enableTGE", "waiting"],
+        ["withdrawFunds", "waiting"],
+      ]);
+      expect(entries[0].tgeTime).to.equal(first);
+    } finally {
+      index.close();
+    }
+  });
+
+  it("Should report TimelockNotReady until the delay has passed", async function () {
+    const tgeTime = (await time.latest()) + 7 * DAY;
+    await presale.requestEnableTGE(tgeTime);
+    const [entry] = await queue();
+
+    const early = await executeChecks(presale, entry, entry.readyAt - 1);
+    expect(failed(early)).to.have.length(1);
+    expect(failed(early)[0]).to.include({ check: "Timelock elapsed" });
+    expect(failed(early)[0].detail).to.match(/^TimelockNotReady: ready at /);
+    await expect(presale.executeEnableTGE()).to.be.revertedWithCustomError(
+      presale,
+      "TimelockNotReady"
+    );
+
+    await time.increaseTo(entry.readyAt);
+    const [ready] = await queue();
+    expect(ready.state).to.equal("ready");
+    expect(failed(await executeChecks(presale, ready, entry.readyAt))).to.be
+      .empty;
+    await presale.executeEnableTGE();
+    expect((await queue())[0].state).to.equal("executed");
+  });
+
+  it("Should flag TimelockRequestPending for a second TGE request", async function () {
+    const now = await time.latest();
+    const params = { tgeTime: now + 7 * DAY };
+    expect(failed(await requestChecks(presale, "enableTGE", params, [], now)))
+      .to.be.empty;
+
+    await presale.requestEnableTGE(now + 7 * DAY);
+    const entries = await queue();
+    const [pending] = failed(
+      await requestChecks(presale, "enableTGE", params, entries, now)
+    );
+    expect(pending).to.deep.equal({
+      check: "No request of this kind pending",
+      ok: false,
+      detail: `TimelockRequestPending since block ${entries[0].requestBlock}`,
+    });
+    await expect(
+      presale.requestEnableTGE(now + 8 * DAY)
+    ).to.be.revertedWithCustomError(presale, "TimelockRequestPending");
+
+    // A withdrawal has no single slot
+    expect(
+      failed(
+        await requestChecks(
+          presale,
+          "withdrawFunds",
+          { treasury: treasury.address },
+          entries,
+          now
+        )
+      )
+    ).to.be.empty;
+  });
+
+  describe("timelock:* tasks", function () {
+    let consoleLog;
+
+    beforeEach(function () {
+      consoleLog = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = consoleLog;
+    });
+
+    const run = async (name, args) =>
+      hre.run(name, {
+        presale: await presale.getAddress(),
+        fromBlock: deployBlock,
+        ...args,
+      });
+
+    it("Should queue, refuse an early execute and cancel TGE and emergency requests", async function () {
+      await run("timelock:queue", { action: "tge", tgeTime: "+7d" });
+      await run("timelock:queue", { action: "emergency" });
+      await expect(run("timelock:execute", { id: "tge" })).to.be.rejectedWith(
+        "Checks failed: executeEnableTGE would revert"
+      );
+
+      await run("timelock:cancel", { id: "tge" });
+      await run("timelock:cancel", { id: "emergency" });
+      expect((await queue()).map((e) => [e.kind, e.state])).to.deep.equal([
+        ["enableTGE", "cancelled"],
+        ["emergencyWithdrawSELF", "cancelled"],
+      ]);
+
+      // A cancelled request cannot be cancelled again
+      await expect(run("timelock:cancel", { id: "tge" })).to.be.rejectedWith(
+        "Checks failed: cancelEnableTGE would revert"
+      );
+    });
+
+    it("Should stop after the checks on a dry run", async function () {
+      await run("timelock:queue", {
+        action: "withdraw",
+        treasury: treasury.address,
+        amount: "1000",
+        dryRun: true,
+      });
+      expect(await presale.withdrawRequestNonce()).to.equal(0n);
+    });
+  });
+});
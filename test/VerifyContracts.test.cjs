@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  verificationTargets,
+  verifyContracts,
+} = require("../scripts/verify-contracts");
+const { writeManifest } = require("../scripts/lib/deployments");
+const { networkConfig } = require("../scripts/lib/networks");
+
+const ENV_VARS = [
+  "USDC_ADDRESS",
+  "SELF_TOKEN_ADDRESS",
+  "PRESALE_ADDRESS",
+  "MULTISIG_ADDRESS",
+];
+
+describe("Contract verification", function () {
+  const usdc = ethers.Wallet.createRandom().address;
+  const selfToken = ethers.Wallet.createRandom().address;
+  const presale = ethers.Wallet.createRandom().address;
+  const multisig = ethers.Wallet.createRandom().address;
+
+  let dir;
+  let savedEnv;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "self-verify-"));
+    savedEnv = {};
+    for (const name of ENV_VARS) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const name of ENV_VARS) {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    }
+  });
+
+  const record = (address, contract, constructorArguments) => ({
+    address,
+    contract,
+    constructorArguments,
+    transactionHash: ethers.ZeroHash,
+    blockNumber: 1,
+    deployer: multisig,
+  });
+
+  describe("verificationTargets", function () {
+    it("Should take addresses and constructor arguments from the manifest", function () {
+      writeManifest(
+        {
+          network: "baseSepolia",
+          chainId: 84532,
+          contracts: {
+            SELFPresale: record(
+              presale,
+              "contracts/SELFPresale.sol:SELFPresale",
+              [usdc, selfToken, multisig]
+            ),
+            MockUSDC: record(usdc, "contracts/test/MockUSDC.sol:MockUSDC", []),
+            SELFToken: record(
+              selfToken,
+              "contracts/SELFToken.sol:SELFToken",
+              []
+            ),
+          },
+        },
+        dir
+      );
+      // Env addresses are ignored once the manifest records the contracts
+      process.env.PRESALE_ADDRESS = ethers.ZeroAddress;
+
+      const targets = verificationTargets("baseSepolia", dir);
+      expect(
+        targets.map(({ name, address, contract, constructorArguments }) => [
+          name,
+          address,
+          contract,
+          constructorArguments,
+        ])
+      ).to.deep.equal([
+        ["MockUSDC", usdc, "contracts/test/MockUSDC.sol:MockUSDC", []],
+        ["SELFToken", selfToken, "contracts/SELFToken.sol:SELFToken", []],
+        [
+          "SELFPresale",
+          presale,
+          "contracts/SELFPresale.sol:SELFPresale",
+          [usdc, selfToken, multisig],
+        ],
+      ]);
+    });
+
+    it("Should include MockUSDC from the environment off mainnet", function () {
+      Object.assign(process.env, {
+        USDC_ADDRESS: usdc,
+        SELF_TOKEN_ADDRESS: selfToken,
+        PRESALE_ADDRESS: presale,
+        MULTISIG_ADDRESS: multisig,
+      });
+
+      const targets = verificationTargets("baseSepolia", dir);
+      expect(targets.map((t) => [t.name, t.contract])).to.deep.equal([
+        ["MockUSDC", "contracts/test/MockUSDC.sol:MockUSDC"],
+        ["SELFToken", "contracts/SELFToken.sol:SELFToken"],
+        ["SELFPresale", "contracts/SELFPresale.sol:SELFPresale"],
+      ]);
+      expect(targets[2].constructorArguments).to.deep.equal([
+        usdc,
+        selfToken,
+        multisig,
+      ]);
+    });
+
+    it("Should use the registry's native USDC on mainnet", function () {
+      Object.assign(process.env, {
+        SELF_TOKEN_ADDRESS: selfToken,
+        PRESALE_ADDRESS: presale,
+        MULTISIG_ADDRESS: multisig,
+      });
+
+      const targets = verificationTargets("base", dir);
+      expect(targets.map((t) => t.name)).to.deep.equal([
+        "SELFToken",
+        "SELFPresale",
+      ]);
+      expect(targets[1].constructorArguments).to.deep.equal([
+        networkConfig("base").usdc,
+        selfToken,
+        multisig,
+      ]);
+    });
+
+    it("Should require MULTISIG_ADDRESS to verify the presale from the environment", function () {
+      Object.assign(process.env, {
+        SELF_TOKEN_ADDRESS: selfToken,
+        PRESALE_ADDRESS: presale,
+      });
+
+      expect(() => verificationTargets("base", dir)).to.throw(
+        "MULTISIG_ADDRESS required for presale verification"
+      );
+      delete process.env.PRESALE_ADDRESS;
+      expect(verificationTargets("base", dir).map((t) => t.name)).to.deep.equal(
+        ["SELFToken"]
+      );
+    });
+  });
+
+  describe("verifyContracts", function () {
+    let log;
+
+    beforeEach(function () {
+      log = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+    });
+
+    it("Should report each contract as already verified, verified now or failed", async function () {
+      const targets = [
+        { name: "MockUSDC", address: usdc, constructorArguments: [] },
+        { name: "SELFToken", address: selfToken, constructorArguments: [] },
+        {
+          name: "SELFPresale",
+          address: presale,
+          constructorArguments: [usdc, selfToken, multisig],
+          contract: "contracts/SELFPresale.sol:SELFPresale",
+        },
+      ];
+      const submitted = [];
+      const verifier = {
+        isVerified: async (address) => address === usdc,
+        verify: async (args) => {
+          submitted.push(args);
+          if (args.address === presale) {
+            throw new Error("Bytecode does not match\nCompiler: 0.8.20");
+          }
+        },
+      };
+
+      const results = await verifyContracts(targets, verifier);
+      expect(results).to.deep.equal([
+        {
+          name: "MockUSDC",
+          address: usdc,
+          status: "already verified",
+          reason: "",
+        },
+        {
+          name: "SELFToken",
+          address: selfToken,
+          status: "verified now",
+          reason: "",
+        },
+        {
+          name: "SELFPresale",
+          address: presale,
+          status: "failed",
+          reason: "Bytecode does not match",
+        },
+      ]);
+      expect(submitted[1]).to.deep.equal({
+        address: presale,
+        constructorArguments: [usdc, selfToken, multisig],
+        contract: "contracts/SELFPresale.sol:SELFPresale",
+      });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  VESTING_MONTH,
+  VESTING_DURATION,
+  unlockedAmount,
+  claimableAmount,
+  unlockCalendar,
+} = require("../scripts/lib/vesting");
+const { usdc, approvedFixture } = require("./fixtures.cjs");
+
+describe("Vesting calculator", function () {
+  let presale, users, tgeTime;
+
+  // Amounts whose SELF allocations leave remainders in the vesting division
+  async function vestingFixture() {
+    const fixture = await loadFixture(approvedFixture);
+    const { presale } = fixture;
+    const users = [fixture.user1, fixture.user2, fixture.user3];
+    const amounts = ["1000", "777.777777", "100.000001"];
+    for (const [i, user] of users.entries()) {
+      await presale.connect(user).contribute(usdc(amounts[i]));
+    }
+
+    const tgeTime = (await time.latest()) + 3 * 86400;
+    await presale.requestEnableTGE(tgeTime);
+    await time.increase(2 * 86400 + 1);
+    await presale.executeEnableTGE();
+    return { presale, users, tgeTime };
+  }
+
+  beforeEach(async function () {
+    ({ presale, users, tgeTime } = await loadFixture(vestingFixture));
+  });
+
+  async function allocation(user) {
+    const c = await presale.getUserContribution(user.address);
+    return {
+      totalSELF: c.totalSELF,
+      tgeUnlockAmount: c.tgeUnlockAmount,
+      vestedAmount: c.vestedAmount,
+      claimed: c.claimed,
+    };
+  }
+
+  async function expectMatchesContract(at) {
+    const tge = { tgeEnabled: true, tgeTime };
+    for (const user of users) {
+      expect(claimableAmount(await allocation(user), tge, at)).to.equal(
+        await presale.getClaimableAmount(user.address),
+        `${user.address} at TGE + ${at - tgeTime}s`
+      );
+    }
+  }
+
+  it("Should match getClaimableAmount across the vesting period", async function () {
+    // Fixed pseudo-random offsets so failures reproduce
+    let seed = 12345;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31);
+    const offsets = [-1, 0, 1, 2, 7, 86400 + 13, VESTING_MONTH];
+    for (let i = 0; i < 20; i++) offsets.push(random() % VESTING_DURATION);
+    offsets.push(VESTING_DURATION - 1, VESTING_DURATION, VESTING_DURATION + 1);
+
+    for (const offset of [...new Set(offsets)].sort((a, b) => a - b)) {
+      // increaseTo needs a strictly later timestamp than the current block
+      if (tgeTime + offset <= (await time.latest())) continue;
+      await time.increaseTo(tgeTime + offset);
+      await expectMatchesContract(tgeTime + offset);
+    }
+  });
+
+  it("Should account for earlier claims", async function () {
+    const [user1, user2] = users;
+    await time.increaseTo(tgeTime + 97 * 86400 + 7);
+    await presale.connect(user1).claimTokens();
+    await time.increaseTo(tgeTime + 200 * 86400 + 3);
+    await presale.connect(user2).claimTokens();
+
+    for (const offset of [200 * 86400 + 60, 301 * 86400, VESTING_DURATION]) {
+      await time.increaseTo(tgeTime + offset);
+      await expectMatchesContract(tgeTime + offset);
+    }
+    // Right after a claim nothing is left until the next second vests
+    await presale.connect(user1).claimTokens();
+    expect(
+      claimableAmount(
+        await allocation(user1),
+        { tgeEnabled: true, tgeTime },
+        await time.latest()
+      )
+    ).to.equal(0n);
+  });
+
+  it("Should return nothing before TGE or while TGE is not enabled", async function () {
+    const user = await allocation(users[0]);
+    expect(
+      claimableAmount(user, { tgeEnabled: true, tgeTime }, tgeTime - 1)
+    ).to.equal(0n);
+    expect(
+      claimableAmount(user, { tgeEnabled: false, tgeTime }, tgeTime)
+    ).to.equal(0n);
+    expect(
+      claimableAmount(
+        { ...user, totalSELF: 0n },
+        { tgeEnabled: true, tgeTime },
+        tgeTime
+      )
+    ).to.equal(0n);
+  });
+
+  it("Should build a calendar that ends with every allocation unlocked", async function () {
+    const allocations = await Promise.all(users.map(allocation));
+    const calendar = unlockCalendar(allocations, tgeTime);
+    const total = allocations.reduce((sum, a) => sum + a.totalSELF, 0n);
+
+    // TGE plus one point per 30-day month
+    expect(calendar).to.have.length(13);
+    expect(calendar[0].time).to.equal(tgeTime);
+    expect(calendar[0].cumulative).to.equal(
+      allocations.reduce((sum, a) => sum + a.tgeUnlockAmount, 0n)
+    );
+    expect(calendar[12].time).to.equal(tgeTime + VESTING_DURATION);
+    expect(calendar[12].cumulative).to.equal(total);
+    expect(calendar[12].locked).to.equal(0n);
+    expect(calendar.reduce((sum, p) => sum + p.unlocked, 0n)).to.equal(total);
+
+    // The aggregate curve is the sum of the per-wallet curves
+    for (const point of calendar) {
+      const perWallet = allocations.reduce(
+        (sum, a) => sum + unlockedAmount(a, tgeTime, point.time),
+        0n
+      );
+      expect(point.cumulative).to.equal(perWallet);
+    }
+  });
+
+  it("Should end the calendar at full vesting when the step does not divide it", async function () {
+    const calendar = unlockCalendar(
+      [await allocation(users[0])],
+      tgeTime,
+      7 * 86400
+    );
+    expect(calendar.at(-1).time).to.equal(tgeTime + VESTING_DURATION);
+    expect(calendar.at(-2).time).to.equal(tgeTime + 51 * 7 * 86400);
+  });
+
+  it("Should print the calendar's TGE time and dates as ISO-8601 with --json", async function () {
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+      await hre.run("vesting:calendar", {
+        presale: await presale.getAddress(),
+        address: users[0].address,
+        step: 30,
+        json: true,
+      });
+    } finally {
+      console.log = log;
+    }
+    const output = JSON.parse(lines.join("\n"));
+
+    const iso = (seconds) => new Date(seconds * 1000).toISOString();
+    expect(output).to.include({
+      scope: users[0].address,
+      tgeEnabled: true,
+      tgeTime: iso(tgeTime),
+    });
+    expect(output.calendar[0].date).to.equal(iso(tgeTime));
+    expect(output.calendar.at(-1)).to.include({
+      date: iso(tgeTime + VESTING_DURATION),
+      lockedSELF: "0.0",
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  openIndex,
+  syncIndex,
+  indexedEvents,
+} = require("../scripts/lib/indexer");
+const { fundingTransfers, clusterWallets } = require("../scripts/lib/clusters");
+const { usdc, round1OpenFixture } = require("./fixtures.cjs");
+
+const CAP = usdc("10000");
+
+const addresses = (group) => group.wallets.map((w) => w.address).sort();
+
+describe("Wallet clustering", function () {
+  let presale, mockUSDC;
+  let funder, exchange, wallets;
+  let deployBlock, contributions, transfers;
+
+  // Synthetic data on the in-process network:
+  //   w0-w2  funded by one address, 12,500 USDC combined
+  //   w3-w4  minted USDC, contribute 6,000 each seconds apart (lockstep)
+  //   w5-w6  funded by an exchange hot wallet, unrelated amounts
+  //   w7-w8  w7 sends USDC to w8, 4,000 combined
+  //   w9     funded by `funder` only after contributing
+  before(async function () {
+    let signers;
+    ({ presale, mockUSDC, deployBlock, signers } = await loadFixture(
+      round1OpenFixture
+    ));
+    [, funder, exchange] = signers;
+    // Wallets start after user1-3, whom the fixture mints USDC to
+    wallets = signers.slice(8, 18);
+
+    await mockUSDC.mint(funder.address, usdc("100000"));
+    await mockUSDC.mint(exchange.address, usdc("100000"));
+    const [w0, w1, w2, w3, w4, w5, w6, w7, w8, w9] = wallets;
+    const fund = (from, to, amount) =>
+      mockUSDC.connect(from).transfer(to.address, usdc(amount));
+    await fund(funder, w0, "5000");
+    await fund(funder, w1, "4000");
+    await fund(funder, w2, "3500");
+    await mockUSDC.mint(w3.address, usdc("6000"));
+    await mockUSDC.mint(w4.address, usdc("6000"));
+    await fund(exchange, w5, "1000");
+    await fund(exchange, w6, "2000");
+    await mockUSDC.mint(w7.address, usdc("5000"));
+    await fund(w7, w8, "1500");
+    await mockUSDC.mint(w9.address, usdc("1200"));
+    for (const wallet of wallets) {
+      await mockUSDC
+        .connect(wallet)
+        .approve(await presale.getAddress(), usdc("100000"));
+    }
+
+    const amounts = [5000, 4000, 3500, 6000, 6000, 1000, 2000, 2500, 1500];
+    for (let i = 0; i < amounts.length; i++) {
+      await presale.connect(wallets[i]).contribute(usdc(amounts[i]));
+    }
+    await presale.connect(w9).contribute(usdc("1200"));
+    await fund(funder, w9, "500");
+
+    const index = await openIndex();
+    await syncIndex(presale, index, { fromBlock: deployBlock });
+    contributions = indexedEvents(index, "Contribution");
+    index.close();
+    transfers = await fundingTransfers(
+      mockUSDC,
+      wallets.map((w) => w.address),
+      { fromBlock: deployBlock }
+    );
+  });
+
+  it("Should fetch USDC transfers into contributing wallets only", function () {
+    expect(transfers).to.have.length(11);
+    const own = new Set(wallets.map((w) => w.address));
+    expect(transfers.every((t) => own.has(t.to))).to.equal(true);
+    expect(transfers.map((t) => t.blockNumber)).to.deep.equal(
+      [...transfers.map((t) => t.blockNumber)].sort((a, b) => a - b)
+    );
+  });
+
+  it("Should flag groups over the cap by funding source and lockstep", function () {
+    const { groups } = clusterWallets(contributions, transfers, {
+      cap: CAP,
+      ignore: [exchange.address],
+    });
+    const [w0, w1, w2, w3, w4, , , w7, w8] = wallets.map((w) => w.address);
+
+    const flagged = groups.filter((g) => g.excessUSDC > 0n);
+    expect(flagged.map(addresses)).to.deep.equal([
+      [w0, w1, w2].sort(),
+      [w3, w4].sort(),
+    ]);
+    expect(flagged[0].totalUSDC).to.equal(usdc("12500"));
+    expect(flagged[0].excessUSDC).to.equal(usdc("2500"));
+    expect(flagged[0].links).to.deep.equal([
+      {
+        type: "funding",
+        source: funder.address,
+        wallets: [w0, w1, w2],
+        transactions: flagged[0].links[0].transactions,
+      },
+    ]);
+    expect(flagged[1].links.map((l) => [l.type, l.wallets])).to.deep.equal([
+      ["lockstep", [w3, w4]],
+    ]);
+    expect(flagged[1].links[0].seconds).to.be.at.most(2);
+
+    // A contributor funding another links them, under the cap here
+    const under = groups.filter((g) => g.excessUSDC === 0n);
+    expect(under.map(addresses)).to.deep.equal([[w7, w8].sort()]);
+    expect(under[0].totalUSDC).to.equal(usdc("4000"));
+  });
+
+  it("Should link every wallet an unignored hot wallet funded", function () {
+    const { groups } = clusterWallets(contributions, transfers, { cap: CAP });
+    const w5 = wallets[5].address;
+    const w6 = wallets[6].address;
+    const group = groups.find((g) => addresses(g).includes(w5));
+    expect(addresses(group)).to.deep.equal([w5, w6].sort());
+    expect(group.excessUSDC).to.equal(0n);
+  });
+
+  it("Should ignore funding that arrives after the last contribution", function () {
+    const { wallets: count, groups } = clusterWallets(
+      contributions,
+      transfers,
+      { cap: CAP, ignore: [exchange.address] }
+    );
+    expect(count).to.equal(10);
+    const w9 = wallets[9].address;
+    expect(groups.some((g) => addresses(g).includes(w9))).to.equal(false);
+  });
+
+  it("Should only count equal contributions inside the lockstep window", function () {
+    const event = (user, amount, timestamp) => ({
+      name: "Contribution",
+      blockNumber: timestamp,
+      timestamp,
+      transactionHash: `0x${timestamp}`,
+      args: { user, round: "0", usdcAmount: usdc(amount).toString() },
+    });
+    const [a, b, c, d] = wallets.map((w) => w.address);
+    const synthetic = [
+      event(a, 6000, 1000),
+      event(b, 6000, 1300),
+      event(c, 6000, 2000),
+      event(d, 5999, 2010),
+    ];
+
+    const narrow = clusterWallets(synthetic, [], { cap: CAP, window: 300 });
+    expect(narrow.groups.map(addresses)).to.deep.equal([[a, b].sort()]);
+
+    const wide = clusterWallets(synthetic, [], { cap: CAP, window: 1000 });
+    expect(wide.groups.map(addresses)).to.deep.equal([[a, b, c].sort()]);
+    expect(wide.groups[0].excessUSDC).to.equal(usdc("8000"));
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { planWithdrawals } = require("../scripts/lib/withdrawal-plan");
+const { TIMELOCK_WITHDRAW } = require("../scripts/lib/timelocks");
+const { usdc, roundsEndedFixture } = require("./fixtures.cjs");
+
+const DAY = 86400;
+
+describe("Withdrawal planner", function () {
+  describe("planWithdrawals", function () {
+    // Requests land an hour into a UTC day; ready two days later
+    const requestAt = 20_000 * DAY + 3600;
+    const readyAt = requestAt + TIMELOCK_WITHDRAW;
+    const readyDay = Math.floor(readyAt / DAY);
+
+    const summary = ({ tranches }) =>
+      tranches.map((t) => [t.amount, t.day, t.executeFrom, t.executeUntil]);
+
+    it("Should make the requests executable TIMELOCK_WITHDRAW after they land", function () {
+      const plan = planWithdrawals({ total: usdc("1000"), requestAt });
+      expect(plan.readyAt).to.equal(requestAt + 2 * DAY);
+      expect(summary(plan)).to.deep.equal([
+        [usdc("1000"), readyDay, readyAt, (readyDay + 1) * DAY - 1],
+      ]);
+    });
+
+    it("Should split a large withdrawal into one $500k tranche per day", function () {
+      const plan = planWithdrawals({ total: usdc("1200000"), requestAt });
+      expect(summary(plan)).to.deep.equal([
+        [usdc("500000"), readyDay, readyAt, (readyDay + 1) * DAY - 1],
+        [
+          usdc("500000"),
+          readyDay + 1,
+          (readyDay + 1) * DAY,
+          (readyDay + 2) * DAY - 1,
+        ],
+        [
+          usdc("200000"),
+          readyDay + 2,
+          (readyDay + 2) * DAY,
+          (readyDay + 3) * DAY - 1,
+        ],
+      ]);
+    });
+
+    it("Should fill only what is left of a day with earlier withdrawals", function () {
+      const plan = planWithdrawals({
+        total: usdc("800000"),
+        requestAt,
+        lastWithdrawalDay: BigInt(readyDay),
+        withdrawnToday: usdc("200000"),
+      });
+      expect(plan.tranches.map((t) => [t.amount, t.day])).to.deep.equal([
+        [usdc("300000"), readyDay],
+        [usdc("500000"), readyDay + 1],
+      ]);
+    });
+
+    it("Should skip a day whose limit is already used up", function () {
+      const plan = planWithdrawals({
+        total: usdc("600000"),
+        requestAt,
+        lastWithdrawalDay: readyDay,
+        withdrawnToday: usdc("500000"),
+      });
+      expect(summary(plan)).to.deep.equal([
+        [
+          usdc("500000"),
+          readyDay + 1,
+          (readyDay + 1) * DAY,
+          (readyDay + 2) * DAY - 1,
+        ],
+        [
+          usdc("100000"),
+          readyDay + 2,
+          (readyDay + 2) * DAY,
+          (readyDay + 3) * DAY - 1,
+        ],
+      ]);
+    });
+
+    it("Should ignore withdrawals from an earlier day", function () {
+      const plan = planWithdrawals({
+        total: usdc("500000"),
+        requestAt,
+        lastWithdrawalDay: readyDay - 1,
+        withdrawnToday: usdc("500000"),
+      });
+      expect(plan.tranches.map((t) => [t.amount, t.day])).to.deep.equal([
+        [usdc("500000"), readyDay],
+      ]);
+    });
+
+    it("Should reject a total of zero", function () {
+      expect(() => planWithdrawals({ total: 0n, requestAt })).to.throw(
+        "Nothing to withdraw"
+      );
+    });
+  });
+
+  it("Should execute every planned tranche at its executeFrom", async function () {
+    const { presale, mockUSDC, treasury } = await loadFixture(
+      roundsEndedFixture
+    );
+    const address = await presale.getAddress();
+    const total = await mockUSDC.balanceOf(address);
+    const requestAt = (await time.latest()) + 60;
+    const plan = planWithdrawals({
+      total,
+      requestAt,
+      lastWithdrawalDay: await presale.lastWithdrawalDay(),
+      withdrawnToday: await presale.withdrawnToday(),
+    });
+    expect(plan.tranches.map((t) => t.amount)).to.deep.equal([
+      usdc("500000"),
+      usdc("5000"),
+    ]);
+
+    // A Safe batch lands every request in one block; here they land a
+    // second apart, and only the first tranche executes at readyAt
+    await time.setNextBlockTimestamp(requestAt);
+    for (const { amount } of plan.tranches) {
+      await presale.requestWithdrawFunds(treasury.address, amount);
+    }
+
+    for (const [i, tranche] of plan.tranches.entries()) {
+      await time.setNextBlockTimestamp(tranche.executeFrom);
+      await presale.executeWithdrawFunds(i + 1);
+    }
+    expect(await mockUSDC.balanceOf(address)).to.equal(0n);
+    expect(await mockUSDC.balanceOf(treasury.address)).to.equal(total);
+  });
+});
@@ -0,0 +1,192 @@
+const { ethers } = require("hardhat");
+const {
+  time,
+  setBalance,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+// Shared presale states for loadFixture().
+//
+// Each fixture builds on an earlier one, so a test file pays for a setup
+// once and afterwards only for a snapshot restore:
+//
+//   deployedFixture     MockUSDC, SELFToken and SELFPresale; admin holds
+//                       every role, rounds not initialized, no SELF funded
+//   initializedFixture  12-day rounds initialized, 42M SELF funded,
+//                       user1-3 hold $50,000 each (no approvals)
+//   round1OpenFixture   clock at round 1's start
+//   approvedFixture     user1-3 approved $10,000 each; the fixtures below
+//                       build on round1OpenFixture instead
+//   roundsEndedFixture  50 wallets x $10,000 and user1 $1,000 in round 1,
+//                       user1 $1,000 in each later round; every round
+//                       finalized and advanced
+//   tgeEnabledFixture   TGE requested, executed and reached
+//   midVestingFixture   180 days after TGE
+//
+// Fixtures return the contracts, named signers, the schedule and, from
+// tgeEnabledFixture on, tgeTime.
+
+const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+const DAY = 86400;
+const ROUND_LENGTH = 12 * DAY;
+
+// Round 1 opens in an hour; each round lasts 12 days, back to back
+function roundTimes(now) {
+  const startTimes = [0, 1, 2, 3, 4].map((i) => now + 3600 + ROUND_LENGTH * i);
+  const endTimes = startTimes.map((start) => start + ROUND_LENGTH - 1);
+  return { startTimes, endTimes };
+}
+
+/**
+ * Contribute `amount` from `count` fresh wallets, each funded with ETH and
+ * USDC. Wallet keys are derived from `label`, so runs are reproducible.
+ * @returns {Promise<import("ethers").Wallet[]>}
+ */
+async function contributeFrom(presale, mockUSDC, count, amount, label = "w") {
+  const wallets = [];
+  for (let i = 0; i < count; i++) {
+    const wallet = new ethers.Wallet(
+      ethers.id(`fixture-${label}-${i}`),
+      ethers.provider
+    );
+    await setBalance(wallet.address, ethers.parseEther("1"));
+    await mockUSDC.mint(wallet.address, amount);
+    await mockUSDC.connect(wallet).approve(await presale.getAddress(), amount);
+    await presale.connect(wallet).contribute(amount);
+    wallets.push(wallet);
+  }
+  return wallets;
+}
+
+// Finalize and advance every remaining round at its end time
+async function finishRounds(presale, endTimes) {
+  for (let i = Number(await presale.currentRound()); i < 5; i++) {
+    if ((await time.latest()) <= endTimes[i]) {
+      await time.increaseTo(endTimes[i] + 1);
+    }
+    await presale.finalizeRound();
+    await presale.advanceRound();
+  }
+}
+
+// Request TGE a week out and execute it once the timelock has passed
+async function enableTGE(presale) {
+  const tgeTime = (await time.latest()) + 7 * DAY;
+  await presale.requestEnableTGE(tgeTime);
+  await time.increase(2 * DAY + 1);
+  await presale.executeEnableTGE();
+  return tgeTime;
+}
+
+async function deployedFixture() {
+  const signers = await ethers.getSigners();
+  const [admin, pauser, roundManager, treasury, tgeEnabler] = signers;
+  const [user1, user2, user3] = signers.slice(5);
+
+  const MockUSDC = await ethers.getContractFactory("MockUSDC");
+  const mockUSDC = await MockUSDC.deploy();
+  const SELFToken = await ethers.getContractFactory("SELFToken");
+  const selfToken = await SELFToken.deploy();
+  const SELFPresale = await ethers.getContractFactory("SELFPresale");
+  const presale = await SELFPresale.deploy(
+    await mockUSDC.getAddress(),
+    await selfToken.getAddress(),
+    admin.address
+  );
+  const deployBlock = (await presale.deploymentTransaction().wait())
+    .blockNumber;
+
+  return {
+    presale,
+    selfToken,
+    mockUSDC,
+    deployBlock,
+    signers,
+    admin,
+    pauser,
+    roundManager,
+    treasury,
+    tgeEnabler,
+    user1,
+    user2,
+    user3,
+  };
+}
+
+async function initializedFixture() {
+  const fixture = await loadFixture(deployedFixture);
+  const { presale, selfToken, mockUSDC } = fixture;
+
+  const { startTimes, endTimes } = roundTimes(await time.latest());
+  await presale.initializeRounds(startTimes, endTimes);
+  await selfToken.transfer(
+    await presale.getAddress(),
+    ethers.parseEther("42000000")
+  );
+  for (const user of [fixture.user1, fixture.user2, fixture.user3]) {
+    await mockUSDC.mint(user.address, usdc("50000"));
+  }
+  return { ...fixture, startTimes, endTimes };
+}
+
+async function round1OpenFixture() {
+  const fixture = await loadFixture(initializedFixture);
+  await time.increaseTo(fixture.startTimes[0]);
+  return fixture;
+}
+
+async function approvedFixture() {
+  const fixture = await loadFixture(round1OpenFixture);
+  for (const user of [fixture.user1, fixture.user2, fixture.user3]) {
+    await fixture.mockUSDC
+      .connect(user)
+      .approve(await fixture.presale.getAddress(), usdc("10000"));
+  }
+  return fixture;
+}
+
+async function roundsEndedFixture() {
+  const fixture = await loadFixture(round1OpenFixture);
+  const { presale, mockUSDC, user1, endTimes } = fixture;
+
+  await contributeFrom(presale, mockUSDC, 50, usdc("10000"));
+  await mockUSDC
+    .connect(user1)
+    .approve(await presale.getAddress(), usdc("5000"));
+  for (let i = 0; i < 5; i++) {
+    await presale.connect(user1).contribute(usdc("1000"));
+    await time.increaseTo(endTimes[i] + 1);
+    await presale.finalizeRound();
+    await presale.advanceRound();
+  }
+  return fixture;
+}
+
+async function tgeEnabledFixture() {
+  const fixture = await loadFixture(roundsEndedFixture);
+  const tgeTime = await enableTGE(fixture.presale);
+  await time.increaseTo(tgeTime);
+  return { ...fixture, tgeTime };
+}
+
+async function midVestingFixture() {
+  const fixture = await loadFixture(tgeEnabledFixture);
+  await time.increaseTo(fixture.tgeTime + 180 * DAY);
+  return fixture;
+}
+
+module.exports = {
+  usdc,
+  roundTimes,
+  contributeFrom,
+  finishRounds,
+  enableTGE,
+  deployedFixture,
+  initializedFixture,
+  round1OpenFixture,
+  approvedFixture,
+  roundsEndedFixture,
+  tgeEnabledFixture,
+  midVestingFixture,
+};